@@ -1,5 +1,6 @@
 // app.js
 const { startServer } = require('./server/http-server');
+const { loadPlugins } = require('./server/router');
 const { initSupabase } = require('./core/supabase-client');
 const logger = require('./utils/logger');
 
@@ -11,9 +12,13 @@ async function initApp() {
     // Initialize Supabase client
     initSupabase(
       process.env.SUPABASE_URL,
-      process.env.SUPABASE_KEY
+      process.env.SUPABASE_KEY,
+      process.env.SUPABASE_ANON_KEY
     );
     
+    // Register the routes and middleware of the plugins in PLUGINS
+    loadPlugins();
+    
     // Start the server
     const port = process.env.PORT || 3000;
     startServer(port);
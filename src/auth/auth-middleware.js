@@ -1,45 +1,106 @@
 // auth-middleware.js
 const authService = require('./auth-service');
-const { handleHttpError } = require('../utils/error-handler');
-const logger = require('../utils/logger');
+const { extractBearerToken } = require('../core/supabase-client');
+const { handleHttpError, AuthenticationError, ForbiddenError } = require('../utils/error-handler');
 
 /**
  * Middleware to check if a user is authenticated
  * @param {Object} req - HTTP request object
  * @param {Object} res - HTTP response object
  * @param {Function} next - Function to continue processing
+ * @returns {Promise<boolean>} True if the request was authenticated,
+ *   false if a response has already been sent
  */
 async function requireAuth(req, res, next) {
   try {
     // Get JWT from Authorization header
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      res.statusCode = 401;
-      res.setHeader('Content-Type', 'application/json');
-      return res.end(JSON.stringify({ error: 'Authentication required' }));
+    const token = extractBearerToken(req);
+    if (!token) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      handleHttpError(res, new AuthenticationError('Authentication required', 'Authentication'), 'Authentication');
+      return false;
     }
     
-    // Check if token is valid by getting the current user
-    const user = await authService.getCurrentUser();
-    if (!user) {
-      res.statusCode = 401;
-      res.setHeader('Content-Type', 'application/json');
-      return res.end(JSON.stringify({ error: 'Invalid or expired token' }));
-    }
+    // Verify the token and resolve the user it was issued to
+    const user = await authService.verifyAccessToken(token);
     
     // Add user to request for downstream handlers
     req.user = user;
-    
-    // Continue to next handler
+    req.accessToken = token;
+  } catch (error) {
+    const statusCode = error.statusCode || 401;
+    if (statusCode === 401) {
+      res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+    }
+    handleHttpError(res, error, 'Authentication', statusCode);
+    return false;
+  }
+  
+  // Continue to next handler; its errors are its own, not authentication failures
+  if (typeof next === 'function') {
+    await next();
+  }
+  return true;
+}
+
+/**
+ * Middleware that populates req.user when a valid token is present,
+ * but lets anonymous requests through
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @param {Function} next - Function to continue processing
+ * @returns {Promise<boolean>} True if processing should continue
+ */
+async function optionalAuth(req, res, next) {
+  if (!extractBearerToken(req)) {
     if (typeof next === 'function') {
-      next();
+      await next();
     }
-  } catch (error) {
-    logger.error('Authentication check failed', error);
-    handleHttpError(res, error, 'Authentication', 401);
+    return true;
+  }
+  
+  return requireAuth(req, res, next);
+}
+
+/**
+ * Check whether a request user has the admin role, either as the
+ * service role or through `role`/`roles` in their app metadata
+ * @param {Object} user - Request user
+ * @returns {boolean} True for admins
+ */
+function isAdmin(user) {
+  if (!user) return false;
+  if (user.role === 'service_role') return true;
+  
+  const { role, roles } = user.appMetadata || {};
+  return role === 'admin' || (Array.isArray(roles) && roles.includes('admin'));
+}
+
+/**
+ * Middleware to check that the caller is an authenticated admin
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @param {Function} next - Function to continue processing
+ * @returns {Promise<boolean>} True if processing should continue
+ */
+async function requireAdmin(req, res, next) {
+  const authenticated = await requireAuth(req, res);
+  if (!authenticated) return false;
+  
+  if (!isAdmin(req.user)) {
+    handleHttpError(res, new ForbiddenError('Admin access required', 'Authentication'), 'Authentication');
+    return false;
+  }
+  
+  if (typeof next === 'function') {
+    await next();
   }
+  return true;
 }
 
 module.exports = {
-  requireAuth
+  requireAuth,
+  optionalAuth,
+  requireAdmin,
+  isAdmin
 };
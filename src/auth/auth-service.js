@@ -1,14 +1,50 @@
 // auth-service.js
-const { getSupabaseClient } = require('../core/supabase-client');
+const { getSupabaseClient, createIsolatedClient } = require('../core/supabase-client');
 const logger = require('../utils/logger');
-const { AppError } = require('../utils/error-handler');
+const { AuthenticationError } = require('../utils/error-handler');
+const { fromAuthError } = require('../utils/supabase-errors');
+const { verifyToken, userFromClaims } = require('./jwt-verifier');
+
+// Storage key for flow clients; fixed so the PKCE code verifier can be read back
+const AUTH_STORAGE_KEY = 'sb-auth';
 
 /**
  * Authentication service for Supabase
  */
 class AuthService {
-  constructor() {
-    this.supabase = getSupabaseClient();
+  /**
+   * Server Supabase client, resolved lazily so the service can be
+   * required before initSupabase() has run
+   * @returns {Object} Supabase client instance
+   */
+  get supabase() {
+    return getSupabaseClient();
+  }
+  
+  /**
+   * Create a client for a single auth flow, with its session kept in a
+   * throwaway in-memory storage
+   * @param {Object} initialItems - Items to seed the storage with
+   * @param {Object} authOptions - Extra auth options (flowType, ...)
+   * @returns {Object} Client and the storage it writes to
+   */
+  createFlowClient(initialItems = {}, authOptions = {}) {
+    const items = new Map(Object.entries(initialItems));
+    const storage = {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => { items.set(key, value); },
+      removeItem: key => { items.delete(key); }
+    };
+    
+    // persistSession must be on for auth-js to use the provided storage
+    const client = createIsolatedClient({
+      persistSession: true,
+      storage,
+      storageKey: AUTH_STORAGE_KEY,
+      ...authOptions
+    });
+    
+    return { client, storage };
   }
   
   /**
@@ -19,12 +55,13 @@ class AuthService {
    */
   async signIn(email, password) {
     try {
-      const { data, error } = await this.supabase.auth.signInWithPassword({
+      const { client } = this.createFlowClient();
+      const { data, error } = await client.auth.signInWithPassword({
         email,
         password
       });
       
-      if (error) throw new AppError(error.message, 401, 'Authentication');
+      if (error) throw fromAuthError(error, 401);
       
       return data;
     } catch (error) {
@@ -37,16 +74,22 @@ class AuthService {
    * Sign up with email and password
    * @param {string} email - User email
    * @param {string} password - User password
+   * @param {Object} options - Sign up options (data, redirectTo)
    * @returns {Promise<Object>} Authentication response
    */
-  async signUp(email, password) {
+  async signUp(email, password, options = {}) {
     try {
-      const { data, error } = await this.supabase.auth.signUp({
+      const { client } = this.createFlowClient();
+      const { data, error } = await client.auth.signUp({
         email,
-        password
+        password,
+        options: {
+          data: options.data,
+          emailRedirectTo: options.redirectTo
+        }
       });
       
-      if (error) throw new AppError(error.message, 400, 'Authentication');
+      if (error) throw fromAuthError(error, 400);
       
       return data;
     } catch (error) {
@@ -56,28 +99,198 @@ class AuthService {
   }
   
   /**
-   * Sign out the current user
+   * Sign out the user an access token belongs to
+   * @param {string} accessToken - User access token
+   * @param {string} scope - 'global', 'local' or 'others'
    * @returns {Promise<void>}
    */
-  async signOut() {
+  async signOut(accessToken, scope = 'global') {
     try {
-      const { error } = await this.supabase.auth.signOut();
-      if (error) throw new AppError(error.message, 500, 'Authentication');
+      const { error } = await this.supabase.auth.admin.signOut(accessToken, scope);
+      if (error) throw fromAuthError(error, 500);
     } catch (error) {
       logger.error('Sign out failed', error);
       throw error;
     }
   }
   
+  /**
+   * Exchange a refresh token for a new session
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} Authentication response
+   */
+  async refreshSession(refreshToken) {
+    try {
+      const { client } = this.createFlowClient();
+      const { data, error } = await client.auth.refreshSession({
+        refresh_token: refreshToken
+      });
+      
+      if (error) throw fromAuthError(error, 401);
+      
+      return data;
+    } catch (error) {
+      logger.error('Session refresh failed', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Send a password recovery email
+   * @param {string} email - User email
+   * @param {string} redirectTo - URL the recovery link should open
+   * @returns {Promise<void>}
+   */
+  async sendPasswordReset(email, redirectTo) {
+    try {
+      const { client } = this.createFlowClient();
+      const { error } = await client.auth.resetPasswordForEmail(email, { redirectTo });
+      
+      if (error) throw fromAuthError(error, 400);
+    } catch (error) {
+      logger.error('Password reset request failed', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Update the password of the user a session belongs to
+   * @param {string} accessToken - User access token
+   * @param {string} refreshToken - User refresh token
+   * @param {string} password - New password
+   * @returns {Promise<Object>} Authentication response
+   */
+  async updatePassword(accessToken, refreshToken, password) {
+    try {
+      const { client } = this.createFlowClient();
+      const { data: sessionData, error: sessionError } = await client.auth.setSession({
+        access_token: accessToken,
+        refresh_token: refreshToken
+      });
+      
+      if (sessionError) throw fromAuthError(sessionError, 401);
+      
+      const { data, error } = await client.auth.updateUser({ password });
+      
+      if (error) throw fromAuthError(error, 400);
+      
+      return { user: data.user, session: sessionData.session };
+    } catch (error) {
+      logger.error('Password update failed', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Send a magic link or one-time code by email or SMS
+   * @param {Object} params - email or phone, redirectTo, shouldCreateUser
+   * @returns {Promise<void>}
+   */
+  async sendOtp({ email, phone, redirectTo, shouldCreateUser = true }) {
+    try {
+      const { client } = this.createFlowClient();
+      const { error } = await client.auth.signInWithOtp({
+        ...(email ? { email } : { phone }),
+        options: {
+          emailRedirectTo: redirectTo,
+          shouldCreateUser
+        }
+      });
+      
+      if (error) throw fromAuthError(error, 400);
+    } catch (error) {
+      logger.error('OTP request failed', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Verify a one-time code or magic link token
+   * @param {Object} params - email or phone, token, type
+   * @returns {Promise<Object>} Authentication response
+   */
+  async verifyOtp({ email, phone, token, type }) {
+    try {
+      const { client } = this.createFlowClient();
+      const { data, error } = await client.auth.verifyOtp({
+        ...(email ? { email } : { phone }),
+        token,
+        type: type || (email ? 'email' : 'sms')
+      });
+      
+      if (error) throw fromAuthError(error, 401);
+      
+      return data;
+    } catch (error) {
+      logger.error('OTP verification failed', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Start an OAuth sign in using the PKCE flow
+   * @param {string} provider - OAuth provider (github, google, ...)
+   * @param {Object} options - redirectTo, scopes
+   * @returns {Promise<Object>} Provider URL and the code verifier to keep for the callback
+   */
+  async getOAuthUrl(provider, options = {}) {
+    try {
+      const { client, storage } = this.createFlowClient({}, { flowType: 'pkce' });
+      const { data, error } = await client.auth.signInWithOAuth({
+        provider,
+        options: {
+          redirectTo: options.redirectTo,
+          scopes: options.scopes,
+          skipBrowserRedirect: true
+        }
+      });
+      
+      if (error) throw fromAuthError(error, 400);
+      
+      return {
+        url: data.url,
+        codeVerifier: storage.getItem(`${AUTH_STORAGE_KEY}-code-verifier`)
+      };
+    } catch (error) {
+      logger.error(`OAuth sign in failed for provider: ${provider}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Complete an OAuth sign in by exchanging the callback code for a session
+   * @param {string} code - Authorization code from the callback
+   * @param {string} codeVerifier - Code verifier returned by getOAuthUrl
+   * @returns {Promise<Object>} Authentication response
+   */
+  async exchangeCodeForSession(code, codeVerifier) {
+    try {
+      const { client } = this.createFlowClient(
+        { [`${AUTH_STORAGE_KEY}-code-verifier`]: codeVerifier },
+        { flowType: 'pkce' }
+      );
+      const { data, error } = await client.auth.exchangeCodeForSession(code);
+      
+      if (error) throw fromAuthError(error, 401);
+      
+      return data;
+    } catch (error) {
+      logger.error('OAuth code exchange failed', error);
+      throw error;
+    }
+  }
+  
   /**
    * Get the current user
+   * @param {string} [accessToken] - Access token to resolve the user for;
+   *   defaults to the server client's own session
    * @returns {Promise<Object|null>} Current user or null
    */
-  async getCurrentUser() {
+  async getCurrentUser(accessToken) {
     try {
-      const { data, error } = await this.supabase.auth.getUser();
+      const { data, error } = await this.supabase.auth.getUser(accessToken);
       
-      if (error) throw new AppError(error.message, 401, 'Authentication');
+      if (error) throw fromAuthError(error, 401);
       
       return data?.user || null;
     } catch (error) {
@@ -85,6 +298,41 @@ class AuthService {
       throw error;
     }
   }
+  
+  /**
+   * Verify an access token and resolve the user it belongs to.
+   * Tokens are checked locally against SUPABASE_JWT_SECRET or the project JWKS;
+   * when neither can check the token, falls back to asking Supabase Auth
+   * unless AUTH_REMOTE_FALLBACK is 'false'.
+   * @param {string} accessToken - JWT access token
+   * @returns {Promise<Object>} Request user
+   */
+  async verifyAccessToken(accessToken) {
+    const claims = await verifyToken(accessToken);
+    if (claims) {
+      return userFromClaims(claims);
+    }
+    
+    if (process.env.AUTH_REMOTE_FALLBACK === 'false') {
+      throw new AuthenticationError('Token cannot be verified: no JWT secret or JWKS configured', 'Authentication');
+    }
+    
+    const user = await this.getCurrentUser(accessToken);
+    if (!user) {
+      throw new AuthenticationError('Invalid or expired token', 'Authentication');
+    }
+    
+    return {
+      id: user.id,
+      email: user.email,
+      phone: user.phone,
+      role: user.role,
+      aud: user.aud,
+      appMetadata: user.app_metadata || {},
+      userMetadata: user.user_metadata || {},
+      claims: null
+    };
+  }
 }
 
 module.exports = new AuthService();
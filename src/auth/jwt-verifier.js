@@ -0,0 +1,229 @@
+// jwt-verifier.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { AuthenticationError } = require('../utils/error-handler');
+
+const HMAC_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512'
+};
+
+const ASYMMETRIC_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+const JWKS_CACHE_TTL = 10 * 60 * 1000;
+
+// An unknown key id refetches the JWKS at most this often, so tokens with
+// made-up key ids can't make every request fetch it
+const JWKS_MIN_REFETCH_INTERVAL = 30 * 1000;
+
+// Most key ids the current JWKS doesn't have that are remembered until the next refresh
+const MAX_UNKNOWN_KIDS = 1000;
+
+let jwksCache = { keys: new Map(), fetchedAt: 0, attemptedAt: 0, unknownKids: new Set() };
+
+/**
+ * Decode a base64url JWT segment into an object
+ * @param {string} segment - Encoded segment
+ * @returns {Object} Decoded JSON
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Split and decode a JWT without verifying it
+ * @param {string} token - JWT string
+ * @returns {Object} Decoded header, payload and signing parts
+ */
+function decodeToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new AuthenticationError('Malformed token', 'Authentication');
+  }
+  
+  try {
+    return {
+      header: decodeSegment(parts[0]),
+      payload: decodeSegment(parts[1]),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch (error) {
+    throw new AuthenticationError('Malformed token', 'Authentication');
+  }
+}
+
+/**
+ * Get the JWKS endpoint, from config or derived from the project URL
+ * @returns {string|null} JWKS URL
+ */
+function getJwksUrl() {
+  if (process.env.SUPABASE_JWKS_URL) return process.env.SUPABASE_JWKS_URL;
+  if (process.env.SUPABASE_URL) {
+    return `${process.env.SUPABASE_URL.replace(/\/$/, '')}/auth/v1/.well-known/jwks.json`;
+  }
+  return null;
+}
+
+/**
+ * Find a public key in the project's JWKS, refreshing the cache when stale
+ * or, at most every JWKS_MIN_REFETCH_INTERVAL, when the key id is unknown
+ * @param {string} kid - Key id from the token header
+ * @returns {Promise<crypto.KeyObject|null>} Public key, or null if the
+ *   JWKS isn't available
+ * @throws {AuthenticationError} If the JWKS doesn't have the key id
+ */
+async function getSigningKey(kid) {
+  const now = Date.now();
+  const isStale = now - jwksCache.fetchedAt > JWKS_CACHE_TTL;
+  const isUnknown = !jwksCache.keys.has(kid) && !jwksCache.unknownKids.has(kid);
+  const canRefetch = now - jwksCache.attemptedAt > JWKS_MIN_REFETCH_INTERVAL;
+  
+  if ((isStale || isUnknown) && canRefetch) {
+    const jwksUrl = getJwksUrl();
+    if (!jwksUrl) return null;
+    
+    jwksCache.attemptedAt = now;
+    try {
+      const response = await fetch(jwksUrl);
+      if (!response.ok) throw new Error(`JWKS request failed with status ${response.status}`);
+      
+      const { keys = [] } = await response.json();
+      const keyMap = new Map();
+      for (const jwk of keys) {
+        keyMap.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+      
+      jwksCache = { keys: keyMap, fetchedAt: Date.now(), attemptedAt: now, unknownKids: new Set() };
+    } catch (error) {
+      logger.error('Failed to fetch JWKS', error);
+    }
+  }
+  
+  const key = jwksCache.keys.get(kid);
+  if (key) return key;
+  
+  // Without a current JWKS the token is left to the remote check
+  if (Date.now() - jwksCache.fetchedAt > JWKS_CACHE_TTL) return null;
+  
+  if (jwksCache.unknownKids.size >= MAX_UNKNOWN_KIDS) {
+    jwksCache.unknownKids.delete(jwksCache.unknownKids.values().next().value);
+  }
+  jwksCache.unknownKids.add(kid);
+  throw new AuthenticationError('Unknown token signing key', 'Authentication');
+}
+
+/**
+ * Check the token signature
+ * @param {Object} decoded - Decoded token from decodeToken
+ * @returns {Promise<boolean|null>} Whether the signature is valid, or null
+ *   if no key is configured to check it locally
+ */
+async function verifySignature(decoded) {
+  const { header, signingInput, signature } = decoded;
+  
+  if (HMAC_ALGORITHMS[header.alg]) {
+    const secret = process.env.SUPABASE_JWT_SECRET;
+    if (!secret) return null;
+    
+    const expected = crypto
+      .createHmac(HMAC_ALGORITHMS[header.alg], secret)
+      .update(signingInput)
+      .digest();
+    
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  
+  if (ASYMMETRIC_ALGORITHMS[header.alg]) {
+    const key = await getSigningKey(header.kid);
+    if (!key) return null;
+    
+    const { hash, dsaEncoding } = ASYMMETRIC_ALGORITHMS[header.alg];
+    return crypto.verify(
+      hash,
+      Buffer.from(signingInput),
+      dsaEncoding ? { key, dsaEncoding } : key,
+      signature
+    );
+  }
+  
+  throw new AuthenticationError(`Unsupported token algorithm: ${header.alg}`, 'Authentication');
+}
+
+/**
+ * Check exp, nbf and aud claims
+ * @param {Object} payload - Token claims
+ */
+function verifyClaims(payload) {
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = parseInt(process.env.JWT_CLOCK_TOLERANCE, 10) || 30;
+  
+  if (typeof payload.exp === 'number' && payload.exp + tolerance < now) {
+    throw new AuthenticationError('Token has expired', 'Authentication');
+  }
+  
+  if (typeof payload.nbf === 'number' && payload.nbf - tolerance > now) {
+    throw new AuthenticationError('Token is not yet valid', 'Authentication');
+  }
+  
+  const audience = process.env.SUPABASE_JWT_AUDIENCE;
+  if (audience) {
+    const tokenAudience = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!tokenAudience.includes(audience)) {
+      throw new AuthenticationError('Token audience is not allowed', 'Authentication');
+    }
+  }
+}
+
+/**
+ * Verify a Supabase access token locally
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object|null>} Verified claims, or null if the token
+ *   could not be checked locally (no secret or JWKS key available)
+ */
+async function verifyToken(token) {
+  const decoded = decodeToken(token);
+  const isValid = await verifySignature(decoded);
+  
+  if (isValid === null) return null;
+  if (!isValid) {
+    throw new AuthenticationError('Invalid token signature', 'Authentication');
+  }
+  
+  verifyClaims(decoded.payload);
+  return decoded.payload;
+}
+
+/**
+ * Build the request user from verified token claims
+ * @param {Object} claims - JWT claims
+ * @returns {Object} User object for req.user
+ */
+function userFromClaims(claims) {
+  return {
+    id: claims.sub,
+    email: claims.email,
+    phone: claims.phone,
+    role: claims.role,
+    aud: claims.aud,
+    appMetadata: claims.app_metadata || {},
+    userMetadata: claims.user_metadata || {},
+    sessionId: claims.session_id,
+    expiresAt: claims.exp,
+    claims
+  };
+}
+
+module.exports = {
+  decodeToken,
+  verifyToken,
+  userFromClaims
+};
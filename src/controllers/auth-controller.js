@@ -0,0 +1,313 @@
+// auth-controller.js
+const authService = require('../auth/auth-service');
+const { extractBearerToken } = require('../core/supabase-client');
+const { handleHttpError } = require('../utils/error-handler');
+const { AppError, AuthenticationError, NotFoundError } = require('../utils/error-handler');
+
+const CODE_VERIFIER_COOKIE = 'sb-code-verifier';
+
+/**
+ * Build the session payload every auth endpoint responds with
+ * @param {Object} data - Auth response with user and session
+ * @returns {Object} Session payload
+ */
+function formatSession(data) {
+  const { user = null, session = null } = data || {};
+  
+  return {
+    user,
+    session: session ? {
+      access_token: session.access_token,
+      refresh_token: session.refresh_token,
+      token_type: session.token_type,
+      expires_in: session.expires_in,
+      expires_at: session.expires_at
+    } : null
+  };
+}
+
+/**
+ * Send a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Ensure required fields are present in the request body
+ * @param {Object} body - Request body
+ * @param {Array<string>} fields - Required field names
+ * @returns {Object} Request body
+ */
+function requireFields(body, fields) {
+  const missing = fields.filter(field => !body || !body[field]);
+  if (missing.length > 0) {
+    throw new AppError(`Missing required fields: ${missing.join(', ')}`, 400, 'Auth Controller');
+  }
+  return body;
+}
+
+/**
+ * Read a cookie from the request
+ * @param {Object} req - HTTP request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function getCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+/**
+ * Build a Set-Cookie header value for the PKCE code verifier
+ * @param {string} value - Cookie value, empty to clear it
+ * @param {number} maxAge - Lifetime in seconds
+ * @returns {string} Set-Cookie header value
+ */
+function codeVerifierCookie(value, maxAge) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${CODE_VERIFIER_COOKIE}=${encodeURIComponent(value)}; Path=/api/auth; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+/**
+ * Login with email and password
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function login(req, res) {
+  try {
+    const { email, password } = requireFields(req.body, ['email', 'password']);
+    const result = await authService.signIn(email, password);
+    
+    sendJson(res, 200, formatSession(result));
+  } catch (error) {
+    handleHttpError(res, error, 'Auth Controller', error.statusCode);
+  }
+}
+
+/**
+ * Register a new user
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function register(req, res) {
+  try {
+    const { email, password, data, redirectTo } = requireFields(req.body, ['email', 'password']);
+    const result = await authService.signUp(email, password, { data, redirectTo });
+    
+    sendJson(res, 201, formatSession(result));
+  } catch (error) {
+    handleHttpError(res, error, 'Auth Controller', error.statusCode);
+  }
+}
+
+/**
+ * Logout the current user
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function logout(req, res) {
+  try {
+    const scope = (req.body && req.body.scope) || 'global';
+    await authService.signOut(extractBearerToken(req), scope);
+    
+    sendJson(res, 200, { success: true });
+  } catch (error) {
+    handleHttpError(res, error, 'Auth Controller', error.statusCode);
+  }
+}
+
+/**
+ * Exchange a refresh token for a new session
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function refresh(req, res) {
+  try {
+    const { refresh_token } = requireFields(req.body, ['refresh_token']);
+    const result = await authService.refreshSession(refresh_token);
+    
+    sendJson(res, 200, formatSession(result));
+  } catch (error) {
+    handleHttpError(res, error, 'Auth Controller', error.statusCode);
+  }
+}
+
+/**
+ * Get the authenticated user
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function me(req, res) {
+  try {
+    const user = await authService.getCurrentUser(extractBearerToken(req));
+    
+    if (!user) {
+      throw new NotFoundError('User not found', 'Auth Controller');
+    }
+    
+    sendJson(res, 200, { user });
+  } catch (error) {
+    handleHttpError(res, error, 'Auth Controller', error.statusCode);
+  }
+}
+
+/**
+ * Send a password recovery email
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function recoverPassword(req, res) {
+  try {
+    const { email, redirectTo } = requireFields(req.body, ['email']);
+    await authService.sendPasswordReset(email, redirectTo);
+    
+    // Same response whether or not the email exists, to avoid leaking accounts
+    sendJson(res, 200, { success: true });
+  } catch (error) {
+    handleHttpError(res, error, 'Auth Controller', error.statusCode);
+  }
+}
+
+/**
+ * Update the password of the authenticated user
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function updatePassword(req, res) {
+  try {
+    const { password, refresh_token } = requireFields(req.body, ['password', 'refresh_token']);
+    const result = await authService.updatePassword(
+      extractBearerToken(req),
+      refresh_token,
+      password
+    );
+    
+    sendJson(res, 200, formatSession(result));
+  } catch (error) {
+    handleHttpError(res, error, 'Auth Controller', error.statusCode);
+  }
+}
+
+/**
+ * Send a magic link or one-time code
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function sendOtp(req, res) {
+  try {
+    const { email, phone, redirectTo, shouldCreateUser } = req.body || {};
+    
+    if (!email && !phone) {
+      throw new AppError('Either email or phone is required', 400, 'Auth Controller');
+    }
+    
+    await authService.sendOtp({ email, phone, redirectTo, shouldCreateUser });
+    
+    sendJson(res, 200, { success: true });
+  } catch (error) {
+    handleHttpError(res, error, 'Auth Controller', error.statusCode);
+  }
+}
+
+/**
+ * Verify a one-time code and sign in
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function verifyOtp(req, res) {
+  try {
+    const { email, phone, token, type } = requireFields(req.body, ['token']);
+    
+    if (!email && !phone) {
+      throw new AppError('Either email or phone is required', 400, 'Auth Controller');
+    }
+    
+    const result = await authService.verifyOtp({ email, phone, token, type });
+    
+    sendJson(res, 200, formatSession(result));
+  } catch (error) {
+    handleHttpError(res, error, 'Auth Controller', error.statusCode);
+  }
+}
+
+/**
+ * Redirect to an OAuth provider's consent page
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} provider - OAuth provider
+ * @param {Object} query - Query parameters (redirectTo, scopes, mode)
+ */
+async function oauthRedirect(req, res, provider, query) {
+  try {
+    const { url, codeVerifier } = await authService.getOAuthUrl(provider, {
+      redirectTo: query.redirectTo,
+      scopes: query.scopes
+    });
+    
+    // Keep the PKCE verifier for the callback request
+    res.setHeader('Set-Cookie', codeVerifierCookie(codeVerifier, 600));
+    
+    if (query.mode === 'json') {
+      return sendJson(res, 200, { url });
+    }
+    
+    res.statusCode = 302;
+    res.setHeader('Location', url);
+    res.end();
+  } catch (error) {
+    handleHttpError(res, error, 'Auth Controller', error.statusCode);
+  }
+}
+
+/**
+ * Complete an OAuth sign in
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Object} query - Query parameters (code, error, error_description)
+ */
+async function oauthCallback(req, res, query) {
+  try {
+    if (query.error) {
+      throw new AuthenticationError(query.error_description || query.error, 'Auth Controller');
+    }
+    if (!query.code) {
+      throw new AppError('Missing authorization code', 400, 'Auth Controller');
+    }
+    
+    const codeVerifier = getCookie(req, CODE_VERIFIER_COOKIE);
+    if (!codeVerifier) {
+      throw new AppError('Missing or expired OAuth state', 400, 'Auth Controller');
+    }
+    
+    const result = await authService.exchangeCodeForSession(query.code, codeVerifier);
+    
+    res.setHeader('Set-Cookie', codeVerifierCookie('', 0));
+    sendJson(res, 200, formatSession(result));
+  } catch (error) {
+    handleHttpError(res, error, 'Auth Controller', error.statusCode);
+  }
+}
+
+module.exports = {
+  login,
+  register,
+  logout,
+  refresh,
+  me,
+  recoverPassword,
+  updatePassword,
+  sendOtp,
+  verifyOtp,
+  oauthRedirect,
+  oauthCallback
+};
@@ -1,11 +1,282 @@
 // data-controller.js
 const dataRepository = require('../core/data-repository');
+const bodyValidator = require('../core/body-validator');
+const { getRequestClient } = require('../core/supabase-client');
+const { resolveKey, formatKey } = require('../core/table-keys');
+const policyEngine = require('../core/policy-engine');
+const schemaIntrospector = require('../core/schema-introspector');
+const responseCache = require('../core/response-cache');
 const { handleHttpError } = require('../utils/error-handler');
-const { AppError } = require('../utils/error-handler');
+const { AppError, ValidationError, NotFoundError } = require('../utils/error-handler');
+const { parseQueryFilters } = require('../utils/query-filter-parser');
+const { toContainmentValue } = require('../utils/filter-parser');
+const { parseSelect, normalizeSelect } = require('../utils/select-parser');
+const { parsePagination, buildEnvelope, setPaginationHeaders } = require('../utils/pagination');
+const { orderFromQuery } = require('../utils/order-parser');
+const { parseAggregate } = require('../utils/aggregate-parser');
+const { versionColumn, computeETag, checkPreconditions, nextVersion } = require('../utils/etag');
 const logger = require('../utils/logger');
 
+// Query parameters of the list and bulk endpoints that are not filters
+const RESERVED_PARAMS = [
+  'page', 'pageSize', 'cursor', 'count', 'order', 'orderBy', 'ascending', 'filter', 'select', 'dryRun',
+  'aggregate', 'groupBy'
+];
+
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 1000;
+const COLUMN_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Build the repository options of a request: its client and the caller's
+ * access, so table policies are enforced
+ * @param {Object} req - HTTP request
+ * @returns {Object} Repository options
+ */
+function requestOptions(req) {
+  return { client: getRequestClient(req), access: policyEngine.accessFor(req) };
+}
+
+/**
+ * Build the filter tree of a request from the JSON `filter` param and
+ * the compact filter syntax of every other non-reserved param
+ * @param {Object} query - Query parameters
+ * @returns {Object|null} AND group of all filters, or null if there are none
+ */
+function buildFilter(query) {
+  const filters = [];
+  
+  if (query.filter) {
+    try {
+      filters.push(JSON.parse(query.filter));
+    } catch (e) {
+      throw new AppError('Invalid filter JSON', 400, 'Data Controller');
+    }
+  }
+  
+  const params = { ...query };
+  for (const key of RESERVED_PARAMS) {
+    delete params[key];
+  }
+  
+  const paramFilter = parseQueryFilters(params);
+  if (paramFilter) {
+    filters.push(paramFilter);
+  }
+  
+  return filters.length > 0 ? { logic: 'AND', filters } : null;
+}
+
+/**
+ * Check the shape of the rows of an insert, collecting every problem
+ * @param {Array} rows - Rows to insert
+ * @param {boolean} batch - Whether to report the index of each row
+ * @returns {Array<Object>} Field errors: `{ index, field, message }`, without
+ *   index for a single row
+ */
+function validateRows(rows, batch) {
+  const problems = [];
+  
+  rows.forEach((row, index) => {
+    const at = batch ? { index } : {};
+    
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      problems.push({ ...at, field: null, message: 'must be an object' });
+      return;
+    }
+    for (const column of Object.keys(row)) {
+      if (!COLUMN_NAME_PATTERN.test(column)) {
+        problems.push({ ...at, field: column, message: 'is not a valid column name' });
+      }
+    }
+  });
+  
+  return problems;
+}
+
+/**
+ * Validate the rows of a write against the table's schema (see
+ * core/body-validator). Form-encoded bodies are converted to the column types.
+ * @param {Object} req - HTTP request
+ * @param {string} tableName - Table name
+ * @param {Array<Object>} rows - Rows or changes to write
+ * @param {Object} options - mode (create, replace or update), batch, and
+ *   exempt: required columns that don't have to be in the body
+ * @returns {Promise<Array<Object>>} Validated rows
+ */
+async function validateBody(req, tableName, rows, { mode, batch = false, exempt = [] }) {
+  // Columns the caller's row policy fills in don't have to be sent
+  const pinned = mode === 'update' ? [] : policyEngine.pinnedColumns(tableName, policyEngine.accessFor(req));
+  
+  return bodyValidator.validate(tableName, rows, {
+    mode,
+    batch,
+    coerce: (req.headers['content-type'] || '').includes('application/x-www-form-urlencoded'),
+    exempt: [...exempt, ...pinned]
+  });
+}
+
 /**
- * Get all records from a table
+ * Ensure the body of an update is an object with at least one column
+ * @param {any} data - Request body
+ * @returns {Object} Request body
+ */
+function requireColumns(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || Object.keys(data).length === 0) {
+    throw new AppError('Request body must be an object with the columns to update', 400, 'Data Controller');
+  }
+  return data;
+}
+
+/**
+ * Get the columns a replacement clears when the body leaves them out:
+ * nullable columns without a default that the caller may write. Keys,
+ * columns with a default and columns the caller's row policy fills in are
+ * left as they are, as are all columns of a table the schema doesn't list.
+ * @param {Object} req - HTTP request
+ * @param {string} tableName - Table name
+ * @param {Object} key - Record key, from resolveKey
+ * @returns {Promise<Array<string>>} Column names
+ */
+async function clearableColumns(req, tableName, key) {
+  const table = (await schemaIntrospector.getTables()).find(({ name }) => name === tableName);
+  if (!table) return [];
+  
+  const writable = policyEngine.writableColumns(tableName);
+  const pinned = policyEngine.pinnedColumns(tableName, policyEngine.accessFor(req));
+  
+  return table.columns
+    .filter(column => column.nullable && column.default === null && !column.primaryKey)
+    .map(({ name }) => name)
+    .filter(column => key[column] === undefined && !pinned.includes(column) && (!writable || writable.includes(column)));
+}
+
+/**
+ * Build a filter matching a record only while its columns hold the values
+ * it was read with. Arrays and jsonb are compared as a whole; json columns
+ * have no equality operator, so records holding them can't be matched.
+ * @param {string} tableName - Table name
+ * @param {Object} row - Record as read
+ * @param {Object} key - Record key, from resolveKey
+ * @returns {Promise<Object|null>} Filter tree, or null if there is nothing to compare
+ * @throws {AppError} If the record has json columns
+ */
+async function unchangedFilter(tableName, row, key) {
+  const table = (await schemaIntrospector.getTables()).find(({ name }) => name === tableName);
+  const formats = new Map(table ? table.columns.map(({ name, format }) => [name, format]) : []);
+
+  const jsonColumns = Object.keys(row).filter(column => key[column] === undefined && formats.get(column) === 'json');
+  if (jsonColumns.length > 0) {
+    throw new AppError(
+      `If-Match is not supported on ${tableName}: its json columns (${jsonColumns.join(', ')}) can't be compared; use jsonb or add a version column`,
+      400,
+      'Data Controller'
+    );
+  }
+
+  const filters = Object.entries(row)
+    .filter(([column]) => key[column] === undefined)
+    .map(([column, value]) => {
+      if (value === null) return { field: column, operator: 'IS', value: null };
+      if (Array.isArray(value) && formats.get(column) !== 'jsonb') {
+        return { field: column, operator: '=', value: toContainmentValue(value) };
+      }
+      if (typeof value === 'object') return { field: column, operator: '=', value: JSON.stringify(value) };
+      return { field: column, operator: '=', value };
+    });
+
+  return filters.length > 0 ? { logic: 'and', filters } : null;
+}
+
+/**
+ * Fetch a full record and check the request's If-Match/If-None-Match
+ * headers against its ETag
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} tableName - Table name
+ * @param {Object} key - Record key, from resolveKey
+ * @param {string} operation - Write about to be made: update or delete
+ * @returns {Promise<Object>} Current record, and the filters and match
+ *   filter that write it only if it is still the version that was checked
+ */
+async function loadForWrite(req, res, tableName, key, operation) {
+  const options = requestOptions(req);
+  
+  // Refuse the write before reading, so the error names the write
+  policyEngine.authorize(tableName, operation, options.access);
+  const { data } = await dataRepository.select(tableName, '*', key, options);
+  
+  if (!data || data.length === 0) {
+    throw new NotFoundError(`Record not found in ${tableName} with ${formatKey(key)}`, 'Data Controller');
+  }
+  
+  const current = data[0];
+  const etag = computeETag(current);
+  
+  if (checkPreconditions(req, etag)) {
+    res.setHeader('ETag', etag);
+    throw new AppError('Record has been modified since it was read', 412, 'Data Controller');
+  }
+  
+  // With If-Match, the write only applies if the version column, or without
+  // one every column the ETag was computed from, still has the value that
+  // was checked, so a concurrent write can't slip in between
+  const filters = { ...key };
+  let match = null;
+  const column = versionColumn(current);
+  if (req.headers['if-match']) {
+    if (column) {
+      filters[column] = current[column];
+    } else {
+      match = await unchangedFilter(tableName, current, key);
+    }
+  }
+  
+  return { current, filters, match };
+}
+
+/**
+ * Update a record after checking preconditions, bumping its version column
+ * unless the body sets it
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} tableName - Table name
+ * @param {Object} key - Record key, from resolveKey
+ * @param {Function} buildChanges - Builds the columns to write from the current record
+ */
+async function writeRecord(req, res, tableName, key, buildChanges) {
+  const { current, filters, match } = await loadForWrite(req, res, tableName, key, 'update');
+  
+  const changes = buildChanges(current);
+  const systemColumns = [];
+  for (const [column, value] of Object.entries(nextVersion(current))) {
+    if (req.body[column] === undefined) {
+      changes[column] = value;
+      systemColumns.push(column);
+    }
+  }
+  
+  const result = await dataRepository.update(tableName, changes, filters, {
+    ...requestOptions(req),
+    systemColumns,
+    match
+  });
+  
+  if (!result || result.length === 0) {
+    if (req.headers['if-match']) {
+      throw new AppError('Record has been modified since it was read', 412, 'Data Controller');
+    }
+    throw new NotFoundError(`Record not found in ${tableName} with ${formatKey(key)}`, 'Data Controller');
+  }
+  
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('ETag', computeETag(result[0]));
+  res.end(JSON.stringify({ data: result[0] }));
+}
+
+/**
+ * Get all records from a table, or with `aggregate` (and `groupBy`)
+ * the aggregates of their groups
  * @param {Object} req - HTTP request
  * @param {Object} res - HTTP response
  * @param {string} tableName - Table name
@@ -13,62 +284,31 @@ const logger = require('../utils/logger');
  */
 async function getAll(req, res, tableName, query) {
   try {
-    // Check if complex filter is provided
-    let filter = null;
-    if (query.filter) {
-      try {
-        filter = JSON.parse(query.filter);
-      } catch (e) {
-        throw new AppError('Invalid filter JSON', 400, 'Data Controller');
-      }
+    const filter = buildFilter(query);
+    const pagination = parsePagination(query);
+    const aggregate = parseAggregate(query);
+    if (aggregate && query.select) {
+      throw new AppError('select cannot be combined with aggregate', 400, 'Data Controller');
     }
+    const columns = normalizeSelect(query.select);
     
-    let result;
-    
-    // Use the appropriate repository method based on filter type
-    if (filter) {
-      // Complex filter
-      result = await dataRepository.selectWithFilter(
-        tableName,
-        '*',
-        filter,
-        {
-          page: query.page,
-          pageSize: query.pageSize,
-          orderBy: query.orderBy,
-          ascending: query.ascending !== 'false'
-        }
-      );
-    } else {
-      // Simple filter - convert query params to filters object
-      const simpleFilters = { ...query };
-      
-      // Remove pagination and ordering params from filters
-      delete simpleFilters.page;
-      delete simpleFilters.pageSize;
-      delete simpleFilters.orderBy;
-      delete simpleFilters.ascending;
-      delete simpleFilters.filter;
-      
-      result = await dataRepository.select(
-        tableName,
-        '*',
-        simpleFilters,
-        {
-          page: query.page,
-          pageSize: query.pageSize,
-          orderBy: query.orderBy,
-          ascending: query.ascending !== 'false'
-        }
-      );
-    }
+    // Cached responses are invalidated by writes to the table or the tables
+    // it embeds; a select whose embeds can't be resolved isn't cached
+    const embedded = await schemaIntrospector.getEmbeddedTables(tableName, parseSelect(columns));
+    const tables = embedded && [tableName, ...embedded];
     
-    // Send response
-    res.statusCode = 200;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify(result));
+    await responseCache.respond(req, res, { kind: 'table', name: tableName, tables, query }, async () => {
+      const options = { ...pagination, ...requestOptions(req), order: orderFromQuery(query) };
+      const result = aggregate
+        ? await dataRepository.aggregate(tableName, aggregate, filter, options)
+        : await dataRepository.selectWithFilter(tableName, columns, filter, options);
+        
+      const body = buildEnvelope(result, pagination);
+      setPaginationHeaders(res, req, query, body, pagination);
+      return body;
+    });
   } catch (error) {
-    handleHttpError(res, error, 'Data Controller');
+    handleHttpError(res, error, 'Data Controller', error.statusCode);
   }
 }
 
@@ -77,31 +317,49 @@ async function getAll(req, res, tableName, query) {
  * @param {Object} req - HTTP request
  * @param {Object} res - HTTP response
  * @param {string} tableName - Table name
- * @param {string} id - Record ID
+ * @param {string} id - Record key as it appears in the URL
+ * @param {Object} query - Query parameters (select)
  */
-async function getById(req, res, tableName, id) {
+async function getById(req, res, tableName, id, query = {}) {
   try {
-    const { data, count } = await dataRepository.select(tableName, '*', { id });
+    const key = resolveKey(tableName, id);
+    const columns = normalizeSelect(query.select);
+    const { data, count } = await dataRepository.select(tableName, columns, key, requestOptions(req));
     
     if (!data || data.length === 0) {
-      throw new AppError(`Record not found in ${tableName} with id ${id}`, 404, 'Data Controller');
+      throw new NotFoundError(`Record not found in ${tableName} with ${formatKey(key)}`, 'Data Controller');
+    }
+    
+    const etag = computeETag(data[0], columns !== '*');
+    res.setHeader('ETag', etag);
+    
+    const precondition = checkPreconditions(req, etag);
+    if (precondition === 304) {
+      res.statusCode = 304;
+      return res.end();
+    }
+    if (precondition === 412) {
+      throw new AppError('Record has been modified since it was read', 412, 'Data Controller');
     }
     
     res.statusCode = 200;
     res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify({ data: data[0] }));
   } catch (error) {
-    handleHttpError(res, error, 'Data Controller');
+    handleHttpError(res, error, 'Data Controller', error.statusCode);
   }
 }
 
 /**
- * Create a new record
+ * Create one record, or a batch when the body is an array. With
+ * `upsert=true`, rows that conflict on `onConflict` (the primary key by
+ * default) are updated, or skipped with `ignoreDuplicates=true`.
  * @param {Object} req - HTTP request
  * @param {Object} res - HTTP response
  * @param {string} tableName - Table name
+ * @param {Object} query - Query parameters (upsert, onConflict, ignoreDuplicates)
  */
-async function create(req, res, tableName) {
+async function create(req, res, tableName, query = {}) {
   try {
     const data = req.body;
     
@@ -109,42 +367,113 @@ async function create(req, res, tableName) {
       throw new AppError('Request body is required', 400, 'Data Controller');
     }
     
-    const result = await dataRepository.insert(tableName, data);
+    const batch = Array.isArray(data);
+    const rows = batch ? data : [data];
+    
+    if (rows.length === 0) {
+      throw new AppError('Request body must contain at least one row', 400, 'Data Controller');
+    }
+    if (rows.length > MAX_BATCH_SIZE) {
+      throw new AppError(`A batch can contain at most ${MAX_BATCH_SIZE} rows`, 400, 'Data Controller');
+    }
+    
+    // The batch is inserted in one statement, so one invalid row rejects them all
+    const problems = validateRows(rows, batch);
+    if (problems.length > 0) {
+      throw new ValidationError(
+        batch ? `${new Set(problems.map(({ index }) => index)).size} of ${rows.length} rows are invalid` : 'Request body is invalid',
+        'Data Controller',
+        problems
+      );
+    }
+    
+    const validated = await validateBody(req, tableName, rows, { mode: 'create', batch });
+    const payload = batch ? validated : validated[0];
+    
+    const upsert = query.upsert === 'true';
+    if (!upsert && (query.onConflict || query.ignoreDuplicates)) {
+      throw new AppError('onConflict and ignoreDuplicates require upsert=true', 400, 'Data Controller');
+    }
+    
+    let result;
+    if (upsert) {
+      const onConflict = query.onConflict
+        ? query.onConflict.split(',').map(column => column.trim())
+        : [];
+        
+      if (onConflict.some(column => !COLUMN_NAME_PATTERN.test(column))) {
+        throw new AppError('onConflict must be a comma-separated list of columns', 400, 'Data Controller');
+      }
+      
+      result = await dataRepository.upsert(tableName, payload, {
+        ...requestOptions(req),
+        onConflict: onConflict.join(','),
+        ignoreDuplicates: query.ignoreDuplicates === 'true'
+      });
+    } else {
+      result = await dataRepository.insert(tableName, payload, requestOptions(req));
+    }
     
-    res.statusCode = 201;
+    res.statusCode = upsert ? 200 : 201;
     res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({ data: result }));
+    res.end(JSON.stringify(batch ? { data: result, count: result.length } : { data: result }));
   } catch (error) {
-    handleHttpError(res, error, 'Data Controller');
+    handleHttpError(res, error, 'Data Controller', error.statusCode);
   }
 }
 
 /**
- * Update a record
+ * Replace a record. Nullable columns without a default left out of the
+ * body are cleared (see clearableColumns), so clients send the full
+ * record; use patch for partial updates.
  * @param {Object} req - HTTP request
  * @param {Object} res - HTTP response
  * @param {string} tableName - Table name
- * @param {string} id - Record ID
+ * @param {string} id - Record key as it appears in the URL
  */
 async function update(req, res, tableName, id) {
   try {
-    const data = req.body;
+    const body = requireColumns(req.body);
+    const key = resolveKey(tableName, id);
     
-    if (!data) {
-      throw new AppError('Request body is required', 400, 'Data Controller');
+    for (const [column, value] of Object.entries(key)) {
+      if (body[column] !== undefined && String(body[column]) !== String(value)) {
+        throw new AppError(`The ${column} in the body does not match the URL`, 400, 'Data Controller');
+      }
     }
     
-    const result = await dataRepository.update(tableName, data, { id });
+    // The key comes from the URL, so it doesn't have to be repeated in the body
+    const [data] = await validateBody(req, tableName, [body], { mode: 'replace', exempt: Object.keys(key) });
     
-    if (!result || result.length === 0) {
-      throw new AppError(`Record not found in ${tableName} with id ${id}`, 404, 'Data Controller');
-    }
+    const cleared = await clearableColumns(req, tableName, key);
     
-    res.statusCode = 200;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({ data: result[0] }));
+    await writeRecord(req, res, tableName, key, current => {
+      const replacement = {};
+      for (const column of cleared) {
+        if (column in current) replacement[column] = null;
+      }
+      return { ...replacement, ...data };
+    });
   } catch (error) {
-    handleHttpError(res, error, 'Data Controller');
+    handleHttpError(res, error, 'Data Controller', error.statusCode);
+  }
+}
+
+/**
+ * Update some columns of a record, leaving the others as they are
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} tableName - Table name
+ * @param {string} id - Record key as it appears in the URL
+ */
+async function patch(req, res, tableName, id) {
+  try {
+    const key = resolveKey(tableName, id);
+    const [data] = await validateBody(req, tableName, [requireColumns(req.body)], { mode: 'update' });
+    
+    await writeRecord(req, res, tableName, key, () => ({ ...data }));
+  } catch (error) {
+    handleHttpError(res, error, 'Data Controller', error.statusCode);
   }
 }
 
@@ -153,21 +482,90 @@ async function update(req, res, tableName, id) {
  * @param {Object} req - HTTP request
  * @param {Object} res - HTTP response
  * @param {string} tableName - Table name
- * @param {string} id - Record ID
+ * @param {string} id - Record key as it appears in the URL
  */
 async function deleteRecord(req, res, tableName, id) {
   try {
-    const result = await dataRepository.delete(tableName, { id });
+    const key = resolveKey(tableName, id);
+    const { filters, match } = await loadForWrite(req, res, tableName, key, 'delete');
+    
+    const result = await dataRepository.delete(tableName, filters, { ...requestOptions(req), match });
     
     if (!result || result.length === 0) {
-      throw new AppError(`Record not found in ${tableName} with id ${id}`, 404, 'Data Controller');
+      if (req.headers['if-match']) {
+        throw new AppError('Record has been modified since it was read', 412, 'Data Controller');
+      }
+      throw new NotFoundError(`Record not found in ${tableName} with ${formatKey(key)}`, 'Data Controller');
     }
     
     res.statusCode = 200;
     res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify({ success: true, data: result[0] }));
   } catch (error) {
-    handleHttpError(res, error, 'Data Controller');
+    handleHttpError(res, error, 'Data Controller', error.statusCode);
+  }
+}
+
+/**
+ * Update every record matching the request's filters. With `dryRun=true`
+ * only the number of matching records is returned.
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} tableName - Table name
+ * @param {Object} query - Query parameters (filters, dryRun)
+ */
+async function updateMany(req, res, tableName, query) {
+  try {
+    const [data] = await validateBody(req, tableName, [requireColumns(req.body)], { mode: 'update' });
+    const filter = buildFilter(query);
+    const options = requestOptions(req);
+    
+    let body;
+    if (query.dryRun === 'true') {
+      dataRepository.requireFilter(filter, 'update');
+      const count = await dataRepository.countWhere(tableName, filter, { ...options, operation: 'update' });
+      body = { dryRun: true, count };
+    } else {
+      const result = await dataRepository.updateWhere(tableName, data, filter, options);
+      body = { data: result, count: result.length };
+    }
+    
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  } catch (error) {
+    handleHttpError(res, error, 'Data Controller', error.statusCode);
+  }
+}
+
+/**
+ * Delete every record matching the request's filters. With `dryRun=true`
+ * only the number of matching records is returned.
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} tableName - Table name
+ * @param {Object} query - Query parameters (filters, dryRun)
+ */
+async function deleteMany(req, res, tableName, query) {
+  try {
+    const filter = buildFilter(query);
+    const options = requestOptions(req);
+    
+    let body;
+    if (query.dryRun === 'true') {
+      dataRepository.requireFilter(filter, 'delete');
+      const count = await dataRepository.countWhere(tableName, filter, { ...options, operation: 'delete' });
+      body = { dryRun: true, count };
+    } else {
+      const result = await dataRepository.deleteWhere(tableName, filter, options);
+      body = { success: true, data: result, count: result.length };
+    }
+    
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  } catch (error) {
+    handleHttpError(res, error, 'Data Controller', error.statusCode);
   }
 }
 
@@ -176,5 +574,8 @@ module.exports = {
   getById,
   create,
   update,
-  delete: deleteRecord
+  patch,
+  delete: deleteRecord,
+  updateMany,
+  deleteMany
 };
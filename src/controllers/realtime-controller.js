@@ -0,0 +1,192 @@
+// realtime-controller.js
+const realtimeHub = require('../core/realtime-hub');
+const policyEngine = require('../core/policy-engine');
+const { getTokenExpiry } = require('../core/supabase-client');
+const { isWebSocketRequest, acceptWebSocket } = require('../server/websocket');
+const { handleHttpError, AppError } = require('../utils/error-handler');
+const { parseQueryFilters } = require('../utils/query-filter-parser');
+const { assertMatchable } = require('../utils/filter-matcher');
+const logger = require('../utils/logger');
+
+// Query parameters of the realtime endpoint that are not filters
+const RESERVED_PARAMS = ['filter', 'lastEventId', 'access_token'];
+
+// Comments or pings sent on idle streams so proxies don't close them
+const HEARTBEAT_INTERVAL = (parseInt(process.env.REALTIME_HEARTBEAT, 10) || 25) * 1000;
+
+// Reconnection delay suggested to EventSource clients, in milliseconds
+const RETRY_DELAY = 3000;
+
+// WebSocket close code sent when the caller's token expires
+const TOKEN_EXPIRED_CODE = 4001;
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Build the filter tree of a subscription from the JSON `filter` param and
+ * the compact filter syntax of every other non-reserved param
+ * @param {Object} query - Query parameters
+ * @returns {Object|null} AND group of all filters, or null if there are none
+ */
+function buildFilter(query) {
+  const filters = [];
+  
+  if (query.filter) {
+    try {
+      filters.push(JSON.parse(query.filter));
+    } catch (e) {
+      throw new AppError('Invalid filter JSON', 400, 'Realtime Controller');
+    }
+  }
+  
+  const params = { ...query };
+  for (const key of RESERVED_PARAMS) {
+    delete params[key];
+  }
+  
+  const paramFilter = parseQueryFilters(params);
+  if (paramFilter) {
+    filters.push(paramFilter);
+  }
+  
+  return filters.length > 0 ? { logic: 'AND', filters } : null;
+}
+
+/**
+ * Call a function when the caller's token expires
+ * @param {number|null} expiresAt - Expiry timestamp in milliseconds, or null
+ * @param {Function} onExpiry - Called on expiry
+ * @returns {Object|null} Timer, or null if the token doesn't expire
+ */
+function whenExpired(expiresAt, onExpiry) {
+  if (!expiresAt) return null;
+  return setTimeout(onExpiry, Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMER_DELAY));
+}
+
+/**
+ * Format an event as a Server-Sent Events message
+ * @param {Object} event - Event: type, data and, for changes, id
+ * @returns {string} Message
+ */
+function formatEvent(event) {
+  const lines = [];
+  if (event.id) lines.push(`id: ${event.id}`);
+  lines.push(`event: ${event.type}`);
+  lines.push(`data: ${JSON.stringify(event.data)}`);
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Stream a session's events as Server-Sent Events
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Object} opened - Session, replay and reset from the hub
+ * @param {number|null} expiresAt - When the caller's token expires
+ */
+function streamEvents(req, res, { session, replay, reset }, expiresAt) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  req.socket.setTimeout(0);
+  
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+  if (reset) res.write(formatEvent({ type: 'reset', data: { table: session.tableName } }));
+  replay.forEach(event => res.write(formatEvent(event)));
+  res.write(formatEvent({ id: `${session.id}.${session.seq}`, type: 'ready', data: { table: session.tableName } }));
+  
+  realtimeHub.attach(session, event => res.write(formatEvent(event)));
+  
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  const expiry = whenExpired(expiresAt, () => {
+    res.write(formatEvent({ type: 'expired', data: { message: 'Access token expired' } }));
+    res.end();
+  });
+  
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    realtimeHub.detach(session);
+  });
+}
+
+/**
+ * Stream a session's events over a WebSocket, one JSON message per event.
+ * The stream is one way: messages from the client are ignored.
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response, bound to the upgraded socket
+ * @param {Object} opened - Session, replay and reset from the hub
+ * @param {number|null} expiresAt - When the caller's token expires
+ */
+function streamWebSocket(req, res, { session, replay, reset }, expiresAt) {
+  const socket = acceptWebSocket(req, res);
+  const send = event => socket.send(JSON.stringify({ id: event.id, event: event.type, data: event.data }));
+  
+  if (reset) send({ type: 'reset', data: { table: session.tableName } });
+  replay.forEach(send);
+  send({ id: `${session.id}.${session.seq}`, type: 'ready', data: { table: session.tableName } });
+  
+  realtimeHub.attach(session, send);
+  
+  const heartbeat = setInterval(() => socket.ping(), HEARTBEAT_INTERVAL);
+  const expiry = whenExpired(expiresAt, () => socket.close(TOKEN_EXPIRED_CODE, 'Access token expired'));
+  
+  socket.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    realtimeHub.detach(session);
+  });
+}
+
+/**
+ * Subscribe to the changes of a table, over Server-Sent Events or, for
+ * upgrade requests, a WebSocket. Events are filtered by the caller's table
+ * policy and by the same filters as the list endpoint; a client resumes a
+ * stream by sending the ID of the last event it saw as `Last-Event-ID`
+ * (or the `lastEventId` param).
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} tableName - Table name
+ * @param {Object} query - Query parameters
+ */
+async function subscribe(req, res, tableName, query) {
+  try {
+    const access = policyEngine.accessFor(req);
+    policyEngine.authorize(tableName, 'read', access);
+    
+    const filter = buildFilter(query);
+    assertMatchable(filter);
+    policyEngine.checkFields(policyEngine.scopeRead(tableName, '*', access), filter);
+    
+    const token = req.accessToken || null;
+    const opened = realtimeHub.open({
+      tableName,
+      access,
+      token,
+      filter,
+      lastEventId: req.headers['last-event-id'] || query.lastEventId
+    });
+    
+    try {
+      const expiresAt = token ? getTokenExpiry(token) : null;
+      if (isWebSocketRequest(req)) {
+        streamWebSocket(req, res, opened, expiresAt);
+      } else {
+        streamEvents(req, res, opened, expiresAt);
+      }
+    } catch (error) {
+      realtimeHub.end(opened.session);
+      throw error;
+    }
+    
+    logger.info(`Realtime subscription to ${tableName} (session ${opened.session.id})`);
+  } catch (error) {
+    handleHttpError(res, error, 'Realtime Controller', error.statusCode);
+  }
+}
+
+module.exports = {
+  subscribe
+};
@@ -0,0 +1,139 @@
+// rpc-controller.js
+const dataRepository = require('../core/data-repository');
+const bodyValidator = require('../core/body-validator');
+const policyEngine = require('../core/policy-engine');
+const { getRequestClient } = require('../core/supabase-client');
+const { handleHttpError, AppError } = require('../utils/error-handler');
+const { parseQueryFilters } = require('../utils/query-filter-parser');
+const { normalizeSelect } = require('../utils/select-parser');
+const { parsePagination, buildEnvelope, setPaginationHeaders } = require('../utils/pagination');
+const { orderFromQuery } = require('../utils/order-parser');
+
+// Query parameters of the RPC endpoint that are neither arguments nor filters
+const RESERVED_PARAMS = ['page', 'pageSize', 'cursor', 'count', 'order', 'orderBy', 'ascending', 'filter', 'select'];
+
+/**
+ * Send a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Build the filter tree of a call from the JSON `filter` param and the
+ * compact filter syntax of the given params
+ * @param {Object} query - Query parameters
+ * @param {Object} params - Params that filter the rows
+ * @returns {Object|null} AND group of all filters, or null if there are none
+ */
+function buildFilter(query, params) {
+  const filters = [];
+  
+  if (query.filter) {
+    try {
+      filters.push(JSON.parse(query.filter));
+    } catch (e) {
+      throw new AppError('Invalid filter JSON', 400, 'RPC Controller');
+    }
+  }
+  
+  const paramFilter = parseQueryFilters(params);
+  if (paramFilter) {
+    filters.push(paramFilter);
+  }
+  
+  return filters.length > 0 ? { logic: 'AND', filters } : null;
+}
+
+/**
+ * Split the params of a call into its arguments and the params that filter
+ * its rows. A POST takes its arguments from the body; a GET, as in
+ * PostgREST, from the params named after a parameter of the function (all
+ * of them when its signature is unknown).
+ * @param {Object} req - HTTP request
+ * @param {Object|null} fn - Function signature (see body-validator)
+ * @param {Object} query - Query parameters
+ * @returns {Object} Arguments and filter params
+ */
+function splitParams(req, fn, query) {
+  const params = { ...query };
+  for (const key of RESERVED_PARAMS) {
+    delete params[key];
+  }
+  
+  if (req.method !== 'GET') {
+    const args = req.body || {};
+    if (typeof args !== 'object' || Array.isArray(args)) {
+      throw new AppError('Request body must be an object of arguments', 400, 'RPC Controller');
+    }
+    return { args, filterParams: params };
+  }
+  
+  if (!fn) return { args: params, filterParams: {} };
+  
+  const names = fn.parameters.map(({ name }) => name);
+  const args = {};
+  const filterParams = {};
+  for (const [key, value] of Object.entries(params)) {
+    (names.includes(key) ? args : filterParams)[key] = value;
+  }
+  return { args, filterParams };
+}
+
+/**
+ * Call a Postgres function. GET calls run read-only, so they fail for
+ * functions that write. Rows a set-returning function returns can be
+ * selected, filtered, sorted and paged like a table's and come back in
+ * the list envelope; any other result comes back as `data`.
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} functionName - Function name
+ * @param {Object} query - Query parameters
+ */
+async function call(req, res, functionName, query = {}) {
+  try {
+    const access = policyEngine.accessFor(req);
+    
+    // Refuse the call before looking up the function, so unlisted ones stay hidden
+    policyEngine.authorizeFunction(functionName, access);
+    const fn = await bodyValidator.getFunction(functionName);
+    
+    const { args, filterParams } = splitParams(req, fn, query);
+    const validArgs = fn
+      ? bodyValidator.validateArgs(fn, args, {
+        coerce: req.method === 'GET' || (req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')
+      })
+      : args;
+      
+    const pagination = parsePagination(query);
+    const result = await dataRepository.callFunction(functionName, validArgs, {
+      ...pagination,
+      client: getRequestClient(req),
+      access,
+      get: req.method === 'GET',
+      columns: query.select ? normalizeSelect(query.select) : undefined,
+      filter: buildFilter(query, filterParams),
+      order: orderFromQuery(query)
+    });
+    
+    if (!Array.isArray(result.data)) {
+      sendJson(res, 200, { data: result.data });
+      return;
+    }
+    
+    const body = buildEnvelope(result, pagination);
+    setPaginationHeaders(res, req, query, body, pagination);
+    sendJson(res, 200, body);
+  } catch (error) {
+    handleHttpError(res, error, 'RPC Controller', error.statusCode);
+  }
+}
+
+module.exports = {
+  call
+};
@@ -0,0 +1,83 @@
+// schema-controller.js
+const schemaIntrospector = require('../core/schema-introspector');
+const policyEngine = require('../core/policy-engine');
+const viewEngine = require('../core/view-engine');
+const { getRequestClient } = require('../core/supabase-client');
+const { getKeyColumns } = require('../core/table-keys');
+const { isAdmin } = require('../auth/auth-middleware');
+const { handleHttpError } = require('../utils/error-handler');
+const { buildOpenApi } = require('../utils/openapi-builder');
+const logger = require('../utils/logger');
+
+/**
+ * Send a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read the schema options of a request; only admins can bypass the cache
+ * @param {Object} req - HTTP request
+ * @param {Object} query - Query parameters (refresh)
+ * @returns {Object} Schema options
+ */
+function schemaOptions(req, query) {
+  return { refresh: query.refresh === 'true' && isAdmin(req.user) };
+}
+
+/**
+ * Describe the tables the caller can use: columns, types, keys and relations
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Object} query - Query parameters (refresh)
+ */
+async function getSchema(req, res, query = {}) {
+  try {
+    const tables = await schemaIntrospector.getSchema(policyEngine.accessFor(req), schemaOptions(req, query));
+    
+    sendJson(res, 200, {
+      data: tables.map(table => ({
+        ...table,
+        key: getKeyColumns(table.name)
+      }))
+    });
+  } catch (error) {
+    handleHttpError(res, error, 'Schema Controller', error.statusCode);
+  }
+}
+
+/**
+ * Generate the OpenAPI 3 document of the API as the caller can use it
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Object} query - Query parameters (refresh)
+ */
+async function getOpenApi(req, res, query = {}) {
+  try {
+    const tables = await schemaIntrospector.getSchema(policyEngine.accessFor(req), schemaOptions(req, query));
+    
+    // The document still describes the data routes if the views can't be read
+    let views = [];
+    try {
+      const { data } = await viewEngine.listViewDefinitions({ client: getRequestClient(req) });
+      views = data || [];
+    } catch (error) {
+      logger.warn(`Views left out of the OpenAPI document: ${error.message}`);
+    }
+    
+    sendJson(res, 200, buildOpenApi({ tables, views, keyColumns: getKeyColumns }));
+  } catch (error) {
+    handleHttpError(res, error, 'Schema Controller', error.statusCode);
+  }
+}
+
+module.exports = {
+  getSchema,
+  getOpenApi
+};
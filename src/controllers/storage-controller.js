@@ -0,0 +1,339 @@
+// storage-controller.js
+const { Readable, Transform, pipeline } = require('stream');
+const storageService = require('../core/storage-service');
+const dataRepository = require('../core/data-repository');
+const bodyValidator = require('../core/body-validator');
+const policyEngine = require('../core/policy-engine');
+const { getRequestClient, extractBearerToken } = require('../core/supabase-client');
+const { resolveKey, formatKey } = require('../core/table-keys');
+const { parseMultipart, multipartBoundary } = require('../server/multipart-parser');
+const { handleHttpError, AppError, ValidationError, NotFoundError } = require('../utils/error-handler');
+const { nextVersion } = require('../utils/etag');
+const logger = require('../utils/logger');
+
+const MAX_LIST_LIMIT = 1000;
+
+/**
+ * Build the service options of a request, so Storage policies apply to the caller
+ * @param {Object} req - HTTP request
+ * @returns {Object} Service options
+ */
+function requestOptions(req) {
+  return { client: getRequestClient(req), token: extractBearerToken(req) };
+}
+
+/**
+ * Send a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read the row an upload is linked to from the `linkTable`, `linkId` and
+ * `linkColumn` params, and check that the caller may set the column
+ * before anything is uploaded
+ * @param {Object} req - HTTP request
+ * @param {Object} query - Query parameters
+ * @param {string} fullPath - Full path the object will have
+ * @returns {Promise<Object|null>} Table, key, column and current row, or
+ *   null if the upload isn't linked
+ */
+async function resolveLink(req, query, fullPath) {
+  const { linkTable, linkId, linkColumn } = query;
+  if (linkTable === undefined && linkId === undefined && linkColumn === undefined) return null;
+  if (!linkTable || !linkId || !linkColumn) {
+    throw new ValidationError('linkTable, linkId and linkColumn go together', 'Storage Controller');
+  }
+  
+  const access = policyEngine.accessFor(req);
+  policyEngine.authorize(linkTable, 'update', access);
+  policyEngine.checkWrite(linkTable, [{ [linkColumn]: fullPath }], access, 'update');
+  await bodyValidator.validate(linkTable, [{ [linkColumn]: fullPath }], { mode: 'update' });
+  
+  const key = resolveKey(linkTable, linkId);
+  const { data } = await dataRepository.select(linkTable, '*', key, { client: getRequestClient(req), access });
+  if (!data || data.length === 0) {
+    throw new NotFoundError(`Record not found in ${linkTable} with ${formatKey(key)}`, 'Storage Controller');
+  }
+  
+  return { table: linkTable, key, column: linkColumn, current: data[0] };
+}
+
+/**
+ * Store an uploaded object's path in the linked row. If that fails the
+ * object is deleted again, so no unreferenced file is left behind.
+ * @param {Object} req - HTTP request
+ * @param {Object} link - Link from resolveLink
+ * @param {Object} uploaded - Uploaded object
+ * @returns {Promise<Object>} Updated row
+ */
+async function linkObject(req, link, uploaded) {
+  try {
+    const changes = { [link.column]: uploaded.fullPath, ...nextVersion(link.current) };
+    const result = await dataRepository.update(link.table, changes, link.key, {
+      client: getRequestClient(req),
+      access: policyEngine.accessFor(req),
+      systemColumns: Object.keys(nextVersion(link.current))
+    });
+    
+    if (!result || result.length === 0) {
+      throw new NotFoundError(`Record not found in ${link.table} with ${formatKey(link.key)}`, 'Storage Controller');
+    }
+    return result[0];
+  } catch (error) {
+    await storageService.remove(uploaded.bucket, [uploaded.path], requestOptions(req))
+      .catch(removeError => logger.error(`Could not delete unlinked object ${uploaded.fullPath}`, removeError));
+    throw error;
+  }
+}
+
+/**
+ * Pass a request body on while counting its size. Past the limit the rest
+ * of the body is discarded, so the 413 can still be sent.
+ * @param {Object} req - HTTP request
+ * @param {number} maxFileSize - Largest body accepted, in bytes
+ * @returns {Transform} Body stream, which fails with a 413 past the limit
+ */
+function limitedBody(req, maxFileSize) {
+  let size = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxFileSize) {
+        callback(new AppError(`File is larger than ${maxFileSize} bytes`, 413, 'Storage Controller'));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+  counter.on('error', () => {
+    req.unpipe(counter);
+    req.resume();
+  });
+  req.pipe(counter);
+  return counter;
+}
+
+/**
+ * List the objects and folders of a bucket
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} bucket - Bucket name
+ * @param {Object} query - Query parameters (prefix, limit, offset, search, sortBy, order)
+ */
+async function list(req, res, bucket, query) {
+  try {
+    storageService.checkBucket(bucket);
+    
+    const prefix = query.prefix ? storageService.objectPath(String(query.prefix).replace(/\/+$/, '')) : '';
+    const limit = query.limit === undefined ? 100 : parseInt(query.limit, 10);
+    const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+    if (!(limit >= 1 && limit <= MAX_LIST_LIMIT) || !(offset >= 0)) {
+      throw new ValidationError(`limit must be between 1 and ${MAX_LIST_LIMIT}, offset 0 or more`, 'Storage Controller');
+    }
+    
+    const data = await storageService.list(bucket, prefix, {
+      limit,
+      offset,
+      search: query.search,
+      sortBy: { column: query.sortBy || 'name', order: query.order === 'desc' ? 'desc' : 'asc' }
+    }, requestOptions(req));
+    
+    sendJson(res, 200, { data });
+  } catch (error) {
+    handleHttpError(res, error, 'Storage Controller', error.statusCode);
+  }
+}
+
+/**
+ * Upload a file, streamed to Storage as it's received: the file part of
+ * a multipart/form-data body, or a raw body with the file's Content-Type.
+ * With `linkTable`, `linkId` and `linkColumn` the object's full path is
+ * stored in that row.
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} bucket - Bucket name
+ * @param {string} rawPath - Object path (still percent-encoded)
+ * @param {Object} query - Query parameters (link params)
+ * @param {boolean} upsert - Whether to replace an existing object (PUT)
+ */
+async function upload(req, res, bucket, rawPath, query, upsert) {
+  try {
+    storageService.checkBucket(bucket);
+    const objectPath = storageService.objectPath(rawPath, true);
+    const { maxFileSize } = storageService.limits;
+    
+    const declaredSize = parseInt(req.headers['content-length'], 10);
+    if (declaredSize > maxFileSize && !multipartBoundary(req)) {
+      throw new AppError(`File is larger than ${maxFileSize} bytes`, 413, 'Storage Controller');
+    }
+    
+    const link = await resolveLink(req, query, `${bucket}/${objectPath}`);
+    const send = async (body, contentType) => {
+      storageService.checkFile(contentType);
+      return storageService.upload(bucket, objectPath, body, { contentType, upsert }, requestOptions(req));
+    };
+    
+    let uploaded;
+    let file;
+    if (multipartBoundary(req)) {
+      const parsed = await parseMultipart(req, {
+        maxFileSize,
+        onFile: part => send(part.stream, part.contentType)
+      });
+      if (!parsed.file) {
+        throw new ValidationError('The multipart body has no file', 'Storage Controller');
+      }
+      uploaded = parsed.result;
+      file = parsed.file;
+    } else {
+      const contentType = req.headers['content-type'] || 'application/octet-stream';
+      storageService.checkFile(contentType);
+      uploaded = await send(limitedBody(req, maxFileSize), contentType);
+      file = { contentType, size: declaredSize || null };
+    }
+    
+    const data = { ...uploaded, contentType: file.contentType, size: file.size };
+    if (link) {
+      data.record = await linkObject(req, link, uploaded);
+    }
+    
+    logger.info(`Uploaded ${uploaded.fullPath}`);
+    sendJson(res, upsert ? 200 : 201, { data });
+  } catch (error) {
+    // Don't leave an unread body behind the error response
+    req.resume();
+    handleHttpError(res, error, 'Storage Controller', error.statusCode);
+  }
+}
+
+/**
+ * Download a file, streamed from Storage. Range and conditional requests
+ * are passed on; `download` (true or a filename) asks browsers to save it.
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} bucket - Bucket name
+ * @param {string} rawPath - Object path (still percent-encoded)
+ * @param {Object} query - Query parameters (download)
+ */
+async function download(req, res, bucket, rawPath, query) {
+  try {
+    storageService.checkBucket(bucket);
+    const objectPath = storageService.objectPath(rawPath, true);
+    
+    const headers = {};
+    for (const name of ['range', 'if-none-match', 'if-modified-since']) {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    }
+    
+    const file = await storageService.download(bucket, objectPath, headers, requestOptions(req));
+    
+    res.statusCode = file.status;
+    for (const [name, value] of Object.entries(file.headers)) {
+      res.setHeader(name, value);
+    }
+    if (query.download !== undefined && query.download !== 'false') {
+      const filename = query.download && query.download !== 'true' ? query.download : objectPath.split('/').pop();
+      res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/["\\\r\n]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    }
+    
+    if (!file.body) {
+      res.end();
+      return;
+    }
+    pipeline(Readable.fromWeb(file.body), res, error => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.error(`Error streaming ${bucket}/${objectPath}`, error);
+      }
+    });
+  } catch (error) {
+    handleHttpError(res, error, 'Storage Controller', error.statusCode);
+  }
+}
+
+/**
+ * Move (rename) an object within a bucket. Rows linked to the object keep
+ * the old path.
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} bucket - Bucket name
+ */
+async function move(req, res, bucket) {
+  try {
+    storageService.checkBucket(bucket);
+    const { from, to } = req.body || {};
+    const fromPath = storageService.objectPath(from);
+    const toPath = storageService.objectPath(to);
+    
+    await storageService.move(bucket, fromPath, toPath, requestOptions(req));
+    
+    sendJson(res, 200, { data: { bucket, from: fromPath, to: toPath, fullPath: `${bucket}/${toPath}` } });
+  } catch (error) {
+    handleHttpError(res, error, 'Storage Controller', error.statusCode);
+  }
+}
+
+/**
+ * Delete an object
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} bucket - Bucket name
+ * @param {string} rawPath - Object path (still percent-encoded)
+ */
+async function remove(req, res, bucket, rawPath) {
+  try {
+    storageService.checkBucket(bucket);
+    const objectPath = storageService.objectPath(rawPath, true);
+    
+    const deleted = await storageService.remove(bucket, [objectPath], requestOptions(req));
+    if (!deleted || deleted.length === 0) {
+      throw new NotFoundError(`Object not found: ${bucket}/${objectPath}`, 'Storage Controller');
+    }
+    
+    sendJson(res, 200, { success: true, data: deleted[0] });
+  } catch (error) {
+    handleHttpError(res, error, 'Storage Controller', error.statusCode);
+  }
+}
+
+/**
+ * Create signed URLs for one object (`path`) or several (`paths`), valid
+ * for `expiresIn` seconds (3600 by default)
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} bucket - Bucket name
+ */
+async function sign(req, res, bucket) {
+  try {
+    storageService.checkBucket(bucket);
+    const { path: single, paths, expiresIn = 3600, download: downloadAs } = req.body || {};
+    
+    const requested = paths !== undefined ? paths : [single];
+    if (!Array.isArray(requested) || requested.length === 0) {
+      throw new ValidationError('paths must be a non-empty array', 'Storage Controller');
+    }
+    const objectPaths = requested.map(objectPath => storageService.objectPath(objectPath));
+    
+    const urlOptions = downloadAs ? { download: downloadAs } : {};
+    const data = await storageService.createSignedUrls(bucket, objectPaths, Number(expiresIn), urlOptions, requestOptions(req));
+    
+    sendJson(res, 200, { data: paths !== undefined ? data : data[0] });
+  } catch (error) {
+    handleHttpError(res, error, 'Storage Controller', error.statusCode);
+  }
+}
+
+module.exports = {
+  list,
+  upload,
+  download,
+  move,
+  remove,
+  sign
+};
@@ -0,0 +1,220 @@
+// view-controller.js
+const viewEngine = require('../core/view-engine');
+const { getRequestClient } = require('../core/supabase-client');
+const policyEngine = require('../core/policy-engine');
+const responseCache = require('../core/response-cache');
+const { handleHttpError } = require('../utils/error-handler');
+const { AppError } = require('../utils/error-handler');
+const { parseQueryFilters } = require('../utils/query-filter-parser');
+const { parsePagination, buildEnvelope, setPaginationHeaders } = require('../utils/pagination');
+const { orderFromQuery } = require('../utils/order-parser');
+
+// Query parameters of executeView that are not filters
+const RESERVED_PARAMS = ['filter', 'page', 'pageSize', 'cursor', 'count', 'order', 'orderBy', 'ascending'];
+
+/**
+ * Send a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Execute a view
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} viewId - View ID
+ * @param {Object} query - Query parameters
+ */
+async function executeView(req, res, viewId, query) {
+  try {
+    const filters = [];
+    
+    // Complex filter tree, using `table.field` names
+    if (query.filter) {
+      try {
+        filters.push(JSON.parse(query.filter));
+      } catch (e) {
+        throw new AppError('Invalid filter JSON', 400, 'View Controller');
+      }
+    }
+    
+    // Every other param that isn't pagination or ordering is a filter in the compact syntax
+    const params = { ...query };
+    for (const key of RESERVED_PARAMS) {
+      delete params[key];
+    }
+    
+    const paramFilter = parseQueryFilters(params);
+    if (paramFilter) {
+      filters.push(paramFilter);
+    }
+    
+    const filter = filters.length > 0 ? { logic: 'AND', filters } : null;
+    const pagination = parsePagination(query);
+    
+    const client = getRequestClient(req);
+    const access = policyEngine.accessFor(req);
+    
+    // Cached results are invalidated by writes to the definition or any table it joins
+    const definition = await viewEngine.getViewDefinition(viewId, { client, access, cached: true });
+    const tables = viewEngine.getViewTables(definition);
+    
+    // Checked before the cache too, which may hold an admin's response
+    viewEngine.checkAccess(definition, access);
+    
+    await responseCache.respond(req, res, { kind: 'view', name: viewId, tables, query }, async () => {
+      const result = await viewEngine.runView(viewId, filter, {
+        ...pagination,
+        client,
+        access,
+        order: orderFromQuery(query)
+      });
+      
+      const body = buildEnvelope(result, pagination);
+      setPaginationHeaders(res, req, query, body, pagination);
+      return body;
+    });
+  } catch (error) {
+    handleHttpError(res, error, 'View Controller', error.statusCode);
+  }
+}
+
+/**
+ * List view definitions
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function listViews(req, res) {
+  try {
+    const result = await viewEngine.listViewDefinitions({ client: getRequestClient(req) });
+    
+    sendJson(res, 200, result);
+  } catch (error) {
+    handleHttpError(res, error, 'View Controller', error.statusCode);
+  }
+}
+
+/**
+ * Get a view definition
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} viewId - View ID
+ */
+async function getView(req, res, viewId) {
+  try {
+    const data = await viewEngine.getViewDefinition(viewId, { client: getRequestClient(req) });
+    
+    sendJson(res, 200, { data });
+  } catch (error) {
+    handleHttpError(res, error, 'View Controller', error.statusCode);
+  }
+}
+
+/**
+ * Create a view definition
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+async function createView(req, res) {
+  try {
+    if (!req.body || Object.keys(req.body).length === 0) {
+      throw new AppError('Request body is required', 400, 'View Controller');
+    }
+    
+    const data = await viewEngine.createViewDefinition(req.body, { client: getRequestClient(req) });
+    
+    sendJson(res, 201, { data });
+  } catch (error) {
+    handleHttpError(res, error, 'View Controller', error.statusCode);
+  }
+}
+
+/**
+ * Update a view definition
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} viewId - View ID
+ */
+async function updateView(req, res, viewId) {
+  try {
+    if (!req.body || Object.keys(req.body).length === 0) {
+      throw new AppError('Request body is required', 400, 'View Controller');
+    }
+    
+    const data = await viewEngine.updateViewDefinition(viewId, req.body, {
+      client: getRequestClient(req)
+    });
+    
+    sendJson(res, 200, { data });
+  } catch (error) {
+    handleHttpError(res, error, 'View Controller', error.statusCode);
+  }
+}
+
+/**
+ * Delete a view definition
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} viewId - View ID
+ */
+async function deleteView(req, res, viewId) {
+  try {
+    const data = await viewEngine.deleteViewDefinition(viewId, { client: getRequestClient(req) });
+    
+    sendJson(res, 200, { success: true, data });
+  } catch (error) {
+    handleHttpError(res, error, 'View Controller', error.statusCode);
+  }
+}
+
+/**
+ * List archived versions of a view definition
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} viewId - View ID
+ */
+async function listVersions(req, res, viewId) {
+  try {
+    const result = await viewEngine.listViewVersions(viewId, { client: getRequestClient(req) });
+    
+    sendJson(res, 200, result);
+  } catch (error) {
+    handleHttpError(res, error, 'View Controller', error.statusCode);
+  }
+}
+
+/**
+ * Restore an archived version of a view definition
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {string} viewId - View ID
+ * @param {string} version - Version number
+ */
+async function restoreVersion(req, res, viewId, version) {
+  try {
+    const data = await viewEngine.restoreViewVersion(viewId, parseInt(version, 10), {
+      client: getRequestClient(req)
+    });
+    
+    sendJson(res, 200, { data });
+  } catch (error) {
+    handleHttpError(res, error, 'View Controller', error.statusCode);
+  }
+}
+
+module.exports = {
+  executeView,
+  listViews,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+  listVersions,
+  restoreVersion
+};
@@ -0,0 +1,241 @@
+// body-validator.js
+const fs = require('fs');
+const path = require('path');
+const schemaIntrospector = require('./schema-introspector');
+const logger = require('../utils/logger');
+const { AppError, ValidationError, NotFoundError } = require('../utils/error-handler');
+const { validateSchema } = require('../utils/json-schema');
+
+const DEFAULT_SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+
+// 'reject' answers 400 for columns the table doesn't have; 'strip' drops them
+const UNKNOWN_FIELDS = process.env.UNKNOWN_FIELDS === 'strip' ? 'strip' : 'reject';
+
+// JSON Schema formats of the Postgres types PostgREST reports
+const PG_FORMATS = {
+  uuid: 'uuid',
+  date: 'date',
+  'timestamp with time zone': 'date-time',
+  'timestamp without time zone': 'date-time',
+  'time with time zone': 'time',
+  'time without time zone': 'time'
+};
+
+/**
+ * Build the JSON Schema of a column or function parameter
+ * @param {Object} column - Introspected column or parameter (type, format,
+ *   nullable, enum, maxLength, items)
+ * @returns {Object} JSON Schema
+ */
+function propertySchema(column) {
+  const property = {};
+  
+  // numeric is often sent as a string to keep its precision, and so are
+  // bigints past 2^53
+  if (column.format === 'numeric') {
+    property.type = ['number', 'string'];
+    property.pattern = '^-?(\\d+\\.?\\d*|\\.\\d+)$';
+  } else if (column.format === 'bigint') {
+    property.type = ['integer', 'string'];
+    property.pattern = '^-?\\d+$';
+  } else if (column.type) {
+    property.type = column.type;
+  }
+  if (property.type && column.nullable) property.type = [...[].concat(property.type), 'null'];
+  
+  if (PG_FORMATS[column.format]) property.format = PG_FORMATS[column.format];
+  if (column.enum) property.enum = column.nullable ? [...column.enum, null] : column.enum;
+  if (column.maxLength) property.maxLength = column.maxLength;
+  if (column.items) property.items = column.items;
+  
+  return property;
+}
+
+/**
+ * Build the JSON Schema of a table's rows from its introspected columns.
+ * Columns that are NOT NULL without a default are required, except
+ * primary keys, which are usually generated (identity columns report no default).
+ * @param {Object} table - Table from the schema introspector
+ * @returns {Object} JSON Schema
+ */
+function tableSchema(table) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(table.columns.map(column => [column.name, propertySchema(column)])),
+    required: table.columns
+      .filter(column => !column.nullable && column.default === null && !column.primaryKey)
+      .map(column => column.name),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the JSON Schema of a function's arguments from its signature.
+ * Parameters without a default are required; any argument may be null.
+ * @param {Object} fn - Function from the schema introspector
+ * @returns {Object} JSON Schema
+ */
+function functionSchema(fn) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(fn.parameters.map(parameter => [
+      parameter.name,
+      propertySchema({ ...parameter, nullable: true })
+    ])),
+    required: fn.parameters.filter(parameter => parameter.required).map(parameter => parameter.name),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Load the JSON Schemas in SCHEMAS_DIR (src/schemas by default), one
+ * `<table>.json` file per table
+ * @returns {Map<string, Object>} Schemas by table name
+ */
+function loadCustomSchemas() {
+  const dir = process.env.SCHEMAS_DIR || DEFAULT_SCHEMAS_DIR;
+  const schemas = new Map();
+  if (!fs.existsSync(dir)) return schemas;
+  
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+    try {
+      schemas.set(path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    } catch (error) {
+      throw new AppError(`Invalid JSON Schema ${file}: ${error.message}`, 500, 'Body Validator');
+    }
+  }
+  
+  logger.info(`Loaded ${schemas.size} table schema(s) from ${dir}`);
+  return schemas;
+}
+
+/**
+ * Validates request bodies against the JSON Schema of their table: a schema
+ * from SCHEMAS_DIR when there is one, otherwise one derived from the
+ * introspected columns. Function arguments are validated against the
+ * function's signature.
+ */
+class BodyValidator {
+  /**
+   * JSON Schemas from SCHEMAS_DIR, loaded on first use
+   * @returns {Map<string, Object>} Schemas by table name
+   */
+  get customSchemas() {
+    if (!this.loadedSchemas) {
+      this.loadedSchemas = loadCustomSchemas();
+    }
+    return this.loadedSchemas;
+  }
+  
+  /**
+   * Get the JSON Schema of a table
+   * @param {string} tableName - Table name
+   * @returns {Promise<Object|null>} JSON Schema, or null if the table's
+   *   columns can't be found
+   */
+  async getSchema(tableName) {
+    if (this.customSchemas.has(tableName)) {
+      return this.customSchemas.get(tableName);
+    }
+    
+    let tables;
+    try {
+      tables = await schemaIntrospector.getTables();
+    } catch (error) {
+      logger.warn(`Skipping body validation for ${tableName}: ${error.message}`);
+      return null;
+    }
+    
+    const table = tables.find(({ name }) => name === tableName);
+    return table ? tableSchema(table) : null;
+  }
+  
+  /**
+   * Validate the rows of a write, collecting every field error
+   * @param {string} tableName - Table name
+   * @param {Array<Object>} rows - Rows or changes to write
+   * @param {Object} options - Validation options
+   * @param {string} options.mode - 'create' and 'replace' check required
+   *   columns, 'update' only checks the columns given
+   * @param {boolean} options.coerce - Convert form-encoded values to the column types
+   * @param {Array<string>} options.exempt - Required columns the server fills in
+   * @param {boolean} options.batch - Report errors with the index of their row
+   * @returns {Promise<Array<Object>>} Rows with coercions applied and, with
+   *   UNKNOWN_FIELDS=strip, unknown columns removed
+   */
+  async validate(tableName, rows, options = {}) {
+    const schema = await this.getSchema(tableName);
+    if (!schema) return rows;
+    
+    const problems = [];
+    const result = rows.map((row, index) => {
+      const { value, errors } = validateSchema(schema, row, {
+        coerce: options.coerce,
+        partial: options.mode === 'update',
+        exempt: options.exempt,
+        unknownFields: UNKNOWN_FIELDS
+      });
+      
+      for (const error of errors) {
+        problems.push(options.batch ? { index, ...error } : error);
+      }
+      return value;
+    });
+    
+    if (problems.length > 0) {
+      const message = options.batch
+        ? `${new Set(problems.map(({ index }) => index)).size} of ${rows.length} rows are invalid`
+        : 'Request body is invalid';
+      throw new ValidationError(message, 'Body Validator', problems);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Get the signature of a function
+   * @param {string} functionName - Function name
+   * @returns {Promise<Object|null>} Function with its parameters, or null if
+   *   the schema can't be loaded
+   * @throws {NotFoundError} If the schema has no such function
+   */
+  async getFunction(functionName) {
+    let functions;
+    try {
+      functions = await schemaIntrospector.getFunctions();
+    } catch (error) {
+      logger.warn(`Skipping argument validation for ${functionName}: ${error.message}`);
+      return null;
+    }
+    
+    const fn = functions.find(({ name }) => name === functionName);
+    if (!fn) {
+      throw new NotFoundError(`Function not found: ${functionName}`, 'Body Validator');
+    }
+    return fn;
+  }
+  
+  /**
+   * Validate the arguments of a function call against its signature,
+   * collecting every argument error. Unknown arguments are always
+   * rejected, since PostgREST would pick another overload or none.
+   * @param {Object} fn - Function from getFunction
+   * @param {Object} args - Arguments by parameter name
+   * @param {Object} options - Validation options
+   * @param {boolean} options.coerce - Convert query string values to the parameter types
+   * @returns {Object} Arguments with coercions applied
+   */
+  validateArgs(fn, args, options = {}) {
+    const { value, errors } = validateSchema(functionSchema(fn), args, {
+      coerce: options.coerce,
+      unknownFields: 'reject'
+    });
+    
+    if (errors.length > 0) {
+      throw new ValidationError(`Arguments of ${fn.name} are invalid`, 'Body Validator', errors);
+    }
+    return value;
+  }
+}
+
+module.exports = new BodyValidator();
@@ -0,0 +1,158 @@
+// cache-store.js
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * In-process cache store that evicts the least recently used entry once it
+ * holds CACHE_MAX_ENTRIES entries. Counters are kept apart and never evicted.
+ */
+class MemoryStore {
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.counters = new Map();
+  }
+  
+  /**
+   * Get an entry
+   * @param {string} key - Entry key
+   * @returns {Promise<any>} Value, or null if missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    
+    // Move the entry to the back of the eviction order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+  
+  /**
+   * Store an entry
+   * @param {string} key - Entry key
+   * @param {any} value - Value
+   * @param {number} ttl - Time to live in seconds
+   */
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+    
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+  
+  /**
+   * Read a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} Value, 0 if never incremented
+   */
+  async counter(key) {
+    return this.counters.get(key) || 0;
+  }
+  
+  /**
+   * Increment a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} New value
+   */
+  async incr(key) {
+    const value = (this.counters.get(key) || 0) + 1;
+    this.counters.set(key, value);
+    return value;
+  }
+}
+
+/**
+ * Cache store on Redis, shared by every instance of the server. Needs the
+ * `redis` package (v4), which is not installed by default.
+ */
+class RedisStore {
+  constructor(url) {
+    // Required here so the package is only needed when Redis is used
+    const { createClient } = require('redis');
+    
+    this.client = createClient({ url });
+    this.client.on('error', error => logger.error('Redis cache error', error));
+    
+    // Callers see a failed connection when they await it
+    this.connecting = this.client.connect();
+    this.connecting.catch(() => {});
+  }
+  
+  /**
+   * Get an entry
+   * @param {string} key - Entry key
+   * @returns {Promise<any>} Value, or null if missing or expired
+   */
+  async get(key) {
+    await this.connecting;
+    const value = await this.client.get(key);
+    return value === null ? null : JSON.parse(value);
+  }
+  
+  /**
+   * Store an entry
+   * @param {string} key - Entry key
+   * @param {any} value - Value, stored as JSON
+   * @param {number} ttl - Time to live in seconds
+   */
+  async set(key, value, ttl) {
+    await this.connecting;
+    await this.client.set(key, JSON.stringify(value), { EX: ttl });
+  }
+  
+  /**
+   * Read a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} Value, 0 if never incremented
+   */
+  async counter(key) {
+    await this.connecting;
+    return Number(await this.client.get(key)) || 0;
+  }
+  
+  /**
+   * Increment a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} New value
+   */
+  async incr(key) {
+    await this.connecting;
+    return this.client.incr(key);
+  }
+}
+
+/**
+ * Create the store named by CACHE_STORE: 'memory' (the default) or
+ * 'redis', connecting to REDIS_URL. Falls back on memory if Redis can't be used.
+ * @returns {MemoryStore|RedisStore} Cache store
+ */
+function createStore() {
+  const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES;
+  
+  if (process.env.CACHE_STORE === 'redis') {
+    try {
+      const store = new RedisStore(process.env.REDIS_URL || 'redis://localhost:6379');
+      logger.info('Cache store: Redis');
+      return store;
+    } catch (error) {
+      logger.error('Redis cache store unavailable (is the redis package installed?); using memory', error);
+    }
+  }
+  
+  return new MemoryStore(maxEntries);
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  createStore
+};
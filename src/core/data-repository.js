@@ -1,36 +1,216 @@
 // data-repository.js
 const { getSupabaseClient } = require('./supabase-client');
+const { getKeyColumns } = require('./table-keys');
+const policyEngine = require('./policy-engine');
+const schemaIntrospector = require('./schema-introspector');
+const responseCache = require('./response-cache');
 const logger = require('../utils/logger');
-const { AppError } = require('../utils/error-handler');
-const { applyFilter } = require('../utils/filter-parser');
+const { AppError, ForbiddenError } = require('../utils/error-handler');
+const { fromDatabaseError } = require('../utils/supabase-errors');
+const { applyFilter, hasConditions } = require('../utils/filter-parser');
+const { cursorKeys, applyKeyset, takePage } = require('../utils/pagination');
+const { orderFromOptions, validateOrder, applyOrder } = require('../utils/order-parser');
+const { assertMatchable } = require('../utils/filter-matcher');
+const {
+  aggregateColumns,
+  validateAggregateOrder,
+  canUseSelect,
+  toSelect,
+  toFunctionArgs
+} = require('../utils/aggregate-parser');
+
+// Postgres function that runs the aggregates PostgREST can't (see src/sql/aggregate-rows.sql)
+const AGGREGATE_FUNCTION = process.env.AGGREGATE_FUNCTION || 'aggregate_rows';
+
+/**
+ * Turn `{ column: value }` filters into a filter tree, skipping empty values
+ * @param {Object} filters - Equality filters
+ * @returns {Object} Filter tree
+ */
+function toEqualityFilter(filters) {
+  return {
+    logic: 'AND',
+    filters: Object.entries(filters)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([field, value]) => ({ field, operator: '=', value }))
+  };
+}
 
 /**
- * Generic data repository for Supabase tables
+ * Generic data repository for Supabase tables.
+ * Every method accepts `options.client` so queries can run with a
+ * request-scoped client carrying the caller's JWT (see getRequestClient),
+ * and `options.access` to enforce the caller's table policies (see
+ * policy-engine). Calls without `options.access` are trusted.
  */
 class DataRepository {
-  constructor() {
-    this.supabase = getSupabaseClient();
+  /**
+   * Resolve the client to run a query with
+   * @param {Object} options - Method options
+   * @returns {Object} Supabase client instance
+   */
+  getClient(options = {}) {
+    return options.client || getSupabaseClient();
   }
   
   /**
-   * Select data from a table
+   * Apply the caller's read policy: checks the tables and columns of the
+   * select, filter and sort, and works out the row filter to add
    * @param {string} tableName - Name of the table
    * @param {string|Array} columns - Columns to select
-   * @param {Object} filters - Query filters to apply
-   * @param {Object} options - Additional options (pagination, sorting)
-   * @returns {Promise<Object>} Query results
+   * @param {Object|null} filterObject - Caller's filter
+   * @param {Object} options - Method options
+   * @returns {Object} Columns to select and row filter (null if none)
    */
-  async select(tableName, columns = '*', filters = {}, options = {}) {
-    try {
-      // Start query
-      let query = this.supabase.from(tableName).select(columns);
-      
-      // Apply filters
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-          query = query.eq(key, value);
-        }
-      });
+  scopeRead(tableName, columns, filterObject, options) {
+    if (!options.access) return { columns, rowFilter: null };
+    
+    const scope = policyEngine.scopeRead(tableName, Array.isArray(columns) ? columns.join(',') : columns, options.access);
+    policyEngine.checkFields(scope, filterObject, orderFromOptions(options));
+    
+    return { columns: scope.columns, rowFilter: scope.filter };
+  }
+  
+  /**
+   * Check the sort keys of a table read against its select and columns
+   * @param {string} tableName - Name of the table
+   * @param {string|Array} columns - Columns to select
+   * @param {Object} options - Method options
+   */
+  async validateOrder(tableName, columns, options) {
+    const order = orderFromOptions(options);
+    if (order.length === 0) return;
+    
+    validateOrder(order, columns, tableName, await schemaIntrospector.getTables());
+  }
+  
+  /**
+   * Apply the caller's policy to a function call: checks that they may call
+   * it and the columns of the select, filter and sort
+   * @param {string} functionName - Name of the function
+   * @param {string|undefined} columns - Columns to select, if any
+   * @param {Object|null} filterObject - Caller's filter
+   * @param {Object} options - Method options
+   * @returns {Object} Columns to select and row filter of embedded tables (null if none)
+   */
+  scopeFunction(functionName, columns, filterObject, options) {
+    if (!options.access) return { columns, rowFilter: null };
+    
+    const scope = policyEngine.scopeFunction(functionName, columns || '*', options.access);
+    policyEngine.checkFields(scope, filterObject, orderFromOptions(options));
+    
+    return { columns: columns ? scope.columns : undefined, rowFilter: scope.filter };
+  }
+  
+  /**
+   * Apply the caller's policy to a write: checks the operation and the
+   * columns the filter uses, and works out the row filter to add
+   * @param {string} tableName - Name of the table
+   * @param {string} operation - create, update or delete
+   * @param {Object|null} filterObject - Caller's filter
+   * @param {Object} options - Method options
+   * @returns {Object|null} Row filter, or null if none
+   */
+  scopeWrite(tableName, operation, filterObject, options) {
+    if (!options.access) return null;
+    
+    const policy = policyEngine.authorize(tableName, operation, options.access);
+    policyEngine.checkWriteFilter(tableName, filterObject);
+    
+    return policyEngine.rowFilter(policy, options.access);
+  }
+  
+  /**
+   * Check rows about to be written against the caller's policy
+   * @param {string} tableName - Name of the table
+   * @param {Object|Array} data - Row or rows
+   * @param {string} operation - create or update
+   * @param {Object} options - Method options (access, systemColumns)
+   * @returns {Object|Array} Rows to write
+   */
+  checkWrite(tableName, data, operation, options) {
+    if (!options.access) return data;
+    
+    const rows = policyEngine.checkWrite(
+      tableName,
+      Array.isArray(data) ? data : [data],
+      options.access,
+      operation,
+      options.systemColumns
+    );
+    return Array.isArray(data) ? rows : rows[0];
+  }
+
+  /**
+   * Refuse an upsert that would update existing rows outside the caller's
+   * row filter: the upsert itself only sees the incoming rows, so the rows
+   * they conflict with are looked up first
+   * @param {string} tableName - Name of the table
+   * @param {Array<Object>} rows - Rows to upsert
+   * @param {Object} options - Method options (client, access, onConflict)
+   */
+  async checkConflicts(tableName, rows, options) {
+    const rowFilter = this.scopeWrite(tableName, 'update', null, options);
+    if (!rowFilter) return;
+    
+    const columns = options.onConflict
+      ? options.onConflict.split(',').map(column => column.trim())
+      : getKeyColumns(tableName).map(({ column }) => column);
+    const keyed = rows.filter(row => columns.every(column => row[column] !== undefined && row[column] !== null));
+    if (keyed.length === 0) return;
+    
+    const keyFilter = {
+      logic: 'OR',
+      filters: keyed.map(row => ({
+        logic: 'AND',
+        filters: columns.map(column => ({ field: column, operator: '=', value: row[column] }))
+      }))
+    };
+    const findKeys = filter => applyFilter(this.getClient(options).from(tableName).select(columns.join(',')), filter);
+    
+    // Rows the filter leaves out are those found by key but not with the filter added
+    const [existing, allowed] = await Promise.all([
+      findKeys(keyFilter),
+      findKeys({ logic: 'AND', filters: [keyFilter, rowFilter] })
+    ]);
+    if (existing.error) throw fromDatabaseError(existing.error);
+    if (allowed.error) throw fromDatabaseError(allowed.error);
+    
+    const keyOf = row => JSON.stringify(columns.map(column => String(row[column])));
+    const allowedKeys = new Set(allowed.data.map(keyOf));
+    const denied = existing.data.find(row => !allowedKeys.has(keyOf(row)));
+    if (denied) {
+      const key = columns.map(column => `${column}=${denied[column]}`).join(', ');
+      throw new ForbiddenError(`Not allowed to update the row of ${tableName} with ${key}`, 'Data Repository');
+    }
+  }
+  
+  /**
+   * Drop the columns the caller may not read from rows a write returned
+   * @param {string} tableName - Name of the table
+   * @param {Array} rows - Returned rows
+   * @param {Object} options - Method options
+   * @returns {Array} Rows
+   */
+  project(tableName, rows, options) {
+    return options.access ? policyEngine.projectRows(tableName, rows) : rows;
+  }
+  
+  /**
+   * Run a list query with pagination, ordering and an optional count.
+   * Offset paging uses range(); cursor paging filters on the sort keys
+   * (see utils/pagination) and fetches one extra row to detect the last page.
+   * @param {string} tableName - Name of the table
+   * @param {Function} buildQuery - Builds the filtered query, given select options
+   * @param {Object} options - page, pageSize, order (or orderBy/ascending), count, cursor, after
+   * @returns {Promise<Object>} Rows, total count (null unless requested) and next cursor
+   */
+  async runPaged(tableName, buildQuery, options = {}) {
+    const countOptions = options.count ? { count: options.count } : undefined;
+    const order = orderFromOptions(options);
+    
+    if (!options.cursor) {
+      let query = buildQuery(countOptions);
       
       // Apply pagination
       if (options.page && options.pageSize) {
@@ -40,18 +220,62 @@ class DataRepository {
       }
       
       // Apply ordering
-      if (options.orderBy) {
-        query = query.order(options.orderBy, { 
-          ascending: options.ascending !== false 
-        });
-      }
+      query = applyOrder(query, order);
       
-      // Execute query
       const { data, error, count } = await query;
       
-      if (error) throw new AppError(error.message, 400, 'Database');
+      if (error) throw fromDatabaseError(error);
+      
+      return { data, count: count === undefined ? null : count };
+    }
+    
+    // Sorting inside embedded resources doesn't change the order of the rows,
+    // so only the table's own sort keys make up the cursor
+    const keyColumns = getKeyColumns(tableName).map(({ column }) => column);
+    const keys = cursorKeys(order.filter(key => !key.path), keyColumns);
+    
+    let query = applyKeyset(buildQuery(), keys, options.after);
+    query = applyOrder(query, [...order.filter(key => key.path), ...keys]);
+    query = query.limit(options.pageSize + 1);
+    
+    // The total covers the whole result, not just the rows after the cursor
+    const [page, counted] = await Promise.all([
+      query,
+      options.count ? buildQuery({ count: options.count, head: true }) : null
+    ]);
+    
+    if (page.error) throw fromDatabaseError(page.error);
+    if (counted && counted.error) throw fromDatabaseError(counted.error);
+    
+    const { data, nextCursor } = takePage(page.data, keys, options.pageSize);
+    return { data, count: counted ? counted.count : null, nextCursor };
+  }
+  
+  /**
+   * Select data from a table
+   * @param {string} tableName - Name of the table
+   * @param {string|Array} columns - Columns to select
+   * @param {Object} filters - Query filters to apply
+   * @param {Object} options - Additional options (client, pagination, sorting, count)
+   * @returns {Promise<Object>} Query results
+   */
+  async select(tableName, columns = '*', filters = {}, options = {}) {
+    try {
+      const scoped = this.scopeRead(tableName, columns, toEqualityFilter(filters), options);
+      await this.validateOrder(tableName, scoped.columns, options);
       
-      return { data, count };
+      return await this.runPaged(tableName, selectOptions => {
+        let query = this.getClient(options).from(tableName).select(scoped.columns, selectOptions);
+        
+        // Apply filters
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value !== undefined && value !== null) {
+            query = query.eq(key, value);
+          }
+        });
+        
+        return applyFilter(query, scoped.rowFilter);
+      }, options);
     } catch (error) {
       logger.error(`Error selecting from ${tableName}`, error);
       throw error;
@@ -63,41 +287,151 @@ class DataRepository {
    * @param {string} tableName - Table name
    * @param {string|Array} columns - Columns to select
    * @param {Object} filterObject - Complex filter object
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (client, pagination, sorting, count)
    * @returns {Promise<Object>} Query results
    */
   async selectWithFilter(tableName, columns = '*', filterObject = null, options = {}) {
     try {
-      // Start query
-      let query = this.supabase.from(tableName).select(columns);
+      const scoped = this.scopeRead(tableName, columns, filterObject, options);
+      await this.validateOrder(tableName, scoped.columns, options);
       
-      // Apply complex filter if provided
-      if (filterObject) {
-        query = applyFilter(query, filterObject);
+      return await this.runPaged(tableName, selectOptions => {
+        const query = this.getClient(options).from(tableName).select(scoped.columns, selectOptions);
+        
+        // Apply complex filter if provided
+        return applyFilter(filterObject ? applyFilter(query, filterObject) : query, scoped.rowFilter);
+      }, options);
+    } catch (error) {
+      logger.error(`Error selecting from ${tableName} with complex filter`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Call a Postgres function. The rows of a set-returning function can be
+   * selected, filtered, sorted and paged like a table's; other results are
+   * returned as they are. A call that may write invalidates the cached
+   * responses of the tables the function's policy lists in `writes`, or
+   * every cached response if the policy doesn't declare `writes`.
+   * @param {string} functionName - Name of the function
+   * @param {Object} args - Arguments by parameter name
+   * @param {Object} options - Additional options (client, access, get: call
+   *   with GET as a read-only function, columns, filter, pagination, sorting, count)
+   * @returns {Promise<Object>} Result (rows or a single value) and total count
+   */
+  async callFunction(functionName, args, options = {}) {
+    try {
+      if (options.cursor) {
+        throw new AppError('Cursor pagination is not supported for functions', 400, 'Data Repository');
       }
       
-      // Apply pagination
-      if (options.page && options.pageSize) {
-        const from = (options.page - 1) * options.pageSize;
-        const to = from + options.pageSize - 1;
-        query = query.range(from, to);
+      const filterObject = options.filter || null;
+      const scoped = this.scopeFunction(functionName, options.columns, filterObject, options);
+      validateOrder(orderFromOptions(options), scoped.columns || '*');
+      
+      // A GET call sends the arguments as query parameters, where objects must be JSON
+      const callArgs = options.get
+        ? Object.fromEntries(Object.entries(args).map(([name, value]) => [
+          name,
+          value && typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : value
+        ]))
+        : args;
+        
+      const result = await this.runPaged(functionName, selectOptions => {
+        let query = this.getClient(options).rpc(functionName, callArgs, { get: Boolean(options.get), ...selectOptions });
+        if (scoped.columns) query = query.select(scoped.columns);
+        
+        return applyFilter(filterObject ? applyFilter(query, filterObject) : query, scoped.rowFilter);
+      }, options);
+      
+      if (!options.get) {
+        const { writes } = policyEngine.functions[functionName] || {};
+        await (writes
+          ? Promise.all(writes.map(tableName => responseCache.invalidate(tableName)))
+          : responseCache.invalidateAll());
       }
       
-      // Apply ordering
-      if (options.orderBy) {
-        query = query.order(options.orderBy, { 
-          ascending: options.ascending !== false 
-        });
+      return {
+        data: options.access
+          ? policyEngine.projectRows(functionName, result.data, policyEngine.getFunctionPolicy(functionName))
+          : result.data,
+        count: result.count
+      };
+    } catch (error) {
+      logger.error(`Error calling ${functionName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Group the rows of a table and aggregate them (see utils/aggregate-parser).
+   * Runs as a PostgREST aggregate select when it can express the query and
+   * aggregates are enabled there, otherwise calls AGGREGATE_FUNCTION with
+   * the filter tree, row filters included.
+   * @param {string} tableName - Name of the table
+   * @param {Object} spec - Aggregate query from parseAggregate
+   * @param {Object|null} filterObject - Caller's filter
+   * @param {Object} options - Additional options (client, access, pagination,
+   *   order on result names)
+   * @returns {Promise<Object>} Result rows; count is always null
+   */
+  async aggregate(tableName, spec, filterObject = null, options = {}) {
+    try {
+      if (options.cursor || options.count) {
+        throw new AppError('Aggregate queries support neither cursor pagination nor counts', 400, 'Data Repository');
       }
       
-      // Execute query
-      const { data, error, count } = await query;
+      const order = orderFromOptions(options);
+      validateAggregateOrder(order, spec);
+      
+      // Sort keys name results, not columns, so only the aggregated columns and the filter are checked
+      let rowFilter = null;
+      if (options.access) {
+        const scope = policyEngine.scopeRead(tableName, aggregateColumns(spec).join(',') || '*', options.access);
+        policyEngine.checkFields(scope, filterObject);
+        rowFilter = scope.filter;
+      }
+      
+      if (!this.aggregatesDisabled && canUseSelect(spec, order)) {
+        const select = toSelect(spec, order);
+        try {
+          return await this.runPaged(tableName, () => {
+            const query = this.getClient(options).from(tableName).select(select.columns);
+            return applyFilter(filterObject ? applyFilter(query, filterObject) : query, rowFilter);
+          }, { ...options, order: select.order });
+        } catch (error) {
+          if (error.code !== 'AGGREGATES_DISABLED') throw error;
+          
+          this.aggregatesDisabled = true;
+          logger.warn(`PostgREST aggregates are disabled; aggregating with ${AGGREGATE_FUNCTION} instead`);
+        }
+      }
+      
+      const filter = filterObject && rowFilter
+        ? { logic: 'AND', filters: [filterObject, rowFilter] }
+        : filterObject || rowFilter;
+      assertMatchable(filter);
       
-      if (error) throw new AppError(error.message, 400, 'Database');
+      const { data, error } = await this.getClient(options).rpc(
+        AGGREGATE_FUNCTION,
+        toFunctionArgs(tableName, spec, filter, { ...options, order })
+      );
       
-      return { data, count };
+      if (error) {
+        const dbError = fromDatabaseError(error);
+        if (dbError.details && dbError.details.databaseCode === 'PGRST202') {
+          throw new AppError(
+            `This aggregate query needs the ${AGGREGATE_FUNCTION} function; install src/sql/aggregate-rows.sql`,
+            501,
+            'Data Repository'
+          );
+        }
+        throw dbError;
+      }
+      
+      return { data, count: null };
     } catch (error) {
-      logger.error(`Error selecting from ${tableName} with complex filter`, error);
+      logger.error(`Error aggregating ${tableName}`, error);
       throw error;
     }
   }
@@ -106,34 +440,77 @@ class DataRepository {
    * Insert data into a table
    * @param {string} tableName - Name of the table
    * @param {Object|Array} data - Data to insert
+   * @param {Object} options - Additional options (client, access)
    * @returns {Promise<Object>} Inserted data
    */
-  async insert(tableName, data) {
+  async insert(tableName, data, options = {}) {
     try {
-      const { data: result, error } = await this.supabase
+      const rows = this.checkWrite(tableName, data, 'create', options);
+      
+      // In a batch, columns a row leaves out get their default rather than null
+      const { data: result, error } = await this.getClient(options)
         .from(tableName)
-        .insert(data)
+        .insert(rows, Array.isArray(rows) ? { defaultToNull: false } : undefined)
         .select();
       
-      if (error) throw new AppError(error.message, 400, 'Database');
+      if (error) throw fromDatabaseError(error);
+      await responseCache.invalidate(tableName);
       
-      return result;
+      return this.project(tableName, result, options);
     } catch (error) {
       logger.error(`Error inserting into ${tableName}`, error);
       throw error;
     }
   }
   
+  /**
+   * Insert rows, updating (or skipping) those that conflict with existing rows
+   * @param {string} tableName - Name of the table
+   * @param {Object|Array} data - Row or rows to upsert
+   * @param {Object} options - Additional options (client, access, onConflict, ignoreDuplicates)
+   * @returns {Promise<Array>} Inserted or updated rows
+   */
+  async upsert(tableName, data, options = {}) {
+    try {
+      // Conflicting rows are updated in place, which needs both permissions
+      let rows = this.checkWrite(tableName, data, 'create', options);
+      if (!options.ignoreDuplicates) {
+        rows = this.checkWrite(tableName, rows, 'update', options);
+        await this.checkConflicts(tableName, [].concat(rows), options);
+      }
+      
+      const { data: result, error } = await this.getClient(options)
+        .from(tableName)
+        .upsert(rows, {
+          ...(options.onConflict ? { onConflict: options.onConflict } : {}),
+          ignoreDuplicates: Boolean(options.ignoreDuplicates),
+          ...(Array.isArray(rows) ? { defaultToNull: false } : {})
+        })
+        .select();
+        
+      if (error) throw fromDatabaseError(error);
+      await responseCache.invalidate(tableName);
+      
+      return this.project(tableName, result, options);
+    } catch (error) {
+      logger.error(`Error upserting into ${tableName}`, error);
+      throw error;
+    }
+  }
+  
   /**
    * Update data in a table
    * @param {string} tableName - Name of the table
    * @param {Object} data - Data to update
    * @param {Object} filters - Filters to apply
+   * @param {Object} options - Additional options (client, access, systemColumns,
+   *   match: filter tree the rows must also match)
    * @returns {Promise<Object>} Updated data
    */
-  async update(tableName, data, filters) {
+  async update(tableName, data, filters, options = {}) {
     try {
-      let query = this.supabase.from(tableName).update(data);
+      const rowFilter = this.scopeWrite(tableName, 'update', toEqualityFilter(filters), options);
+      let query = this.getClient(options).from(tableName).update(this.checkWrite(tableName, data, 'update', options));
       
       // Apply filters
       Object.entries(filters).forEach(([key, value]) => {
@@ -142,11 +519,12 @@ class DataRepository {
         }
       });
       
-      const { data: result, error } = await query.select();
+      const { data: result, error } = await applyFilter(applyFilter(query, options.match), rowFilter).select();
       
-      if (error) throw new AppError(error.message, 400, 'Database');
+      if (error) throw fromDatabaseError(error);
+      await responseCache.invalidate(tableName);
       
-      return result;
+      return this.project(tableName, result, options);
     } catch (error) {
       logger.error(`Error updating ${tableName}`, error);
       throw error;
@@ -157,11 +535,14 @@ class DataRepository {
    * Delete data from a table
    * @param {string} tableName - Name of the table
    * @param {Object} filters - Filters to apply
+   * @param {Object} options - Additional options (client, access, match:
+   *   filter tree the rows must also match)
    * @returns {Promise<Object>} Deleted data
    */
-  async delete(tableName, filters) {
+  async delete(tableName, filters, options = {}) {
     try {
-      let query = this.supabase.from(tableName).delete();
+      const rowFilter = this.scopeWrite(tableName, 'delete', toEqualityFilter(filters), options);
+      let query = this.getClient(options).from(tableName).delete();
       
       // Apply filters
       Object.entries(filters).forEach(([key, value]) => {
@@ -170,16 +551,106 @@ class DataRepository {
         }
       });
       
-      const { data, error } = await query.select();
+      const { data, error } = await applyFilter(applyFilter(query, options.match), rowFilter).select();
       
-      if (error) throw new AppError(error.message, 400, 'Database');
+      if (error) throw fromDatabaseError(error);
+      await responseCache.invalidate(tableName);
       
-      return data;
+      return this.project(tableName, data, options);
     } catch (error) {
       logger.error(`Error deleting from ${tableName}`, error);
       throw error;
     }
   }
+  
+  /**
+   * Refuse to run a bulk write without a filter, so a missing or empty
+   * filter can never change every row of a table
+   * @param {Object} filterObject - Complex filter object
+   * @param {string} action - Action, for the error message
+   */
+  requireFilter(filterObject, action) {
+    if (!hasConditions(filterObject)) {
+      throw new AppError(`A filter is required to ${action} rows`, 400, 'Data Repository');
+    }
+  }
+  
+  /**
+   * Count the rows matching a filter
+   * @param {string} tableName - Name of the table
+   * @param {Object} filterObject - Complex filter object
+   * @param {Object} options - Additional options (client, access, and the
+   *   operation the count previews: read by default)
+   * @returns {Promise<number>} Number of matching rows
+   */
+  async countWhere(tableName, filterObject, options = {}) {
+    try {
+      const rowFilter = this.scopeWrite(tableName, options.operation || 'read', filterObject, options);
+      const query = this.getClient(options)
+        .from(tableName)
+        .select('*', { count: 'exact', head: true });
+      
+      const { error, count } = await applyFilter(applyFilter(query, filterObject), rowFilter);
+      
+      if (error) throw fromDatabaseError(error);
+      
+      return count;
+    } catch (error) {
+      logger.error(`Error counting rows of ${tableName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Update every row matching a filter
+   * @param {string} tableName - Name of the table
+   * @param {Object} data - Columns to update
+   * @param {Object} filterObject - Complex filter object, required
+   * @param {Object} options - Additional options (client, access, systemColumns)
+   * @returns {Promise<Array>} Updated rows
+   */
+  async updateWhere(tableName, data, filterObject, options = {}) {
+    try {
+      this.requireFilter(filterObject, 'update');
+      const rowFilter = this.scopeWrite(tableName, 'update', filterObject, options);
+      
+      const query = this.getClient(options).from(tableName).update(this.checkWrite(tableName, data, 'update', options));
+      const { data: result, error } = await applyFilter(applyFilter(query, filterObject), rowFilter).select();
+      
+      if (error) throw fromDatabaseError(error);
+      await responseCache.invalidate(tableName);
+      
+      return this.project(tableName, result, options);
+    } catch (error) {
+      logger.error(`Error updating ${tableName} with complex filter`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete every row matching a filter
+   * @param {string} tableName - Name of the table
+   * @param {Object} filterObject - Complex filter object, required
+   * @param {Object} options - Additional options (client, access)
+   * @returns {Promise<Array>} Deleted rows
+   */
+  async deleteWhere(tableName, filterObject, options = {}) {
+    try {
+      this.requireFilter(filterObject, 'delete');
+      const rowFilter = this.scopeWrite(tableName, 'delete', filterObject, options);
+      
+      const query = this.getClient(options).from(tableName).delete();
+      const { data, error } = await applyFilter(applyFilter(query, filterObject), rowFilter).select();
+      
+      if (error) throw fromDatabaseError(error);
+      await responseCache.invalidate(tableName);
+      
+      return this.project(tableName, data, options);
+    } catch (error) {
+      logger.error(`Error deleting from ${tableName} with complex filter`, error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new DataRepository();
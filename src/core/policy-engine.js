@@ -0,0 +1,573 @@
+// policy-engine.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { AppError, ForbiddenError, NotFoundError } = require('../utils/error-handler');
+const { isAdmin } = require('../auth/auth-middleware');
+const { parseSelect, renderSelect } = require('../utils/select-parser');
+
+const OPERATIONS = ['read', 'create', 'update', 'delete'];
+
+// Tables the server manages itself; never reachable through the data API
+const INTERNAL_TABLES = ['view_definitions', 'view_definition_versions'];
+
+const DEFAULT_POLICIES_FILE = path.join(__dirname, '..', 'policies.json');
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Policy used for every table when there is no policies file and POLICIES_OPEN=true
+const OPEN_POLICY = {
+  operations: { read: ['*'], create: ['*'], update: ['*'], delete: ['*'] }
+};
+
+/**
+ * Check the shape of a policies file, collecting every problem
+ * @param {Object} config - Parsed policies file
+ * @returns {Array<string>} Problems found, empty if the file is valid
+ */
+function validatePolicies(config) {
+  if (!config || typeof config.tables !== 'object' || Array.isArray(config.tables)) {
+    return ['tables must be an object keyed by table name'];
+  }
+  
+  const problems = [];
+  const isIdentifierList = list => Array.isArray(list) && list.every(item => IDENTIFIER_PATTERN.test(item));
+  
+  for (const [tableName, policy] of Object.entries(config.tables)) {
+    const prefix = `tables.${tableName}`;
+    
+    if (!IDENTIFIER_PATTERN.test(tableName) || INTERNAL_TABLES.includes(tableName)) {
+      problems.push(`${prefix} is not a table that can be exposed`);
+      continue;
+    }
+    if (!policy || typeof policy !== 'object') {
+      problems.push(`${prefix} must be an object`);
+      continue;
+    }
+    
+    for (const [operation, roles] of Object.entries(policy.operations || {})) {
+      if (!OPERATIONS.includes(operation)) {
+        problems.push(`${prefix}.operations.${operation} is not one of: ${OPERATIONS.join(', ')}`);
+      } else if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string')) {
+        problems.push(`${prefix}.operations.${operation} must be an array of roles`);
+      }
+    }
+    
+    for (const kind of ['read', 'write']) {
+      const columns = policy.columns && policy.columns[kind];
+      if (columns !== undefined && !isIdentifierList(columns)) {
+        problems.push(`${prefix}.columns.${kind} must be an array of column names`);
+      }
+    }
+    
+    if (policy.rows !== undefined && (!policy.rows || typeof policy.rows !== 'object')) {
+      problems.push(`${prefix}.rows must be an object of filters keyed by role`);
+    }
+  }
+  
+  if (config.functions !== undefined && (!config.functions || typeof config.functions !== 'object' || Array.isArray(config.functions))) {
+    return [...problems, 'functions must be an object keyed by function name'];
+  }
+  
+  for (const [functionName, policy] of Object.entries(config.functions || {})) {
+    const prefix = `functions.${functionName}`;
+    
+    if (!IDENTIFIER_PATTERN.test(functionName)) {
+      problems.push(`${prefix} is not a function name`);
+      continue;
+    }
+    if (!policy || typeof policy !== 'object') {
+      problems.push(`${prefix} must be an object`);
+      continue;
+    }
+    
+    for (const [operation, roles] of Object.entries(policy.operations || {})) {
+      if (operation !== 'execute') {
+        problems.push(`${prefix}.operations.${operation} is not execute`);
+      } else if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string')) {
+        problems.push(`${prefix}.operations.${operation} must be an array of roles`);
+      }
+    }
+    
+    const columns = policy.columns && policy.columns.read;
+    if (columns !== undefined && !isIdentifierList(columns)) {
+      problems.push(`${prefix}.columns.read must be an array of column names`);
+    }
+    if (policy.writes !== undefined && !isIdentifierList(policy.writes)) {
+      problems.push(`${prefix}.writes must be an array of table names`);
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Load table and function policies from POLICIES_FILE, or src/policies.json.
+ * Without a policies file no table or function is exposed, unless
+ * POLICIES_OPEN=true exposes every table except internal ones. Functions
+ * are only ever exposed by listing them.
+ * @returns {Object} Policies by table name (`tables`, null in open mode)
+ *   and function name (`functions`)
+ */
+function loadPolicies() {
+  const file = process.env.POLICIES_FILE || DEFAULT_POLICIES_FILE;
+  
+  if (!fs.existsSync(file)) {
+    if (process.env.POLICIES_FILE) {
+      throw new AppError(`Policies file not found: ${file}`, 500, 'Policy Engine');
+    }
+    if (process.env.POLICIES_OPEN === 'true') {
+      logger.warn('No policies file found and POLICIES_OPEN=true; every table except internal ones is exposed, and no function');
+      return { tables: null, functions: {} };
+    }
+    logger.warn('No policies file found; no table or function is exposed (set POLICIES_OPEN=true to expose every table)');
+    return { tables: {}, functions: {} };
+  }
+  
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new AppError(`Invalid policies file ${file}: ${error.message}`, 500, 'Policy Engine');
+  }
+  
+  const problems = validatePolicies(config);
+  if (problems.length > 0) {
+    throw new AppError(`Invalid policies file ${file}: ${problems.join('; ')}`, 500, 'Policy Engine');
+  }
+  
+  return { tables: config.tables, functions: config.functions || {} };
+}
+
+/**
+ * Replace `$user.<path>` values in a filter tree with the caller's data.
+ * A condition on a value the caller doesn't have matches no rows.
+ * @param {Object} filter - Filter tree from a policy
+ * @param {Object|null} user - Request user
+ * @returns {Object} Filter tree with values filled in
+ */
+function bindUser(filter, user) {
+  const resolve = value => {
+    if (Array.isArray(value)) return value.map(resolve).filter(item => item !== undefined);
+    if (typeof value !== 'string' || !value.startsWith('$user.')) return value;
+    
+    const found = value.slice(6).split('.').reduce((current, key) => (current == null ? undefined : current[key]), user);
+    return found === null ? undefined : found;
+  };
+  
+  if (filter.field) {
+    const value = resolve(filter.value);
+    if (filter.value !== undefined && value === undefined) {
+      return {
+        logic: 'AND',
+        filters: [{ field: filter.field, operator: 'IS NULL' }, { field: filter.field, operator: 'IS NOT NULL' }]
+      };
+    }
+    return { ...filter, value };
+  }
+  return { ...filter, filters: (filter.filters || []).map(subFilter => bindUser(subFilter, user)) };
+}
+
+/**
+ * Collect the `column = value` conditions a filter requires of every row
+ * @param {Object|null} filter - Row filter
+ * @returns {Object} Required values by column
+ */
+function requiredValues(filter) {
+  if (!filter) return {};
+  if (filter.field) {
+    return filter.operator === '=' ? { [filter.field]: filter.value } : {};
+  }
+  if (String(filter.logic).toUpperCase() !== 'AND' || filter.referencedTable) return {};
+  return Object.assign({}, ...filter.filters.map(requiredValues));
+}
+
+/**
+ * Check whether a policy lets any of the caller's roles perform an operation
+ * @param {Object} policy - Table or function policy
+ * @param {string} operation - read, create, update or delete; execute for functions
+ * @param {Object} access - Caller's access
+ * @returns {boolean} True if allowed
+ */
+function allows(policy, operation, access) {
+  const allowed = (policy.operations || {})[operation] || [];
+  return allowed.includes('*') || access.roles.some(role => allowed.includes(role));
+}
+
+/**
+ * Split a filter or sort field like `tasks.metadata->>city` into its resource path and column
+ * @param {string} field - Field name
+ * @param {string|null} basePath - Resource the field is relative to
+ * @returns {Object} Resource path ('' for the table itself) and column
+ */
+function splitField(field, basePath) {
+  const parts = String(field).split('->')[0].split('.');
+  const column = parts.pop();
+  const fieldPath = [basePath, ...parts].filter(Boolean).join('.');
+  return { path: fieldPath, column };
+}
+
+/**
+ * Enforces the table and function allowlists, per-role operations,
+ * readable/writable columns and row filters declared in the policies file.
+ * Every method takes the caller's access (see accessFor).
+ */
+class PolicyEngine {
+  /**
+   * Policies, loaded on first use (see loadPolicies)
+   * @returns {Object} Table and function policies
+   */
+  get policies() {
+    if (this.loadedPolicies === undefined) {
+      this.loadedPolicies = loadPolicies();
+    }
+    return this.loadedPolicies;
+  }
+  
+  /**
+   * Table policies; null in open mode
+   * @returns {Object|null} Policies by table name
+   */
+  get tables() {
+    return this.policies.tables;
+  }
+  
+  /**
+   * Function policies
+   * @returns {Object} Policies by function name
+   */
+  get functions() {
+    return this.policies.functions;
+  }
+  
+  /**
+   * Build the access context of a request
+   * @param {Object} req - HTTP request
+   * @returns {Object} Caller and their roles: `anon`, or `authenticated`
+   *   plus their JWT role and `admin` for admins
+   */
+  accessFor(req) {
+    const user = req.user || null;
+    if (!user) return { user, roles: ['anon'] };
+    
+    const roles = ['authenticated'];
+    if (user.role && !roles.includes(user.role)) roles.push(user.role);
+    if (isAdmin(user)) roles.push('admin');
+    
+    return { user, roles };
+  }
+  
+  /**
+   * Get the policy of an exposed table
+   * @param {string} tableName - Table name
+   * @returns {Object} Table policy
+   */
+  getTablePolicy(tableName) {
+    if (INTERNAL_TABLES.includes(tableName)) {
+      throw new NotFoundError(`Table not found: ${tableName}`, 'Policy Engine');
+    }
+    if (!this.tables) return OPEN_POLICY;
+    
+    const policy = this.tables[tableName];
+    if (!policy) {
+      throw new NotFoundError(`Table not found: ${tableName}`, 'Policy Engine');
+    }
+    return policy;
+  }
+  
+  /**
+   * Check that the caller may perform an operation on a table
+   * @param {string} tableName - Table name
+   * @param {string} operation - read, create, update or delete
+   * @param {Object} access - Caller's access
+   * @returns {Object} Table policy
+   */
+  authorize(tableName, operation, access) {
+    const policy = this.getTablePolicy(tableName);
+    
+    if (!allows(policy, operation, access)) {
+      throw new ForbiddenError(`Not allowed to ${operation} ${tableName}`, 'Policy Engine');
+    }
+    return policy;
+  }
+  
+  /**
+   * Get the policy of an exposed function. Only the functions the policies
+   * file lists are exposed, even in open mode.
+   * @param {string} functionName - Function name
+   * @returns {Object} Function policy
+   */
+  getFunctionPolicy(functionName) {
+    const policy = this.functions[functionName];
+    if (!policy) {
+      throw new NotFoundError(`Function not found: ${functionName}`, 'Policy Engine');
+    }
+    return policy;
+  }
+  
+  /**
+   * Check that the caller may call a function
+   * @param {string} functionName - Function name
+   * @param {Object} access - Caller's access
+   * @returns {Object} Function policy
+   */
+  authorizeFunction(functionName, access) {
+    const policy = this.getFunctionPolicy(functionName);
+    
+    if (!allows(policy, 'execute', access)) {
+      throw new ForbiddenError(`Not allowed to execute ${functionName}`, 'Policy Engine');
+    }
+    return policy;
+  }
+  
+  /**
+   * Describe what the caller may do with a table, for schema documents
+   * @param {string} tableName - Table name
+   * @param {Object} access - Caller's access
+   * @returns {Object|null} Allowed operations and readable/writable columns
+   *   (null when all are), or null if the table isn't exposed
+   */
+  describe(tableName, access) {
+    if (INTERNAL_TABLES.includes(tableName) || (this.tables && !this.tables[tableName])) {
+      return null;
+    }
+    
+    const policy = this.getTablePolicy(tableName);
+    const columns = policy.columns || {};
+    return {
+      operations: OPERATIONS.filter(operation => allows(policy, operation, access)),
+      readable: columns.read || null,
+      writable: columns.write || null
+    };
+  }
+  
+  /**
+   * Get the row filter that applies to the caller. The entry for the
+   * caller's most specific role wins, then the `*` entry; a null entry
+   * means no restriction.
+   * @param {Object} policy - Table policy
+   * @param {Object} access - Caller's access
+   * @returns {Object|null} Row filter with the caller's values bound
+   */
+  rowFilter(policy, access) {
+    const rows = policy.rows;
+    if (!rows) return null;
+    
+    const role = [...access.roles].reverse().find(name => rows[name] !== undefined);
+    const filter = role ? rows[role] : rows['*'];
+    
+    return filter ? bindUser(filter, access.user) : null;
+  }
+  
+  /**
+   * Restrict a read to what the caller may see: checks every table in the
+   * select (embedded ones included), expands `*` to the readable columns
+   * and collects the row filters of each table
+   * @param {string} tableName - Table name
+   * @param {string} columns - Select string
+   * @param {Object} access - Caller's access
+   * @returns {Object} Select string, row filter (null if none) and the
+   *   readable columns of each resource path
+   */
+  scopeRead(tableName, columns, access) {
+    const scope = { readable: new Map(), filters: [] };
+    const nodes = this.scopeNodes(parseSelect(columns), tableName, '', access, scope);
+    
+    return {
+      columns: renderSelect(nodes),
+      filter: scope.filters.length > 0 ? { logic: 'AND', filters: scope.filters } : null,
+      readable: scope.readable
+    };
+  }
+  
+  /**
+   * Scope the select nodes of one resource, recursing into embedded ones
+   * @param {Array<Object>} nodes - Select nodes
+   * @param {string} tableName - Table of the resource
+   * @param {string} resourcePath - Path of the resource ('' for the queried table)
+   * @param {Object} access - Caller's access
+   * @param {Object} scope - Readable columns and row filters collected so far
+   * @returns {Array<Object>} Scoped select nodes
+   */
+  scopeNodes(nodes, tableName, resourcePath, access, scope) {
+    const policy = this.authorize(tableName, 'read', access);
+    const readable = (policy.columns && policy.columns.read) || null;
+    scope.readable.set(resourcePath, readable);
+    
+    const filter = this.rowFilter(policy, access);
+    if (filter) {
+      scope.filters.push(resourcePath ? { logic: 'AND', filters: [filter], referencedTable: resourcePath } : filter);
+    }
+    
+    return this.mapNodes(nodes, tableName, resourcePath, readable, access, scope);
+  }
+  
+  /**
+   * Restrict the select of a function call to what the caller may see: the
+   * function's readable columns, and the tables embedded in its result
+   * @param {string} functionName - Function name
+   * @param {string} columns - Select string
+   * @param {Object} access - Caller's access
+   * @returns {Object} Select string, row filter of the embedded tables (null
+   *   if none) and the readable columns of each resource path
+   */
+  scopeFunction(functionName, columns, access) {
+    const policy = this.authorizeFunction(functionName, access);
+    const readable = (policy.columns && policy.columns.read) || null;
+    const scope = { readable: new Map([['', readable]]), filters: [] };
+    const nodes = this.mapNodes(parseSelect(columns), functionName, '', readable, access, scope);
+    
+    return {
+      columns: renderSelect(nodes),
+      filter: scope.filters.length > 0 ? { logic: 'AND', filters: scope.filters } : null,
+      readable: scope.readable
+    };
+  }
+  
+  /**
+   * Expand `*` to the readable columns of a resource, reject the others and
+   * scope the embedded resources
+   * @param {Array<Object>} nodes - Select nodes
+   * @param {string} name - Table or function of the resource, for error messages
+   * @param {string} resourcePath - Path of the resource ('' for the queried one)
+   * @param {Array<string>|null} readable - Readable columns (null when all are)
+   * @param {Object} access - Caller's access
+   * @param {Object} scope - Readable columns and row filters collected so far
+   * @returns {Array<Object>} Scoped select nodes
+   */
+  mapNodes(nodes, name, resourcePath, readable, access, scope) {
+    return nodes.flatMap(node => {
+      if (node.type === 'star') {
+        return readable ? readable.map(name => ({ type: 'column', name, jsonPath: '' })) : [node];
+      }
+      if (node.type === 'column' && readable && !readable.includes(node.name)) {
+        throw new ForbiddenError(`Column ${node.name} of ${name} is not readable`, 'Policy Engine');
+      }
+      if (node.type === 'embed') {
+        const embedName = node.alias || node.name;
+        const childPath = resourcePath ? `${resourcePath}.${embedName}` : embedName;
+        return [{ ...node, children: this.scopeNodes(node.children, node.name, childPath, access, scope) }];
+      }
+      return [node];
+    });
+  }
+  
+  /**
+   * Check that a filter tree and sort keys only use readable columns of
+   * resources in the scope
+   * @param {Object} scope - Scope from scopeRead
+   * @param {Object|null} filter - Filter tree
+   * @param {Array<Object>} order - Sort keys (see utils/order-parser)
+   */
+  checkFields(scope, filter, order = []) {
+    const check = (resourcePath, column, field) => {
+      const readable = scope.readable.get(resourcePath);
+      if (readable === undefined || (readable && !readable.includes(column))) {
+        throw new ForbiddenError(`Cannot filter or sort on ${field}`, 'Policy Engine');
+      }
+    };
+    
+    const walk = (node, basePath) => {
+      if (!node) return;
+      if (node.field) {
+        const { path: resourcePath, column } = splitField(node.field, basePath);
+        check(resourcePath, column, node.field);
+        return;
+      }
+      (node.filters || []).forEach(subFilter => walk(subFilter, node.referencedTable || basePath));
+    };
+    
+    walk(filter, null);
+    
+    for (const key of order) {
+      const resourcePath = key.related || key.path || '';
+      check(resourcePath, key.column.split('->')[0], key.related ? `${key.related}(${key.column})` : key.column);
+    }
+  }
+  
+  /**
+   * Check the rows of a write against the caller's policy. Columns a row
+   * filter pins to a value (`owner_id = $user.id`) are filled in on create
+   * and can't be changed to anything else.
+   * @param {string} tableName - Table name
+   * @param {Array<Object>} rows - Rows or changes to write
+   * @param {Object} access - Caller's access
+   * @param {string} operation - create or update
+   * @param {Array<string>} systemColumns - Columns the server sets itself, exempt from the check
+   * @returns {Array<Object>} Rows to write
+   */
+  checkWrite(tableName, rows, access, operation, systemColumns = []) {
+    const policy = this.authorize(tableName, operation, access);
+    const writable = (policy.columns && policy.columns.write) || null;
+    const pinned = requiredValues(this.rowFilter(policy, access));
+    
+    return rows.map((row, index) => {
+      const where = rows.length > 1 ? ` (row ${index})` : '';
+      
+      const denied = Object.keys(row).filter(column =>
+        writable && !writable.includes(column) && !systemColumns.includes(column) && pinned[column] === undefined
+      );
+      if (denied.length > 0) {
+        throw new ForbiddenError(`Columns of ${tableName} are not writable${where}: ${denied.join(', ')}`, 'Policy Engine');
+      }
+      
+      const result = { ...row };
+      for (const [column, value] of Object.entries(pinned)) {
+        if (result[column] === undefined) {
+          if (operation === 'create') result[column] = value;
+        } else if (String(result[column]) !== String(value)) {
+          throw new ForbiddenError(`${column} of ${tableName} must be ${value}${where}`, 'Policy Engine');
+        }
+      }
+      return result;
+    });
+  }
+  
+  /**
+   * Check that a write filter only uses readable columns of the table
+   * @param {string} tableName - Table name
+   * @param {Object|null} filter - Filter tree
+   */
+  checkWriteFilter(tableName, filter) {
+    const policy = this.getTablePolicy(tableName);
+    const readable = (policy.columns && policy.columns.read) || null;
+    this.checkFields({ readable: new Map([['', readable]]) }, filter);
+  }
+  
+  /**
+   * Get the columns the caller's row filter fills in on create
+   * @param {string} tableName - Table name
+   * @param {Object} access - Caller's access
+   * @returns {Array<string>} Column names
+   */
+  pinnedColumns(tableName, access) {
+    return Object.keys(requiredValues(this.rowFilter(this.getTablePolicy(tableName), access)));
+  }
+  
+  /**
+   * Get the columns of a table any caller may write
+   * @param {string} tableName - Table name
+   * @returns {Array<string>|null} Writable columns, or null if all are
+   */
+  writableColumns(tableName) {
+    const policy = this.getTablePolicy(tableName);
+    return (policy.columns && policy.columns.write) || null;
+  }
+  
+  /**
+   * Drop the columns the caller may not read from rows returned by a write
+   * @param {string} tableName - Table name
+   * @param {Array<Object>} rows - Returned rows
+   * @param {Object} policy - Policy to apply instead of the table's (a function's)
+   * @returns {Array<Object>} Rows with readable columns only
+   */
+  projectRows(tableName, rows, policy = this.getTablePolicy(tableName)) {
+    const readable = policy.columns && policy.columns.read;
+    if (!readable || !Array.isArray(rows)) return rows;
+    
+    return rows.map(row => (row && typeof row === 'object'
+      ? Object.fromEntries(Object.entries(row).filter(([column]) => readable.includes(column)))
+      : row));
+  }
+}
+
+module.exports = new PolicyEngine();
@@ -0,0 +1,257 @@
+// realtime-hub.js
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createIsolatedClient } = require('./supabase-client');
+const policyEngine = require('./policy-engine');
+const { matchFilter } = require('../utils/filter-matcher');
+const logger = require('../utils/logger');
+
+const REALTIME_SCHEMA = process.env.REALTIME_SCHEMA || 'public';
+
+// How long a disconnected session is kept for a client to resume, and how
+// many of its latest events are kept for replay
+const RESUME_WINDOW = (parseInt(process.env.REALTIME_RESUME_WINDOW, 10) || 30) * 1000;
+const BUFFER_SIZE = parseInt(process.env.REALTIME_BUFFER_SIZE, 10) || 100;
+
+/**
+ * Change source on Supabase Realtime. Every subscription gets its own
+ * client, authorized with the caller's token, so Realtime applies the
+ * table's row-level security as that user.
+ */
+class SupabaseSource {
+  /**
+   * Subscribe to the changes of a table
+   * @param {string} tableName - Table name
+   * @param {string|null} token - Caller's access token
+   * @param {Function} onChange - Called with `{ eventType, new, old, commitTimestamp }`
+   * @param {Function} onStatus - Called with the channel status and error
+   * @returns {Object} Handle with `setAuth(token)` and `close()`
+   */
+  subscribe(tableName, token, onChange, onStatus) {
+    const client = createIsolatedClient();
+    if (token) client.realtime.setAuth(token);
+    
+    const channel = client
+      .channel(`realtime:${tableName}:${crypto.randomUUID()}`)
+      .on('postgres_changes', { event: '*', schema: REALTIME_SCHEMA, table: tableName }, payload => onChange({
+        eventType: payload.eventType,
+        new: payload.new,
+        old: payload.old,
+        commitTimestamp: payload.commit_timestamp
+      }))
+      .subscribe((status, error) => onStatus(status, error));
+      
+    return {
+      setAuth: newToken => client.realtime.setAuth(newToken),
+      close: () => {
+        client.removeChannel(channel)
+          .catch(error => logger.warn(`Could not leave the realtime channel of ${tableName}: ${error.message}`))
+          .finally(() => client.realtime.disconnect());
+      }
+    };
+  }
+}
+
+/**
+ * Change source for local development and tests: changes are pushed with
+ * `emit` instead of coming from the database
+ */
+class MockSource {
+  constructor() {
+    this.tables = new EventEmitter();
+    this.tables.setMaxListeners(0);
+  }
+  
+  /**
+   * Subscribe to the changes of a table
+   * @param {string} tableName - Table name
+   * @param {string|null} token - Caller's access token (unused)
+   * @param {Function} onChange - Called with each change
+   * @param {Function} onStatus - Called with the channel status
+   * @returns {Object} Handle with `setAuth(token)` and `close()`
+   */
+  subscribe(tableName, token, onChange, onStatus) {
+    this.tables.on(tableName, onChange);
+    setImmediate(() => onStatus('SUBSCRIBED'));
+    
+    return {
+      setAuth: () => {},
+      close: () => this.tables.off(tableName, onChange)
+    };
+  }
+  
+  /**
+   * Push a change to the subscribers of a table
+   * @param {string} tableName - Table name
+   * @param {Object} change - `{ eventType, new, old }`
+   */
+  emit(tableName, change) {
+    this.tables.emit(tableName, { new: {}, old: {}, commitTimestamp: new Date().toISOString(), ...change });
+  }
+}
+
+/**
+ * Relays the changes of tables to realtime subscribers. Each subscriber
+ * has a session that numbers its events and keeps the latest ones, so a
+ * client that reconnects within the resume window with the ID of the last
+ * event it saw gets what it missed.
+ */
+class RealtimeHub {
+  constructor() {
+    this.sessions = new Map();
+  }
+  
+  /**
+   * Change source named by REALTIME_SOURCE: 'supabase' (the default) or
+   * 'mock', created on first use
+   * @returns {SupabaseSource|MockSource} Change source
+   */
+  get source() {
+    if (!this.currentSource) {
+      this.currentSource = process.env.REALTIME_SOURCE === 'mock' ? new MockSource() : new SupabaseSource();
+    }
+    return this.currentSource;
+  }
+  
+  /**
+   * Open a session, or resume the one a `Last-Event-ID` belongs to. A
+   * session is only resumed for the user that opened it, on the same table
+   * and with the same filter, since its buffered events were matched against it.
+   * @param {Object} options - Subscription
+   * @param {string} options.tableName - Table name
+   * @param {Object} options.access - Caller's access
+   * @param {string|null} options.token - Caller's access token
+   * @param {Object|null} options.filter - Caller's filter tree
+   * @param {string} options.lastEventId - ID of the last event the client saw
+   * @returns {Object} Session, events to replay, and whether the client
+   *   must reset because the events it missed are gone
+   */
+  open({ tableName, access, token, filter, lastEventId }) {
+    const [sessionId, seq] = String(lastEventId || '').split('.');
+    const lastSeq = parseInt(seq, 10);
+    const previous = this.sessions.get(sessionId);
+    const userId = access.user ? access.user.id : null;
+    const sameFilter = previous && JSON.stringify(previous.filter) === JSON.stringify(filter);
+    
+    if (previous && !previous.subscriber && previous.tableName === tableName && previous.userId === userId &&
+      sameFilter && !Number.isNaN(lastSeq)) {
+      clearTimeout(previous.expiry);
+      previous.access = access;
+      if (token) previous.handle.setAuth(token);
+      
+      const replay = previous.buffer.filter(event => event.seq > lastSeq);
+      const missed = lastSeq < previous.seq && (replay.length === 0 || replay[0].seq > lastSeq + 1);
+      return { session: previous, replay: missed ? [] : replay, reset: missed };
+    }
+    
+    const session = {
+      id: crypto.randomUUID(),
+      tableName,
+      userId,
+      access,
+      filter,
+      seq: 0,
+      buffer: [],
+      subscriber: null,
+      expiry: null
+    };
+    session.handle = this.source.subscribe(
+      tableName,
+      token,
+      change => this.relay(session, change),
+      (status, error) => this.status(session, status, error)
+    );
+    this.sessions.set(session.id, session);
+    
+    return { session, replay: [], reset: Boolean(lastEventId) };
+  }
+  
+  /**
+   * Attach the connection that receives a session's events
+   * @param {Object} session - Session
+   * @param {Function} subscriber - Called with each event
+   */
+  attach(session, subscriber) {
+    session.subscriber = subscriber;
+  }
+  
+  /**
+   * Detach a session's connection. The session keeps collecting events
+   * for the resume window, then ends.
+   * @param {Object} session - Session
+   */
+  detach(session) {
+    session.subscriber = null;
+    clearTimeout(session.expiry);
+    session.expiry = setTimeout(() => this.end(session), RESUME_WINDOW);
+    session.expiry.unref();
+  }
+  
+  /**
+   * End a session and its subscription
+   * @param {Object} session - Session
+   */
+  end(session) {
+    clearTimeout(session.expiry);
+    session.handle.close();
+    this.sessions.delete(session.id);
+  }
+  
+  /**
+   * Turn a change into an event of a session, if the caller may see the
+   * row and it matches their filter. The policy's row filter must hold on
+   * the row; the caller's filter only must not fail, since the old row of
+   * a delete may lack the columns it uses.
+   * @param {Object} session - Session
+   * @param {Object} change - Change from the source
+   */
+  relay(session, change) {
+    try {
+      const { tableName, access } = session;
+      const record = change.eventType === 'DELETE' ? change.old : change.new;
+      
+      const rowFilter = policyEngine.rowFilter(policyEngine.getTablePolicy(tableName), access);
+      if (matchFilter(record, rowFilter) !== true || matchFilter(record, session.filter) === false) {
+        return;
+      }
+      
+      const [projected, projectedOld] = policyEngine.projectRows(tableName, [change.new || {}, change.old || {}]);
+      session.seq += 1;
+      const event = {
+        id: `${session.id}.${session.seq}`,
+        seq: session.seq,
+        type: 'change',
+        data: {
+          table: tableName,
+          type: change.eventType,
+          record: change.eventType === 'DELETE' ? null : projected,
+          old_record: change.eventType === 'INSERT' ? null : projectedOld,
+          commit_timestamp: change.commitTimestamp
+        }
+      };
+      
+      session.buffer.push(event);
+      if (session.buffer.length > BUFFER_SIZE) session.buffer.shift();
+      if (session.subscriber) session.subscriber(event);
+    } catch (error) {
+      logger.error(`Could not relay a change of ${session.tableName}`, error);
+    }
+  }
+  
+  /**
+   * Pass channel status changes on to the subscriber
+   * @param {Object} session - Session
+   * @param {string} status - SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT or CLOSED
+   * @param {Error} error - Channel error
+   */
+  status(session, status, error) {
+    if (status !== 'SUBSCRIBED') {
+      logger.warn(`Realtime channel of ${session.tableName} ${status}${error ? `: ${error.message}` : ''}`);
+    }
+    if (session.subscriber) {
+      session.subscriber({ type: 'status', data: { status, message: error ? error.message : undefined } });
+    }
+  }
+}
+
+module.exports = new RealtimeHub();
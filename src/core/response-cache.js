@@ -0,0 +1,305 @@
+// response-cache.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createStore } = require('./cache-store');
+const policyEngine = require('./policy-engine');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/error-handler');
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', 'cache.json');
+
+// Response headers that are part of a cached list response
+const CACHED_HEADERS = ['Link', 'Content-Range'];
+
+/**
+ * Serialize a value with object keys in a fixed order, so equal values
+ * give equal strings
+ * @param {any} value - Value
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Normalize query parameters for a cache key: a JSON `filter` is compared
+ * by value rather than by its spelling
+ * @param {Object} query - Query parameters
+ * @returns {Object} Normalized parameters
+ */
+function normalizeQuery(query) {
+  const normalized = { ...query };
+  
+  if (typeof normalized.filter === 'string') {
+    try {
+      normalized.filter = JSON.parse(normalized.filter);
+    } catch (error) {
+      // Left as is; the request fails with a 400 and isn't cached
+    }
+  }
+  if (typeof normalized.select === 'string') {
+    normalized.select = normalized.select.replace(/\s+/g, '');
+  }
+  
+  return normalized;
+}
+
+/**
+ * Load the cache settings from CACHE_FILE, or src/cache.json
+ * @returns {Object} Settings: defaultTtl, and ttl/shared per table and view
+ */
+function loadCacheConfig() {
+  const file = process.env.CACHE_FILE || DEFAULT_CACHE_FILE;
+  const config = { defaultTtl: 0, tables: {}, views: {} };
+  
+  if (!fs.existsSync(file)) {
+    if (process.env.CACHE_FILE) {
+      throw new AppError(`Cache file not found: ${file}`, 500, 'Response Cache');
+    }
+    return config;
+  }
+  
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new AppError(`Invalid cache file ${file}: ${error.message}`, 500, 'Response Cache');
+  }
+  
+  const isTtl = ttl => Number.isInteger(ttl) && ttl >= 0;
+  const problems = [];
+  if (parsed.defaultTtl !== undefined && !isTtl(parsed.defaultTtl)) {
+    problems.push('defaultTtl must be a number of seconds');
+  }
+  for (const kind of ['tables', 'views']) {
+    for (const [name, entry] of Object.entries(parsed[kind] || {})) {
+      if (!entry || typeof entry !== 'object' || (entry.ttl !== undefined && !isTtl(entry.ttl))) {
+        problems.push(`${kind}.${name} must be an object with ttl in seconds`);
+      }
+    }
+  }
+  if (problems.length > 0) {
+    throw new AppError(`Invalid cache file ${file}: ${problems.join('; ')}`, 500, 'Response Cache');
+  }
+  
+  logger.info(`Loaded cache settings from ${file}`);
+  return { ...config, ...parsed };
+}
+
+/**
+ * Caches the responses of list and view reads. Entries are keyed on the
+ * request and on a generation number of every table they read, which
+ * writes through the DataRepository bump, so a write makes every response
+ * built from the old data unreachable.
+ */
+class ResponseCache {
+  /**
+   * Cache store, created on first use
+   * @returns {Object} Cache store (see cache-store)
+   */
+  get store() {
+    if (!this.currentStore) {
+      this.currentStore = createStore();
+    }
+    return this.currentStore;
+  }
+  
+  /**
+   * Cache settings, loaded on first use
+   * @returns {Object} Cache settings
+   */
+  get config() {
+    if (!this.loadedConfig) {
+      this.loadedConfig = loadCacheConfig();
+    }
+    return this.loadedConfig;
+  }
+  
+  /**
+   * Get the cache settings of a table or view
+   * @param {string} kind - 'table' or 'view'
+   * @param {string} name - Table or view name
+   * @returns {Object} TTL in seconds (0 when not cached) and whether callers
+   *   with the same roles share entries
+   */
+  settingsFor(kind, name) {
+    const entry = (kind === 'view' ? this.config.views : this.config.tables)[name] || {};
+    return {
+      ttl: entry.ttl !== undefined ? entry.ttl : this.config.defaultTtl || 0,
+      shared: entry.shared === true
+    };
+  }
+  
+  /**
+   * Get the current generation of each table, followed by the generation
+   * every entry shares (see invalidateAll)
+   * @param {Array<string>} tables - Table names
+   * @returns {Promise<Array<number>>} Generations
+   */
+  async generations(tables) {
+    return Promise.all([...tables, '*'].map(table => this.store.counter(`generation:${table}`)));
+  }
+  
+  /**
+   * Invalidate every cached entry that read a table. Never throws: a cache
+   * that can't be reached must not fail the write that triggered it.
+   * @param {string} tableName - Table that was written
+   */
+  async invalidate(tableName) {
+    try {
+      await this.store.incr(`generation:${tableName}`);
+    } catch (error) {
+      logger.warn(`Could not invalidate the cache of ${tableName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invalidate every cached entry, for writes whose tables aren't known.
+   * Never throws, like invalidate.
+   */
+  async invalidateAll() {
+    await this.invalidate('*');
+  }
+  
+  /**
+   * Get a value from the cache, or load and store it
+   * @param {string} name - Entry name
+   * @param {number} ttl - Time to live in seconds; 0 always loads
+   * @param {Array<string>} tables - Tables the value is read from
+   * @param {Function} load - Loads the value
+   * @returns {Promise<any>} Value
+   */
+  async remember(name, ttl, tables, load) {
+    if (!ttl) return load();
+    
+    let key = null;
+    try {
+      key = `value:${name}:${(await this.generations(tables)).join('.')}`;
+      const cached = await this.store.get(key);
+      if (cached) return cached.value;
+    } catch (error) {
+      logger.warn(`Cache unavailable for ${name}: ${error.message}`);
+    }
+    
+    const value = await load();
+    if (key) {
+      await this.store.set(key, { value }, ttl).catch(error => logger.warn(`Could not cache ${name}: ${error.message}`));
+    }
+    return value;
+  }
+  
+  /**
+   * Build the cache key of a request. Besides the request itself it holds
+   * the caller's roles and policy row filters, and the user unless the
+   * table or view is shared by callers with the same roles.
+   * @param {Object} req - HTTP request
+   * @param {Object} target - kind, name, tables and query of the read
+   * @param {boolean} shared - Whether callers with the same roles share entries
+   * @returns {Promise<string>} Cache key
+   */
+  async keyFor(req, target, shared) {
+    const access = policyEngine.accessFor(req);
+    const rowFilters = target.tables.map(table => {
+      try {
+        return policyEngine.rowFilter(policyEngine.getTablePolicy(table), access);
+      } catch (error) {
+        return null;
+      }
+    });
+    
+    const hash = crypto.createHash('sha1').update(stableStringify({
+      query: normalizeQuery(target.query),
+      roles: access.roles,
+      rowFilters,
+      user: shared ? null : access.user && access.user.id,
+      generations: await this.generations(target.tables)
+    })).digest('base64url');
+    
+    return `response:${target.kind}:${target.name}:${hash}`;
+  }
+  
+  /**
+   * Answer a read from the cache when the table or view is cached and a
+   * fresh entry exists; otherwise build the body and cache it. Requests
+   * with `Cache-Control: no-cache` skip the lookup but refresh the entry.
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   * @param {Object} target - The read
+   * @param {string} target.kind - 'table' or 'view'
+   * @param {string} target.name - Table or view name
+   * @param {Array<string>|null} target.tables - Every table the read uses;
+   *   null when they aren't known, which bypasses the cache
+   * @param {Object} target.query - Query parameters
+   * @param {Function} produce - Builds the response body, and may set the
+   *   Link and Content-Range headers
+   */
+  async respond(req, res, target, produce) {
+    const { ttl, shared } = this.settingsFor(target.kind, target.name);
+    
+    let key = null;
+    if (ttl > 0 && target.tables) {
+      try {
+        key = await this.keyFor(req, target, shared);
+        
+        const bypass = /no-cache/i.test(req.headers['cache-control'] || '');
+        const entry = bypass ? null : await this.store.get(key);
+        if (entry) {
+          const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+          for (const [name, value] of Object.entries(entry.headers)) {
+            res.setHeader(name, value);
+          }
+          this.send(res, entry.body, { ttl, age, status: 'HIT' });
+          return;
+        }
+      } catch (error) {
+        logger.warn(`Cache unavailable for ${target.kind} ${target.name}: ${error.message}`);
+      }
+    }
+    
+    const body = JSON.stringify(await produce());
+    
+    if (!key) {
+      this.send(res, body, null);
+      return;
+    }
+    
+    const headers = {};
+    for (const name of CACHED_HEADERS) {
+      if (res.hasHeader(name)) headers[name] = res.getHeader(name);
+    }
+    
+    try {
+      await this.store.set(key, { body, headers, storedAt: Date.now() }, ttl);
+    } catch (error) {
+      logger.warn(`Could not cache ${target.kind} ${target.name}: ${error.message}`);
+    }
+    this.send(res, body, { ttl, age: 0, status: 'MISS' });
+  }
+  
+  /**
+   * Send a JSON body, with caching headers for cached reads
+   * @param {Object} res - HTTP response
+   * @param {string} body - JSON body
+   * @param {Object|null} cache - ttl, age and status (HIT or MISS), or null
+   */
+  send(res, body, cache) {
+    if (cache) {
+      res.setHeader('Cache-Control', `private, max-age=${Math.max(cache.ttl - cache.age, 0)}`);
+      res.setHeader('Age', String(cache.age));
+      res.setHeader('X-Cache', cache.status);
+    }
+    
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(body);
+  }
+}
+
+module.exports = new ResponseCache();
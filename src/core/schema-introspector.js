@@ -0,0 +1,250 @@
+// schema-introspector.js
+const { getSupabaseConfig } = require('./supabase-client');
+const policyEngine = require('./policy-engine');
+const logger = require('../utils/logger');
+const { UpstreamError } = require('../utils/error-handler');
+
+const SCHEMA_CACHE_TTL = (parseInt(process.env.SCHEMA_CACHE_TTL, 10) || 300) * 1000;
+
+// PostgREST marks keys in column descriptions: <pk/> and <fk table='x' column='y'/>
+const PRIMARY_KEY_PATTERN = /<pk\/>/;
+const FOREIGN_KEY_PATTERN = /<fk table='([^']+)' column='([^']+)'\/>/;
+
+/**
+ * Turn a PostgREST column description into plain text, without the key notes
+ * @param {string} description - Column description from the PostgREST spec
+ * @returns {string|null} Description, or null if there is none
+ */
+function cleanDescription(description) {
+  const text = String(description || '')
+    .replace(/Note:\n/g, '')
+    .replace(/This is a (Primary|Foreign) Key[^<]*<[^>]+\/>/g, '')
+    .trim();
+  return text || null;
+}
+
+/**
+ * Parse the tables of a PostgREST OpenAPI (Swagger 2) document
+ * @param {Object} spec - Document served at the root of the REST API
+ * @returns {Array<Object>} Tables with their columns and foreign keys
+ */
+function parseTables(spec) {
+  const definitions = spec.definitions || {};
+  
+  const tables = Object.entries(definitions).map(([name, definition]) => {
+    const required = definition.required || [];
+    
+    const columns = Object.entries(definition.properties || {}).map(([columnName, property]) => {
+      const foreignKey = String(property.description || '').match(FOREIGN_KEY_PATTERN);
+      return {
+        name: columnName,
+        type: property.type || null,
+        format: property.format || null,
+        ...(property.items ? { items: property.items } : {}),
+        ...(property.enum ? { enum: property.enum } : {}),
+        ...(property.maxLength ? { maxLength: property.maxLength } : {}),
+        nullable: !required.includes(columnName),
+        default: property.default === undefined ? null : property.default,
+        primaryKey: PRIMARY_KEY_PATTERN.test(property.description || ''),
+        references: foreignKey ? { table: foreignKey[1], column: foreignKey[2] } : null,
+        description: cleanDescription(property.description)
+      };
+    });
+    
+    return { name, description: definition.description || null, columns, relations: [] };
+  });
+  
+  // Each foreign key relates two tables: many-to-one from the table holding
+  // it, one-to-many from the table it points at
+  const byName = new Map(tables.map(table => [table.name, table]));
+  for (const table of tables) {
+    for (const column of table.columns.filter(({ references }) => references)) {
+      table.relations.push({
+        type: 'many-to-one',
+        table: column.references.table,
+        column: column.name,
+        referencedColumn: column.references.column
+      });
+      
+      const target = byName.get(column.references.table);
+      if (target) {
+        target.relations.push({
+          type: 'one-to-many',
+          table: table.name,
+          column: column.references.column,
+          referencedColumn: column.name
+        });
+      }
+    }
+  }
+  
+  return tables.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Parse the functions of a PostgREST OpenAPI document, which lists them
+ * as `/rpc/<name>` paths taking their arguments as a JSON body
+ * @param {Object} spec - Document served at the root of the REST API
+ * @returns {Array<Object>} Functions with their parameters
+ */
+function parseFunctions(spec) {
+  return Object.entries(spec.paths || {}).flatMap(([pathName, item]) => {
+    const match = pathName.match(/^\/rpc\/([^/]+)$/);
+    if (!match || !item.post) return [];
+    
+    const body = (item.post.parameters || []).find(parameter => parameter.in === 'body') || {};
+    const schema = body.schema || {};
+    const required = schema.required || [];
+    
+    const parameters = Object.entries(schema.properties || {}).map(([name, property]) => ({
+      name,
+      type: property.type || null,
+      format: property.format || null,
+      ...(property.items ? { items: property.items } : {}),
+      required: required.includes(name)
+    }));
+    
+    return [{ name: match[1], description: item.post.summary || item.post.description || null, parameters }];
+  }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Reads the database schema (tables and functions) from the OpenAPI document
+ * PostgREST serves at the root of the REST API, and filters it by the
+ * caller's table policies
+ */
+class SchemaIntrospector {
+  constructor() {
+    this.cache = { tables: null, functions: null, fetchedAt: 0 };
+  }
+  
+  /**
+   * Fetch every table and function the REST API exposes, cached for
+   * SCHEMA_CACHE_TTL seconds (300 by default)
+   * @param {Object} options - Additional options (refresh: bypass the cache)
+   * @returns {Promise<Object>} Tables and functions
+   */
+  async load(options = {}) {
+    const isStale = Date.now() - this.cache.fetchedAt > SCHEMA_CACHE_TTL;
+    if (this.cache.tables && !isStale && !options.refresh) {
+      return this.cache;
+    }
+    
+    try {
+      const { url, key } = getSupabaseConfig();
+      const response = await fetch(`${url.replace(/\/$/, '')}/rest/v1/`, {
+        headers: {
+          apikey: key,
+          Authorization: `Bearer ${key}`,
+          Accept: 'application/openapi+json'
+        }
+      });
+      if (!response.ok) {
+        throw new UpstreamError(`Schema request failed with status ${response.status}`, 'Schema Introspector');
+      }
+      
+      const spec = await response.json();
+      this.cache = { tables: parseTables(spec), functions: parseFunctions(spec), fetchedAt: Date.now() };
+      logger.debug(`Schema loaded (${this.cache.tables.length} tables, ${this.cache.functions.length} functions)`);
+      return this.cache;
+    } catch (error) {
+      logger.error('Error introspecting schema', error);
+      
+      // Serve the last known schema rather than failing outright
+      if (this.cache.tables) return this.cache;
+      throw error.statusCode ? error : new UpstreamError('Could not load the database schema', 'Schema Introspector');
+    }
+  }
+  
+  /**
+   * Fetch every table the REST API exposes (see load)
+   * @param {Object} options - Additional options (refresh: bypass the cache)
+   * @returns {Promise<Array<Object>>} Tables with their columns and relations
+   */
+  async getTables(options = {}) {
+    return (await this.load(options)).tables;
+  }
+  
+  /**
+   * Fetch every function the REST API exposes (see load)
+   * @param {Object} options - Additional options (refresh: bypass the cache)
+   * @returns {Promise<Array<Object>>} Functions with their parameters
+   */
+  async getFunctions(options = {}) {
+    return (await this.load(options)).functions;
+  }
+  
+  /**
+   * Resolve the tables a select embeds, at any depth. As in PostgREST, an
+   * embed names either a table or a foreign key column of the table it
+   * is embedded in.
+   * @param {string} tableName - Table the select reads
+   * @param {Array<Object>} nodes - Select nodes (see utils/select-parser)
+   * @returns {Promise<Array<string>|null>} Table names, without duplicates,
+   *   or null if an embed can't be resolved (e.g. a constraint name, or
+   *   when the schema can't be loaded)
+   */
+  async getEmbeddedTables(tableName, nodes) {
+    if (!nodes.some(({ type }) => type === 'embed')) return [];
+    
+    let tables;
+    try {
+      tables = await this.getTables();
+    } catch (error) {
+      return null;
+    }
+    
+    const byName = new Map(tables.map(table => [table.name, table]));
+    const found = new Set();
+    
+    const walk = (table, embeds) => embeds.every(node => {
+      if (node.type !== 'embed') return true;
+      
+      const relation = table && table.relations.find(({ type, column }) => type === 'many-to-one' && column === node.name);
+      const target = byName.has(node.name) ? node.name : relation && relation.table;
+      if (!target) return false;
+      
+      found.add(target);
+      return walk(byName.get(target), node.children);
+    });
+    
+    return walk(byName.get(tableName), nodes) ? [...found] : null;
+  }
+  
+  /**
+   * Get the tables the caller can use, with the operations they may perform
+   * and only the columns they may read
+   * @param {Object} access - Caller's access (see policy-engine)
+   * @param {Object} options - Additional options (refresh)
+   * @returns {Promise<Array<Object>>} Visible tables
+   */
+  async getSchema(access, options = {}) {
+    const tables = await this.getTables(options);
+    
+    return tables.flatMap(table => {
+      const permissions = policyEngine.describe(table.name, access);
+      if (!permissions || permissions.operations.length === 0) return [];
+      
+      const { readable, writable } = permissions;
+      const columns = table.columns
+        .filter(column => !readable || readable.includes(column.name))
+        .map(column => ({ ...column, writable: !writable || writable.includes(column.name) }));
+      
+      const visible = name => {
+        const target = policyEngine.describe(name, access);
+        return target && target.operations.includes('read');
+      };
+      
+      return [{
+        ...table,
+        operations: permissions.operations,
+        columns,
+        relations: table.relations.filter(relation =>
+          visible(relation.table) && (relation.type !== 'many-to-one' || columns.some(({ name }) => name === relation.column))
+        )
+      }];
+    });
+  }
+}
+
+module.exports = new SchemaIntrospector();
@@ -0,0 +1,293 @@
+// storage-service.js
+const { getSupabaseClient, getSupabaseConfig } = require('./supabase-client');
+const logger = require('../utils/logger');
+const { AppError, AuthenticationError, ValidationError, NotFoundError } = require('../utils/error-handler');
+const { fromStorageError } = require('../utils/supabase-errors');
+
+const DEFAULT_MAX_FILE_SIZE = 50 * 1024 * 1024;
+const DEFAULT_MAX_SIGNED_URL_TTL = 7 * 24 * 60 * 60;
+
+// Headers of a Storage download passed on to the client
+const DOWNLOAD_HEADERS = [
+  'content-type', 'content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified', 'cache-control'
+];
+
+/**
+ * Read a comma-separated list from the environment
+ * @param {string} value - Environment value
+ * @returns {Array<string>|null} Items, or null when unset
+ */
+function envList(value) {
+  const items = String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+/**
+ * Encode an object path for a Storage URL, segment by segment
+ * @param {string} objectPath - Object path
+ * @returns {string} Encoded path
+ */
+function encodePath(objectPath) {
+  return objectPath.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Files in Supabase Storage buckets. Every method accepts `options.client`
+ * (or `options.token` for the streaming requests, which go to the Storage
+ * API directly because supabase-js buffers them) so Storage policies are
+ * evaluated as the caller.
+ *
+ * STORAGE_BUCKETS limits the exposed buckets, STORAGE_MAX_FILE_SIZE (bytes)
+ * and STORAGE_ALLOWED_TYPES (MIME types, `image/*` style) the uploads.
+ */
+class StorageService {
+  /**
+   * Resolve the client to run a request with
+   * @param {Object} options - Method options
+   * @returns {Object} Supabase client instance
+   */
+  getClient(options = {}) {
+    return options.client || getSupabaseClient();
+  }
+  
+  /**
+   * Upload limits
+   * @returns {Object} Largest file in bytes and allowed MIME types (null for any)
+   */
+  get limits() {
+    return {
+      maxFileSize: parseInt(process.env.STORAGE_MAX_FILE_SIZE, 10) || DEFAULT_MAX_FILE_SIZE,
+      allowedTypes: envList(process.env.STORAGE_ALLOWED_TYPES)
+    };
+  }
+  
+  /**
+   * Check that a bucket is exposed
+   * @param {string} bucket - Bucket name
+   * @throws {NotFoundError} If STORAGE_BUCKETS doesn't list it
+   */
+  checkBucket(bucket) {
+    const buckets = envList(process.env.STORAGE_BUCKETS);
+    if (buckets && !buckets.includes(bucket)) {
+      throw new NotFoundError(`Bucket not found: ${bucket}`, 'Storage Service');
+    }
+  }
+  
+  /**
+   * Decode and check an object path from a URL or body
+   * @param {string} objectPath - Object path, URL-encoded when from a URL
+   * @param {boolean} encoded - Whether to decode it
+   * @returns {string} Object path
+   * @throws {ValidationError} For empty, `.` or `..` segments
+   */
+  objectPath(objectPath, encoded = false) {
+    if (typeof objectPath !== 'string' || objectPath === '') {
+      throw new ValidationError('Object path is required', 'Storage Service');
+    }
+    
+    let segments;
+    try {
+      segments = objectPath.split('/').map(segment => (encoded ? decodeURIComponent(segment) : segment));
+    } catch (error) {
+      throw new ValidationError(`Invalid object path: ${objectPath}`, 'Storage Service');
+    }
+    
+    if (segments.some(segment => segment === '' || segment === '.' || segment === '..' || segment.includes('/'))) {
+      throw new ValidationError(`Invalid object path: ${objectPath}`, 'Storage Service');
+    }
+    return segments.join('/');
+  }
+  
+  /**
+   * Check a file against the upload limits
+   * @param {string} contentType - MIME type
+   * @param {number} size - Size in bytes, if known
+   * @throws {AppError} 415 for a type that isn't allowed, 413 for a file too large
+   */
+  checkFile(contentType, size) {
+    const { maxFileSize, allowedTypes } = this.limits;
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    
+    if (allowedTypes && !allowedTypes.some(allowed => (allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed))) {
+      throw new AppError(`File type ${type || 'unknown'} is not allowed`, 415, 'Storage Service');
+    }
+    if (size > maxFileSize) {
+      throw new AppError(`File is larger than ${maxFileSize} bytes`, 413, 'Storage Service');
+    }
+  }
+  
+  /**
+   * Send a request to the Storage API
+   * @param {string} method - HTTP method
+   * @param {string} resource - Path under /storage/v1
+   * @param {Object} options - Caller's token, headers and body
+   * @returns {Promise<Response>} Successful response
+   */
+  async request(method, resource, { token, headers = {}, body } = {}) {
+    const { url, key, anonKey } = getSupabaseConfig();
+    
+    // Requests without a token go as the anon role, never with the server key
+    if (!token && !anonKey) {
+      throw new AuthenticationError('Authentication required', 'Storage Service');
+    }
+    
+    let response;
+    try {
+      response = await fetch(`${url.replace(/\/$/, '')}/storage/v1/${resource}`, {
+        method,
+        headers: { apikey: key, Authorization: `Bearer ${token || anonKey}`, ...headers },
+        body,
+        duplex: body ? 'half' : undefined
+      });
+    } catch (error) {
+      // A body that failed (e.g. over the size limit) explains the failure better
+      if (body && body.errored instanceof AppError) throw body.errored;
+      throw fromStorageError({ message: 'Storage request failed' }, 'Storage Service');
+    }
+    
+    if (!response.ok && response.status !== 304) {
+      const text = await response.text();
+      let error;
+      try {
+        error = JSON.parse(text);
+      } catch (parseError) {
+        error = { message: text || `Storage request failed with status ${response.status}` };
+      }
+      throw fromStorageError(error, 'Storage Service', response.status);
+    }
+    return response;
+  }
+  
+  /**
+   * List the objects and folders under a prefix
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Folder to list ('' for the bucket root)
+   * @param {Object} listOptions - limit, offset, search and sortBy `{ column, order }`
+   * @param {Object} options - Additional options (client)
+   * @returns {Promise<Array<Object>>} Objects and folders
+   */
+  async list(bucket, prefix, listOptions = {}, options = {}) {
+    try {
+      const { data, error } = await this.getClient(options).storage.from(bucket).list(prefix, listOptions);
+      if (error) throw fromStorageError(error, 'Storage Service');
+      return data;
+    } catch (error) {
+      logger.error(`Error listing ${bucket}/${prefix}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Upload a file, streaming its body to Storage
+   * @param {string} bucket - Bucket name
+   * @param {string} objectPath - Object path
+   * @param {Object} body - Readable stream of the file
+   * @param {Object} file - contentType, and upsert to replace an existing object
+   * @param {Object} options - Additional options (token)
+   * @returns {Promise<Object>} Bucket, path and the object's full path and ID
+   */
+  async upload(bucket, objectPath, body, { contentType, upsert = false }, options = {}) {
+    try {
+      const response = await this.request('POST', `object/${encodeURIComponent(bucket)}/${encodePath(objectPath)}`, {
+        token: options.token,
+        headers: { 'Content-Type': contentType, 'x-upsert': String(upsert) },
+        body
+      });
+      const data = await response.json();
+      return { bucket, path: objectPath, fullPath: data.Key || `${bucket}/${objectPath}`, id: data.Id || null };
+    } catch (error) {
+      logger.error(`Error uploading ${bucket}/${objectPath}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Download a file. The response is returned unread so its body can be
+   * streamed to the client.
+   * @param {string} bucket - Bucket name
+   * @param {string} objectPath - Object path
+   * @param {Object} headers - Range and conditional request headers to pass on
+   * @param {Object} options - Additional options (token)
+   * @returns {Promise<Object>} Status, headers to pass on and body stream
+   */
+  async download(bucket, objectPath, headers = {}, options = {}) {
+    try {
+      const response = await this.request('GET', `object/authenticated/${encodeURIComponent(bucket)}/${encodePath(objectPath)}`, {
+        token: options.token,
+        headers
+      });
+      
+      const passed = {};
+      for (const name of DOWNLOAD_HEADERS) {
+        if (response.headers.has(name)) passed[name] = response.headers.get(name);
+      }
+      return { status: response.status, headers: passed, body: response.body };
+    } catch (error) {
+      logger.error(`Error downloading ${bucket}/${objectPath}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Move (rename) an object within a bucket
+   * @param {string} bucket - Bucket name
+   * @param {string} from - Current object path
+   * @param {string} to - New object path
+   * @param {Object} options - Additional options (client)
+   */
+  async move(bucket, from, to, options = {}) {
+    try {
+      const { error } = await this.getClient(options).storage.from(bucket).move(from, to);
+      if (error) throw fromStorageError(error, 'Storage Service');
+    } catch (error) {
+      logger.error(`Error moving ${bucket}/${from}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete objects
+   * @param {string} bucket - Bucket name
+   * @param {Array<string>} paths - Object paths
+   * @param {Object} options - Additional options (client)
+   * @returns {Promise<Array<Object>>} Deleted objects; missing ones are left out
+   */
+  async remove(bucket, paths, options = {}) {
+    try {
+      const { data, error } = await this.getClient(options).storage.from(bucket).remove(paths);
+      if (error) throw fromStorageError(error, 'Storage Service');
+      return data;
+    } catch (error) {
+      logger.error(`Error deleting from ${bucket}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Create signed URLs that give temporary access to objects
+   * @param {string} bucket - Bucket name
+   * @param {Array<string>} paths - Object paths
+   * @param {number} expiresIn - Lifetime in seconds, at most STORAGE_MAX_SIGNED_URL_TTL
+   * @param {Object} urlOptions - download: true, or a filename, to have the file downloaded
+   * @param {Object} options - Additional options (client)
+   * @returns {Promise<Array<Object>>} Path, signed URL and error of each object
+   */
+  async createSignedUrls(bucket, paths, expiresIn, urlOptions = {}, options = {}) {
+    const maxTtl = parseInt(process.env.STORAGE_MAX_SIGNED_URL_TTL, 10) || DEFAULT_MAX_SIGNED_URL_TTL;
+    if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > maxTtl) {
+      throw new ValidationError(`expiresIn must be between 1 and ${maxTtl} seconds`, 'Storage Service');
+    }
+    
+    try {
+      const { data, error } = await this.getClient(options).storage.from(bucket).createSignedUrls(paths, expiresIn, urlOptions);
+      if (error) throw fromStorageError(error, 'Storage Service');
+      
+      return data.map(entry => ({ path: entry.path, signedUrl: entry.signedUrl || null, error: entry.error || null }));
+    } catch (error) {
+      logger.error(`Error signing URLs in ${bucket}`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new StorageService();
@@ -1,22 +1,38 @@
 // supabase-client.js
 const { createClient } = require('@supabase/supabase-js');
 const logger = require('../utils/logger');
+const { AuthenticationError } = require('../utils/error-handler');
 
 let supabaseInstance = null;
+let anonInstance = null;
+let supabaseConfig = null;
+
+// Pool of clients bound to a user's access token, keyed by the token itself.
+// Map preserves insertion order, so the first key is always the least recently used.
+const requestClientPool = new Map();
+const DEFAULT_POOL_SIZE = 100;
 
 /**
  * Initialize the Supabase client
  * @param {string} supabaseUrl - Supabase project URL
  * @param {string} supabaseKey - Supabase API key
+ * @param {string} [anonKey] - Anon key, used for requests without a token
  * @returns {Object} Supabase client instance
  */
-function initSupabase(supabaseUrl, supabaseKey) {
+function initSupabase(supabaseUrl, supabaseKey, anonKey) {
   if (!supabaseUrl || !supabaseKey) {
     throw new Error('Missing Supabase credentials');
   }
   
   try {
     supabaseInstance = createClient(supabaseUrl, supabaseKey);
+    anonInstance = anonKey
+      ? createClient(supabaseUrl, anonKey, {
+        auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+      })
+      : null;
+    supabaseConfig = { url: supabaseUrl, key: supabaseKey, anonKey: anonKey || null };
+    requestClientPool.clear();
     logger.info('Supabase client initialized');
     return supabaseInstance;
   } catch (error) {
@@ -36,7 +52,159 @@ function getSupabaseClient() {
   return supabaseInstance;
 }
 
+/**
+ * Get the URL and keys the clients were created with, for requests
+ * supabase-js doesn't cover
+ * @returns {Object} Supabase URL, API key and anon key (null if not set)
+ */
+function getSupabaseConfig() {
+  if (!supabaseConfig) {
+    throw new Error('Supabase client not initialized');
+  }
+  return { ...supabaseConfig };
+}
+
+/**
+ * Extract the bearer token from a request's Authorization header
+ * @param {Object} req - HTTP request object
+ * @returns {string|null} Access token or null
+ */
+function extractBearerToken(req) {
+  const authHeader = req && req.headers && req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  
+  const token = authHeader.slice('Bearer '.length).trim();
+  return token || null;
+}
+
+/**
+ * Read the expiry (in ms) from a JWT without verifying it
+ * @param {string} token - JWT access token
+ * @returns {number|null} Expiry timestamp in milliseconds, or null if unknown
+ */
+function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the client for requests without a token, built from the anon key so
+ * row-level security applies. The server key, which may be the service
+ * role key, is never used for them.
+ * @returns {Object} Supabase client instance
+ * @throws {AuthenticationError} If no anon key is configured
+ */
+function getAnonClient() {
+  if (!supabaseConfig) {
+    throw new Error('Supabase client not initialized');
+  }
+  if (!anonInstance) {
+    throw new AuthenticationError('Authentication required', 'Supabase Client');
+  }
+  return anonInstance;
+}
+
+/**
+ * Get a Supabase client that sends the given access token with every request,
+ * so Postgres row-level security is evaluated as that user
+ * @param {string} accessToken - User access token (JWT); without one, the anon client
+ * @returns {Object} Supabase client instance
+ */
+function getClientForToken(accessToken) {
+  if (!supabaseConfig) {
+    throw new Error('Supabase client not initialized');
+  }
+  
+  if (!accessToken) {
+    return getAnonClient();
+  }
+  
+  const pooled = requestClientPool.get(accessToken);
+  if (pooled) {
+    requestClientPool.delete(accessToken);
+    
+    if (!pooled.expiresAt || pooled.expiresAt > Date.now()) {
+      // Re-insert to mark as most recently used
+      requestClientPool.set(accessToken, pooled);
+      return pooled.client;
+    }
+  }
+  
+  const client = createClient(supabaseConfig.url, supabaseConfig.key, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+      detectSessionInUrl: false
+    },
+    global: {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    }
+  });
+  
+  const maxSize = parseInt(process.env.SUPABASE_CLIENT_POOL_SIZE, 10) || DEFAULT_POOL_SIZE;
+  while (requestClientPool.size >= maxSize) {
+    requestClientPool.delete(requestClientPool.keys().next().value);
+  }
+  
+  requestClientPool.set(accessToken, { client, expiresAt: getTokenExpiry(accessToken) });
+  logger.debug(`Request client created (pool size: ${requestClientPool.size})`);
+  
+  return client;
+}
+
+/**
+ * Create a new, unpooled client whose auth session lives only in the given
+ * storage. Used for auth flows so a user's session never ends up on the
+ * shared server client.
+ * @param {Object} authOptions - Extra auth options (storage, flowType, ...)
+ * @returns {Object} Supabase client instance
+ */
+function createIsolatedClient(authOptions = {}) {
+  if (!supabaseConfig) {
+    throw new Error('Supabase client not initialized');
+  }
+  
+  return createClient(supabaseConfig.url, supabaseConfig.key, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+      detectSessionInUrl: false,
+      ...authOptions
+    }
+  });
+}
+
+/**
+ * Get the Supabase client scoped to an incoming request.
+ * Uses the caller's bearer token when present, otherwise the anon client.
+ * The client is memoized on the request so every call in one request shares it.
+ * @param {Object} req - HTTP request object
+ * @returns {Object} Supabase client instance
+ */
+function getRequestClient(req) {
+  if (req.supabase) {
+    return req.supabase;
+  }
+  
+  const client = getClientForToken(extractBearerToken(req));
+  req.supabase = client;
+  return client;
+}
+
 module.exports = {
   initSupabase,
-  getSupabaseClient
+  getSupabaseClient,
+  getSupabaseConfig,
+  getAnonClient,
+  getClientForToken,
+  getRequestClient,
+  createIsolatedClient,
+  extractBearerToken,
+  getTokenExpiry
 };
@@ -0,0 +1,146 @@
+// table-keys.js
+const { AppError } = require('../utils/error-handler');
+
+/**
+ * Primary keys of tables whose key is not a text `id` column. Each entry is
+ * a `column:type` string, or an array of them for a composite key; the type
+ * defaults to string. More tables can be configured through the TABLE_KEYS
+ * environment variable, as JSON in the same format.
+ *
+ * In URLs, the values of a composite key are separated by commas, in the
+ * order configured here: /api/data/order_items/42,7
+ */
+const tableKeys = {
+  // order_items: ['order_id:integer', 'product_id:integer'],
+  // articles: 'slug'
+};
+
+const DEFAULT_KEY = [{ column: 'id', type: 'string' }];
+const COLUMN_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// How each key type is checked and converted from its URL form
+const KEY_TYPES = {
+  string: {
+    pattern: /^[\s\S]+$/,
+    parse: value => value
+  },
+  integer: {
+    pattern: /^-?\d{1,15}$/,
+    parse: value => Number(value)
+  },
+  bigint: {
+    pattern: /^-?\d+$/,
+    parse: value => value
+  },
+  uuid: {
+    pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    parse: value => value.toLowerCase()
+  }
+};
+
+/**
+ * Parse a key entry such as `'order_id:integer'` or an array of them
+ * @param {string} tableName - Table name, for error messages
+ * @param {string|Array<string>} entry - Key entry
+ * @returns {Array<Object>} Key columns with their types
+ */
+function parseKeyEntry(tableName, entry) {
+  const parts = Array.isArray(entry) ? entry : [entry];
+  
+  return parts.map(part => {
+    const [column, type = 'string'] = String(part).split(':');
+    
+    if (!COLUMN_PATTERN.test(column) || !KEY_TYPES[type]) {
+      throw new AppError(
+        `Invalid key configuration for ${tableName}: ${part} (types: ${Object.keys(KEY_TYPES).join(', ')})`,
+        500,
+        'Table Keys'
+      );
+    }
+    return { column, type };
+  });
+}
+
+/**
+ * Load key configuration from tableKeys and TABLE_KEYS
+ * @returns {Map<string, Array<Object>>} Key columns by table name
+ */
+function loadKeys() {
+  let fromEnv = {};
+  if (process.env.TABLE_KEYS) {
+    try {
+      fromEnv = JSON.parse(process.env.TABLE_KEYS);
+    } catch (error) {
+      throw new AppError('TABLE_KEYS must be valid JSON', 500, 'Table Keys');
+    }
+  }
+  
+  const keys = new Map();
+  for (const [tableName, entry] of Object.entries({ ...tableKeys, ...fromEnv })) {
+    keys.set(tableName, parseKeyEntry(tableName, entry));
+  }
+  return keys;
+}
+
+const configuredKeys = loadKeys();
+
+/**
+ * Get the key columns of a table
+ * @param {string} tableName - Table name
+ * @returns {Array<Object>} Key columns ({ column, type }), in URL order
+ */
+function getKeyColumns(tableName) {
+  return configuredKeys.get(tableName) || DEFAULT_KEY;
+}
+
+/**
+ * Resolve the key segment of a record URL into column filters
+ * @param {string} tableName - Table name
+ * @param {string} rawId - Key segment as it appears in the URL (still percent-encoded)
+ * @returns {Object} Filters by key column, e.g. `{ order_id: 42, product_id: 7 }`
+ */
+function resolveKey(tableName, rawId) {
+  const columns = getKeyColumns(tableName);
+  const values = String(rawId).split(',');
+  
+  if (values.length !== columns.length) {
+    throw new AppError(
+      `The key of ${tableName} has ${columns.length} part(s): ${columns.map(({ column }) => column).join(', ')}`,
+      400,
+      'Table Keys'
+    );
+  }
+  
+  const key = {};
+  columns.forEach(({ column, type }, index) => {
+    let value;
+    try {
+      value = decodeURIComponent(values[index]);
+    } catch (error) {
+      value = null;
+    }
+    
+    if (value === null || !KEY_TYPES[type].pattern.test(value)) {
+      throw new AppError(`Invalid key for ${tableName}: ${column} must be of type ${type}`, 400, 'Table Keys');
+    }
+    key[column] = KEY_TYPES[type].parse(value);
+  });
+  
+  return key;
+}
+
+/**
+ * Describe a resolved key for messages, e.g. `order_id=42, product_id=7`
+ * @param {Object} key - Resolved key
+ * @returns {string} Description
+ */
+function formatKey(key) {
+  return Object.entries(key).map(([column, value]) => `${column}=${value}`).join(', ');
+}
+
+module.exports = {
+  KEY_TYPES,
+  getKeyColumns,
+  resolveKey,
+  formatKey
+};
@@ -1,35 +1,77 @@
 // view-engine.js
 const { getSupabaseClient } = require('./supabase-client');
 const dataRepository = require('./data-repository');
+const { getKeyColumns } = require('./table-keys');
+const policyEngine = require('./policy-engine');
+const responseCache = require('./response-cache');
+const schemaIntrospector = require('./schema-introspector');
 const logger = require('../utils/logger');
-const { AppError } = require('../utils/error-handler');
+const { AppError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/error-handler');
+const { fromDatabaseError } = require('../utils/supabase-errors');
+const { compileJoins, validateJoin } = require('../utils/join-compiler');
+const { applyFilter } = require('../utils/filter-parser');
+const { cursorKeys, applyKeyset, takePage } = require('../utils/pagination');
+const { orderFromOptions, applyOrder } = require('../utils/order-parser');
+
+const VIEW_TABLE = 'view_definitions';
+const VERSION_TABLE = 'view_definition_versions';
+
+// Seconds a view definition read for running a view is kept; writes
+// through the management API drop it straight away
+const VIEW_DEFINITION_TTL = parseInt(process.env.VIEW_DEFINITION_TTL || '300', 10);
+
+// Columns of view_definitions that can be set through the management API
+const VIEW_FIELDS = [
+  'id',
+  'name',
+  'description',
+  'is_public',
+  'join_definition',
+  'allowed_filters',
+  'default_filters',
+  'default_sort'
+];
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// A column, optionally followed by a JSON path (`metadata->>city`)
+const COLUMN_PATTERN = /^[A-Za-z_]\w*(?:->>?(?:[A-Za-z_]\w*|\d+))*$/;
 
 /**
  * Engine for processing and executing custom view definitions
  */
 class ViewEngine {
-  constructor() {
-    this.supabase = getSupabaseClient();
-  }
-  
   /**
    * Get view definition from the database
    * @param {string} viewId - ID of the view
+   * @param {Object} options - Additional options (client, access, cached:
+   *   accept a definition cached for up to VIEW_DEFINITION_TTL seconds).
+   *   Definitions are read with the caller's client, so row-level security
+   *   decides which ones they see, and are cached per user.
    * @returns {Promise<Object>} View definition
    */
-  async getViewDefinition(viewId) {
+  async getViewDefinition(viewId, options = {}) {
     try {
-      const { data, count } = await dataRepository.select(
-        'view_definitions', 
-        '*', 
-        { id: viewId }
-      );
+      const load = async () => {
+        const { data } = await dataRepository.select(
+          VIEW_TABLE,
+          '*',
+          { id: viewId },
+          { client: options.client }
+        );
+        
+        if (!data || data.length === 0) {
+          throw new NotFoundError(`View definition not found: ${viewId}`, 'View Engine');
+        }
+        return data[0];
+      };
       
-      if (!data || data.length === 0) {
-        throw new AppError(`View definition not found: ${viewId}`, 404, 'View Engine');
-      }
+      if (!options.cached) return await load();
       
-      return data[0];
+      // Callers without a token all read with the server client
+      const user = options.access && options.access.user;
+      const name = `view-definition:${viewId}:${user ? `user:${user.id}` : 'anon'}`;
+      return await responseCache.remember(name, VIEW_DEFINITION_TTL, [VIEW_TABLE], load);
     } catch (error) {
       logger.error(`Error fetching view definition: ${viewId}`, error);
       throw error;
@@ -39,52 +81,63 @@ class ViewEngine {
   /**
    * Execute a view definition with filters
    * @param {Object} viewDefinition - View definition from database
-   * @param {Object} filters - Filters to apply
-   * @param {Object} options - Additional options (pagination, sorting)
+   * @param {Object} filter - Caller's filter tree, using `table.field` names
+   * @param {Object} options - Additional options (client, access, pagination, sorting, count)
    * @returns {Promise<Object>} Query results
    */
-  async executeView(viewDefinition, filters = {}, options = {}) {
+  async executeView(viewDefinition, filter = null, options = {}) {
     try {
-      const joinDefinition = viewDefinition.join_definition;
+      // Compile the joins into a single embedded select on the base table
+      const tables = await schemaIntrospector.getTables().catch(error => {
+        logger.warn(`Could not load the relations of view ${viewDefinition.id}: ${error.message}`);
+        return [];
+      });
+      const { baseTable, select, resources } = compileJoins(viewDefinition.join_definition, tables);
       
-      // Start with the base table
-      let query = this.supabase.from(joinDefinition[0].from.table).select();
+      const client = options.client || getSupabaseClient();
       
-      // Apply joins
-      for (const join of joinDefinition) {
-        const joinTable = join.to.table;
-        const fromField = join.from.field;
-        const toField = join.to.field;
+      // Apply filters from request (only allowed ones)
+      const resolvedFilter = filter
+        ? this.resolveFilter(filter, resources, viewDefinition.allowed_filters || []).filter
+        : null;
         
-        // Build the join condition
-        const joinCondition = `${join.from.table}.${fromField}=${joinTable}.${toField}`;
+      // The view's default sort comes first, so callers can only add tie-breakers
+      const defaultSort = viewDefinition.default_sort || [];
+      const sort = [...defaultSort, ...orderFromOptions(options).map(toViewSort)];
+      const resolvedSort = sort.map(({ field, ascending, nullsFirst }) => ({
+        ...this.resolveField(field, resources),
+        ascending: ascending !== false,
+        nullsFirst
+      }));
+      
+      // The caller's table policies apply to every table the view joins
+      let columns = select;
+      let rowFilter = null;
+      if (options.access) {
+        const scope = policyEngine.scopeRead(baseTable, select, options.access);
+        policyEngine.checkFields(scope, resolvedFilter, resolvedSort.slice(defaultSort.length));
+        columns = scope.columns;
+        rowFilter = scope.filter;
+      }
+      
+      // Build the filtered query; called twice in cursor mode to count the whole result
+      const buildQuery = selectOptions => {
+        let query = client.from(baseTable).select(columns, selectOptions);
         
-        // Add the join based on join type
-        switch (join.joinType.toLowerCase()) {
-          case 'left':
-            query = query.select(`*, ${joinTable}(*)`).on(joinCondition);
-            break;
-          case 'right':
-            // Note: Supabase doesn't directly support right joins
-            // This would need custom implementation
-            throw new AppError('Right joins not supported yet', 400, 'View Engine');
-          case 'inner':
-            query = query.select(`*, ${joinTable}!inner(*)`).on(joinCondition);
-            break;
-          default:
-            throw new AppError(`Unknown join type: ${join.joinType}`, 400, 'View Engine');
+        // View-level default filters always apply; caller filters can only narrow them
+        if (viewDefinition.default_filters) {
+          const { filter: defaults } = this.resolveFilter(viewDefinition.default_filters, resources, null);
+          query = applyFilter(query, defaults);
         }
+        
+        return applyFilter(applyFilter(query, resolvedFilter), rowFilter);
+      };
+      
+      if (options.cursor) {
+        return await this.executeKeysetPage(baseTable, buildQuery, resolvedSort, options);
       }
       
-      // Apply filters from request (only allowed ones)
-      const allowedFilters = viewDefinition.allowed_filters || [];
-      Object.entries(filters).forEach(([key, value]) => {
-        if (allowedFilters.includes(key) && value !== undefined && value !== null) {
-          // Apply filter, determining which table it belongs to
-          // This is simplified and would need more complex logic in real implementation
-          query = query.eq(key, value);
-        }
-      });
+      let query = buildQuery(options.count ? { count: options.count } : undefined);
       
       // Apply pagination
       if (options.page && options.pageSize) {
@@ -94,49 +147,472 @@ class ViewEngine {
       }
       
       // Apply sorting
-      if (options.orderBy) {
-        query = query.order(options.orderBy, { 
-          ascending: options.ascending !== false 
-        });
-      }
+      query = applyOrder(query, resolvedSort);
       
       // Execute query
       const { data, error, count } = await query;
       
-      if (error) throw new AppError(error.message, 400, 'View Engine');
+      if (error) throw fromDatabaseError(error, 'View Engine');
       
-      return { data, count };
+      return { data, count: count === undefined ? null : count };
     } catch (error) {
       logger.error('Error executing view', error);
       throw error;
     }
   }
   
+  /**
+   * Execute one keyset page of a view. Only sort keys on the base table order
+   * the view's rows (ordering on an embedded resource sorts inside it), so
+   * those make up the cursor.
+   * @param {string} baseTable - Base table of the view
+   * @param {Function} buildQuery - Builds the filtered query, given select options
+   * @param {Array<Object>} resolvedSort - Sort keys resolved with resolveField
+   * @param {Object} options - pageSize, count and after
+   * @returns {Promise<Object>} Rows, total count and next cursor
+   */
+  async executeKeysetPage(baseTable, buildQuery, resolvedSort, options) {
+    const keyColumns = getKeyColumns(baseTable).map(({ column }) => column);
+    const keys = cursorKeys(resolvedSort.filter(key => key.path === null), keyColumns);
+    
+    let query = applyKeyset(buildQuery(), keys, options.after);
+    query = applyOrder(query, [...resolvedSort.filter(key => key.path !== null), ...keys]);
+    query = query.limit(options.pageSize + 1);
+    
+    const [page, counted] = await Promise.all([
+      query,
+      options.count ? buildQuery({ count: options.count, head: true }) : null
+    ]);
+    
+    if (page.error) throw fromDatabaseError(page.error, 'View Engine');
+    if (counted && counted.error) throw fromDatabaseError(counted.error, 'View Engine');
+    
+    const { data, nextCursor } = takePage(page.data, keys, options.pageSize);
+    return { data, count: counted ? counted.count : null, nextCursor };
+  }
+  
+  /**
+   * List the tables a view reads, its definition included, so cached
+   * results can be dropped when any of them is written
+   * @param {Object} viewDefinition - View definition
+   * @returns {Array<string>} Table names
+   */
+  getViewTables(viewDefinition) {
+    const { baseTable, resources } = compileJoins(viewDefinition.join_definition);
+    return [...new Set([VIEW_TABLE, baseTable, ...Object.values(resources).map(({ table }) => table)])];
+  }
+  
+  /**
+   * Check that the caller may run a view: views that aren't public are
+   * for admins only
+   * @param {Object} viewDefinition - View definition
+   * @param {Object} access - Caller's access (see policy-engine), none for server-side calls
+   */
+  checkAccess(viewDefinition, access) {
+    if (viewDefinition.is_public || !access || access.roles.includes('admin')) return;
+    throw new ForbiddenError(`View ${viewDefinition.id} is not public`, 'View Engine');
+  }
+  
   /**
    * Run a view with filters
    * @param {string} viewId - ID of the view
-   * @param {Object} filters - Filters to apply
+   * @param {Object} filter - Filter tree to apply
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} Query results
    */
-  async runView(viewId, filters = {}, options = {}) {
+  async runView(viewId, filter = null, options = {}) {
     try {
       // Get view definition
-      const viewDefinition = await this.getViewDefinition(viewId);
+      const viewDefinition = await this.getViewDefinition(viewId, { ...options, cached: true });
       
-      // Check permissions (simplified)
-      if (!viewDefinition.is_public) {
-        // In a real app, would check user permissions here
-        logger.warn(`User accessing non-public view: ${viewId}`);
-      }
+      this.checkAccess(viewDefinition, options.access);
       
       // Execute the view
-      return await this.executeView(viewDefinition, filters, options);
+      return await this.executeView(viewDefinition, filter, options);
     } catch (error) {
       logger.error(`Error running view: ${viewId}`, error);
       throw error;
     }
   }
+  
+  /**
+   * Resolve a `table.field` name against the resources of a compiled view
+   * @param {string} name - Qualified field name; an unqualified name refers to the base table
+   * @param {Object} resources - Resources from compileJoins
+   * @returns {Object} Qualified name, resource path (null for the base table) and column
+   */
+  resolveField(name, resources) {
+    const parts = typeof name === 'string' ? name.split('.') : [];
+    if (parts.length === 1) {
+      parts.unshift(Object.keys(resources).find(key => resources[key].path === null));
+    }
+    
+    const [resourceName, column] = parts;
+    const resource = parts.length === 2 ? resources[resourceName] : null;
+    
+    if (!resource || !COLUMN_PATTERN.test(column || '')) {
+      throw new AppError(`Unknown field in view: ${name}`, 400, 'View Engine');
+    }
+    
+    return { qualified: `${resourceName}.${column}`, path: resource.path, column };
+  }
+  
+  /**
+   * Resolve the fields of a filter tree into embedded-resource references,
+   * checking every condition against the view's allowed filters
+   * @param {Object} filter - Filter tree using `table.field` names
+   * @param {Object} resources - Resources from compileJoins
+   * @param {Array|null} allowedFilters - allowed_filters of the view, or null to skip the check
+   * @returns {Object} Resolved filter tree and the set of resource paths it touches
+   */
+  resolveFilter(filter, resources, allowedFilters) {
+    if (filter && filter.field) {
+      const { qualified, path, column } = this.resolveField(filter.field, resources);
+      
+      if (allowedFilters && !isFilterAllowed(allowedFilters, qualified, filter.operator)) {
+        throw new ForbiddenError(
+          `Filtering on ${qualified} with operator ${filter.operator} is not allowed in this view`,
+          'View Engine'
+        );
+      }
+      
+      return {
+        filter: { ...filter, field: path ? `${path}.${column}` : column },
+        paths: new Set([path])
+      };
+    }
+    
+    if (filter && Array.isArray(filter.filters)) {
+      const resolved = filter.filters.map(subFilter => this.resolveFilter(subFilter, resources, allowedFilters));
+      const paths = new Set(resolved.flatMap(result => [...result.paths]));
+      const group = { ...filter, filters: resolved.map(result => result.filter) };
+      
+      // PostgREST evaluates an or() against a single resource, so the group
+      // must stay within one table and name its fields relative to it
+      if (String(filter.logic).toUpperCase() !== 'AND') {
+        if (paths.size > 1) {
+          throw new AppError('OR groups in a view can only combine fields of a single table', 400, 'View Engine');
+        }
+        
+        const [path] = paths;
+        if (path) {
+          return { filter: { ...stripPath(group, path), referencedTable: path }, paths };
+        }
+      }
+      
+      return { filter: group, paths };
+    }
+    
+    throw new AppError('Invalid filter structure', 400, 'View Engine');
+  }
+  
+  /**
+   * Validate a view definition against the shape executeView expects
+   * @param {Object} definition - View definition
+   * @throws {AppError} 400 listing every problem found
+   */
+  validateViewDefinition(definition) {
+    const problems = [];
+    
+    if (typeof definition.id !== 'string' || !/^\w+$/.test(definition.id)) {
+      problems.push('id must be a string of letters, digits and underscores');
+    }
+    if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+      problems.push('name is required');
+    }
+    if (definition.is_public !== undefined && typeof definition.is_public !== 'boolean') {
+      problems.push('is_public must be a boolean');
+    }
+    
+    const joins = definition.join_definition;
+    let resources = null;
+    
+    if (!Array.isArray(joins) || joins.length === 0) {
+      problems.push('join_definition must be a non-empty array');
+    } else {
+      const joinProblems = joins.flatMap(validateJoin);
+      problems.push(...joinProblems);
+      
+      // Only check how the joins fit together once each one is well formed
+      if (joinProblems.length === 0) {
+        try {
+          resources = compileJoins(joins).resources;
+        } catch (error) {
+          problems.push(error.message);
+        }
+      }
+    }
+    
+    const allowedFilters = definition.allowed_filters;
+    if (allowedFilters !== undefined && allowedFilters !== null) {
+      if (!Array.isArray(allowedFilters)) {
+        problems.push('allowed_filters must be an array');
+      } else {
+        allowedFilters.forEach((entry, index) => {
+          const field = typeof entry === 'string' ? entry : entry && entry.field;
+          const [table, column, ...rest] = typeof field === 'string' ? field.split('.') : [];
+          
+          if (rest.length > 0 || !IDENTIFIER_PATTERN.test(table || '') || !COLUMN_PATTERN.test(column || '')) {
+            problems.push(`allowed_filters[${index}] must be a qualified name like "table.field"`);
+          } else if (resources && !resources[table]) {
+            problems.push(`allowed_filters[${index}] refers to a table that is not part of the view: ${table}`);
+          }
+          
+          if (entry && typeof entry === 'object' && entry.operators !== undefined) {
+            if (!Array.isArray(entry.operators) || entry.operators.some(op => typeof op !== 'string')) {
+              problems.push(`allowed_filters[${index}].operators must be an array of operators`);
+            }
+          }
+        });
+      }
+    }
+    
+    if (resources && definition.default_filters) {
+      try {
+        this.resolveFilter(definition.default_filters, resources, null);
+      } catch (error) {
+        problems.push(`default_filters: ${error.message}`);
+      }
+    }
+    
+    const defaultSort = definition.default_sort;
+    if (defaultSort !== undefined && defaultSort !== null) {
+      if (!Array.isArray(defaultSort)) {
+        problems.push('default_sort must be an array');
+      } else if (resources) {
+        defaultSort.forEach((entry, index) => {
+          try {
+            this.resolveField(entry && entry.field, resources);
+          } catch (error) {
+            problems.push(`default_sort[${index}]: ${error.message}`);
+          }
+          
+          for (const flag of ['ascending', 'nullsFirst']) {
+            if (entry && entry[flag] !== undefined && typeof entry[flag] !== 'boolean') {
+              problems.push(`default_sort[${index}].${flag} must be a boolean`);
+            }
+          }
+        });
+      }
+    }
+    
+    if (problems.length > 0) {
+      throw new AppError(`Invalid view definition: ${problems.join('; ')}`, 400, 'View Engine');
+    }
+  }
+  
+  /**
+   * List all view definitions
+   * @param {Object} options - Additional options (client, pagination, sorting)
+   * @returns {Promise<Object>} Query results
+   */
+  async listViewDefinitions(options = {}) {
+    return dataRepository.select(VIEW_TABLE, '*', {}, {
+      orderBy: 'id',
+      ...options
+    });
+  }
+  
+  /**
+   * Create a view definition
+   * @param {Object} definition - View definition
+   * @param {Object} options - Additional options (client)
+   * @returns {Promise<Object>} Created view definition
+   */
+  async createViewDefinition(definition, options = {}) {
+    try {
+      const record = pickViewFields(definition);
+      this.validateViewDefinition(record);
+      
+      const { data: existing } = await dataRepository.select(VIEW_TABLE, 'id', { id: record.id }, options);
+      if (existing && existing.length > 0) {
+        throw new ConflictError(`View definition already exists: ${record.id}`, 'View Engine');
+      }
+      
+      const result = await dataRepository.insert(VIEW_TABLE, { ...record, version: 1 }, options);
+      return result[0];
+    } catch (error) {
+      logger.error('Error creating view definition', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Update a view definition, then archive the version it replaced. The
+   * update only applies to the version that was read, so of two concurrent
+   * saves the second gets a 409.
+   * @param {string} viewId - ID of the view
+   * @param {Object} changes - Fields to change; `version`, if given, must match the current version
+   * @param {Object} options - Additional options (client)
+   * @returns {Promise<Object>} Updated view definition
+   */
+  async updateViewDefinition(viewId, changes, options = {}) {
+    try {
+      const current = await this.getViewDefinition(viewId, options);
+      
+      if (changes.version !== undefined && Number(changes.version) !== current.version) {
+        throw new ConflictError(
+          `View definition ${viewId} has changed (current version ${current.version})`,
+          'View Engine'
+        );
+      }
+      
+      const record = { ...pickViewFields(current), ...pickViewFields(changes), id: viewId };
+      this.validateViewDefinition(record);
+      
+      const result = await dataRepository.update(
+        VIEW_TABLE,
+        { ...record, version: (current.version || 1) + 1 },
+        { id: viewId, version: current.version },
+        options
+      );
+      if (!result || result.length === 0) {
+        throw new ConflictError(`View definition ${viewId} was changed by another update`, 'View Engine');
+      }
+      
+      await dataRepository.insert(VERSION_TABLE, {
+        view_id: viewId,
+        version: current.version,
+        definition: pickViewFields(current)
+      }, options);
+      
+      return result[0];
+    } catch (error) {
+      logger.error(`Error updating view definition: ${viewId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete a view definition and its archived versions
+   * @param {string} viewId - ID of the view
+   * @param {Object} options - Additional options (client)
+   * @returns {Promise<Object>} Deleted view definition
+   */
+  async deleteViewDefinition(viewId, options = {}) {
+    try {
+      const result = await dataRepository.delete(VIEW_TABLE, { id: viewId }, options);
+      
+      if (!result || result.length === 0) {
+        throw new NotFoundError(`View definition not found: ${viewId}`, 'View Engine');
+      }
+      
+      await dataRepository.delete(VERSION_TABLE, { view_id: viewId }, options);
+      return result[0];
+    } catch (error) {
+      logger.error(`Error deleting view definition: ${viewId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * List archived versions of a view definition, newest first
+   * @param {string} viewId - ID of the view
+   * @param {Object} options - Additional options (client)
+   * @returns {Promise<Object>} Query results
+   */
+  async listViewVersions(viewId, options = {}) {
+    return dataRepository.select(VERSION_TABLE, '*', { view_id: viewId }, {
+      ...options,
+      orderBy: 'version',
+      ascending: false
+    });
+  }
+  
+  /**
+   * Restore an archived version of a view definition as a new version
+   * @param {string} viewId - ID of the view
+   * @param {number} version - Version to restore
+   * @param {Object} options - Additional options (client)
+   * @returns {Promise<Object>} Updated view definition
+   */
+  async restoreViewVersion(viewId, version, options = {}) {
+    try {
+      const { data } = await dataRepository.select(
+        VERSION_TABLE,
+        '*',
+        { view_id: viewId, version },
+        options
+      );
+      
+      if (!data || data.length === 0) {
+        throw new NotFoundError(`Version ${version} of view ${viewId} not found`, 'View Engine');
+      }
+      
+      return await this.updateViewDefinition(viewId, data[0].definition, options);
+    } catch (error) {
+      logger.error(`Error restoring view definition: ${viewId}@${version}`, error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Check a filter condition against a view's allowed filters. Entries are
+ * either a `table.field` name, allowing any operator, or
+ * `{ field, operators }` to allow only the listed operators.
+ * @param {Array} allowedFilters - allowed_filters of the view
+ * @param {string} field - Qualified field name
+ * @param {string} operator - Filter operator
+ * @returns {boolean} True if the condition is allowed
+ */
+function isFilterAllowed(allowedFilters, field, operator) {
+  return allowedFilters.some(entry => {
+    if (typeof entry === 'string') return entry === field;
+    if (!entry || entry.field !== field) return false;
+    if (!entry.operators) return true;
+    
+    return entry.operators.some(allowed => allowed.toUpperCase() === String(operator).toUpperCase());
+  });
+}
+
+/**
+ * Make the fields of a resolved filter tree relative to an embedded resource
+ * @param {Object} filter - Resolved filter tree
+ * @param {string} path - Embedded resource path
+ * @returns {Object} Filter tree with the path prefix removed
+ */
+function stripPath(filter, path) {
+  if (filter.field) {
+    return { ...filter, field: filter.field.slice(path.length + 1) };
+  }
+  return { ...filter, filters: filter.filters.map(subFilter => stripPath(subFilter, path)) };
+}
+
+/**
+ * Keep only the columns of a view definition that can be set through the API
+ * @param {Object} source - View definition or request body
+ * @returns {Object} View definition fields
+ */
+function pickViewFields(source) {
+  const record = {};
+  for (const field of VIEW_FIELDS) {
+    if (source && source[field] !== undefined) {
+      record[field] = source[field];
+    }
+  }
+  return record;
+}
+
+/**
+ * Convert a parsed sort key into a view sort entry with a `table.field` name
+ * @param {Object} key - Sort key from utils/order-parser
+ * @returns {Object} Sort entry like those of default_sort
+ */
+function toViewSort(key) {
+  if (key.related) {
+    throw new AppError(
+      `Sort on ${key.related}.${key.column} instead of ${key.related}(${key.column}) in views`,
+      400,
+      'View Engine'
+    );
+  }
+  
+  return {
+    field: key.path ? `${key.path}.${key.column}` : key.column,
+    ascending: key.ascending,
+    nullsFirst: key.nullsFirst
+  };
 }
 
 module.exports = new ViewEngine();
@@ -4,22 +4,25 @@ const { handleRequest } = require('./router');
 const logger = require('../utils/logger');
 
 /**
- * Create and configure HTTP server
+ * Create and configure HTTP server. Request IDs, CORS, logging, body
+ * parsing and authentication are middleware of the router (see router.js).
+ * Upgrade requests go through the router too, with a response bound to
+ * their socket; a handler that accepts the upgrade takes the socket over,
+ * and any other response closes it.
  */
 function createServer() {
   const server = http.createServer((req, res) => {
-    // Add CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    handleRequest(req, res);
+  });
+  
+  server.on('upgrade', (req, socket, head) => {
+    if (head && head.length > 0) socket.unshift(head);
     
-    // Handle preflight OPTIONS request
-    if (req.method === 'OPTIONS') {
-      res.statusCode = 204;
-      return res.end();
-    }
+    const res = new http.ServerResponse(req);
+    res.shouldKeepAlive = false;
+    res.assignSocket(socket);
+    res.on('finish', () => socket.end());
     
-    // Handle all other requests through router
     handleRequest(req, res);
   });
   
@@ -0,0 +1,125 @@
+// middleware.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { parseRequestBody } = require('./request-parser');
+
+// Incoming request IDs are kept when they're short and plain
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Tag the request with an ID so error bodies and logs can be traced back
+ * to it: the caller's X-Request-Id (e.g. from a proxy) when it's usable,
+ * otherwise a new UUID
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @param {Function} next - Function to continue processing
+ */
+async function requestId(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  await next();
+}
+
+/**
+ * Create middleware adding CORS headers and answering preflight requests
+ * @param {Object} options - CORS options
+ * @param {string} options.origin - Allowed origin ('*' by default)
+ * @param {Array<string>} options.methods - Allowed methods
+ * @param {Array<string>} options.headers - Allowed request headers
+ * @param {Array<string>} options.exposeHeaders - Response headers scripts may read
+ * @returns {Function} Middleware
+ */
+function cors(options = {}) {
+  const {
+    origin = '*',
+    methods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    headers = ['Content-Type', 'Authorization', 'If-Match', 'If-None-Match', 'X-Request-Id'],
+    exposeHeaders = ['ETag', 'Content-Range', 'Link', 'X-Request-Id', 'Retry-After', 'Allow']
+  } = options;
+  
+  return async function corsMiddleware(req, res, next) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', methods.join(', '));
+    res.setHeader('Access-Control-Allow-Headers', headers.join(', '));
+    res.setHeader('Access-Control-Expose-Headers', exposeHeaders.join(', '));
+    
+    // Handle preflight OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+    await next();
+  };
+}
+
+/**
+ * Log each request
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @param {Function} next - Function to continue processing
+ */
+async function logRequest(req, res, next) {
+  logger.info(`${req.method} ${req.path}`);
+  await next();
+}
+
+/**
+ * Create middleware that accepts the access token as an `access_token`
+ * query parameter on the given paths, for clients that can't send headers
+ * (EventSource and browser WebSockets). The parameter is removed so it
+ * isn't taken for a filter, and never overrides an Authorization header.
+ * @param {Array<string>} prefixes - Path prefixes the parameter is accepted on
+ * @returns {Function} Middleware
+ */
+function tokenFromQuery(prefixes) {
+  return async (req, res, next) => {
+    const token = req.query.access_token;
+    if (token !== undefined && prefixes.some(prefix => req.path.startsWith(prefix))) {
+      delete req.query.access_token;
+      if (!req.headers.authorization && typeof token === 'string' && token) {
+        req.headers.authorization = `Bearer ${token}`;
+      }
+    }
+    await next();
+  };
+}
+
+/**
+ * Run middleware only for requests whose path doesn't match a pattern
+ * @param {RegExp} pattern - Paths to skip
+ * @param {Function} middleware - Middleware
+ * @returns {Function} Middleware
+ */
+function unlessPath(pattern, middleware) {
+  return async (req, res, next) => {
+    if (pattern.test(req.path)) {
+      await next();
+      return;
+    }
+    await middleware(req, res, next);
+  };
+}
+
+/**
+ * Parse the body of POST, PUT and PATCH requests into req.body
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @param {Function} next - Function to continue processing
+ */
+async function parseBody(req, res, next) {
+  if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+    req.body = await parseRequestBody(req);
+  }
+  await next();
+}
+
+module.exports = {
+  requestId,
+  cors,
+  logRequest,
+  tokenFromQuery,
+  unlessPath,
+  parseBody
+};
@@ -0,0 +1,224 @@
+// multipart-parser.js
+const { PassThrough } = require('stream');
+const { AppError, ValidationError } = require('../utils/error-handler');
+
+// Text fields are small (paths, flags); anything larger is refused
+const MAX_FIELD_SIZE = 64 * 1024;
+const MAX_HEADER_SIZE = 16 * 1024;
+
+/**
+ * Read the boundary of a multipart/form-data request
+ * @param {Object} req - HTTP request object
+ * @returns {string|null} Boundary, or null if the request isn't multipart
+ */
+function multipartBoundary(req) {
+  const contentType = req.headers['content-type'] || '';
+  if (!/^multipart\/form-data\b/i.test(contentType)) return null;
+  
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!match) {
+    throw new ValidationError('Multipart body without a boundary', 'Multipart Parser');
+  }
+  return match[1] || match[2].trim();
+}
+
+/**
+ * Parse the headers of a part
+ * @param {string} text - Header block
+ * @returns {Object} Field name, filename (undefined for text fields) and content type
+ */
+function parsePartHeaders(text) {
+  const headers = {};
+  for (const line of text.split('\r\n')) {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  }
+  
+  const disposition = headers['content-disposition'] || '';
+  const param = name => {
+    const match = disposition.match(new RegExp(`(?:^|;)\\s*${name}="((?:[^"\\\\]|\\\\.)*)"`, 'i')) ||
+      disposition.match(new RegExp(`(?:^|;)\\s*${name}=([^;]+)`, 'i'));
+    return match ? match[1].replace(/\\(.)/g, '$1').trim() : undefined;
+  };
+  
+  return {
+    name: param('name'),
+    filename: param('filename'),
+    contentType: headers['content-type'] || 'application/octet-stream'
+  };
+}
+
+/**
+ * Stream a multipart/form-data request. Text fields are collected; the file
+ * part is handed to `onFile` as a stream while the request is still being
+ * received, so uploads are never held in memory. Only one file is accepted.
+ * @param {Object} req - HTTP request object
+ * @param {Object} options - Parser options
+ * @param {Function} options.onFile - Called with `{ name, filename, contentType,
+ *   stream, fields }` (fields sent before the file); returns a promise that
+ *   must consume the stream
+ * @param {number} options.maxFileSize - Largest file accepted, in bytes
+ * @returns {Promise<Object>} All text fields, the file's name, filename,
+ *   content type and size, and what onFile resolved to (no file and result
+ *   if there was no file)
+ */
+function parseMultipart(req, { onFile, maxFileSize = Infinity }) {
+  const boundary = multipartBoundary(req);
+  if (!boundary) {
+    return Promise.reject(new AppError('Expected a multipart/form-data body', 415, 'Multipart Parser'));
+  }
+  
+  return new Promise((resolve, reject) => {
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    const fields = {};
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let part = null;
+    let file = null;
+    let fileResult;
+    let settled = false;
+    
+    const fail = error => {
+      if (settled) return;
+      settled = true;
+      req.resume();
+      if (file && !file.stream.destroyed) file.stream.destroy(error);
+      reject(error);
+    };
+    
+    const startPart = headers => {
+      part = { ...headers, size: 0, chunks: [] };
+      if (headers.filename === undefined) return;
+      
+      if (file) throw new ValidationError('Only one file can be uploaded per request', 'Multipart Parser');
+      const stream = new PassThrough();
+      stream.on('drain', () => req.resume());
+      // Failures reach the consumer through its reads; the parser reports them itself
+      stream.on('error', () => {});
+      file = { ...headers, stream, fields: { ...fields } };
+      part.stream = stream;
+      fileResult = Promise.resolve(onFile(file));
+      fileResult.catch(fail);
+    };
+    
+    const writePart = chunk => {
+      if (chunk.length === 0) return;
+      part.size += chunk.length;
+      
+      if (part.stream) {
+        if (part.size > maxFileSize) {
+          throw new AppError(`File is larger than ${maxFileSize} bytes`, 413, 'Multipart Parser');
+        }
+        if (!part.stream.write(chunk)) req.pause();
+        return;
+      }
+      if (part.size > MAX_FIELD_SIZE) {
+        throw new AppError(`Field ${part.name} is too large`, 413, 'Multipart Parser');
+      }
+      part.chunks.push(chunk);
+    };
+    
+    const endPart = () => {
+      if (part.stream) {
+        part.stream.end();
+        file.size = part.size;
+      } else if (part.name !== undefined) {
+        fields[part.name] = Buffer.concat(part.chunks).toString('utf8');
+      }
+      part = null;
+    };
+    
+    // Find the next delimiter: the boundary followed by `--` or a line break,
+    // since the bytes after it may be needed to tell (then it waits for more)
+    const findDelimiter = () => {
+      let from = 0;
+      for (;;) {
+        const index = buffer.indexOf(delimiter, from);
+        if (index === -1) return -1;
+        
+        const after = buffer.subarray(index + delimiter.length, index + delimiter.length + 2).toString('latin1');
+        if (after.length < 2) return -1;
+        if (after === '--' || after === '\r\n' || /^[ \t]/.test(after)) return index;
+        from = index + 1;
+      }
+    };
+    
+    // Consume as much of the buffer as can be parsed
+    const parse = () => {
+      for (;;) {
+        if (state === 'preamble' || state === 'body') {
+          const index = findDelimiter();
+          if (index === -1) {
+            // Keep what could be the start of a delimiter
+            const keep = Math.max(buffer.length - delimiter.length, 0);
+            if (state === 'body') writePart(buffer.subarray(0, keep));
+            buffer = buffer.subarray(keep);
+            return;
+          }
+          if (state === 'body') {
+            writePart(buffer.subarray(0, index));
+            endPart();
+          }
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'boundary';
+        }
+        
+        if (state === 'boundary') {
+          if (buffer.length < 2) return;
+          if (buffer.subarray(0, 2).toString() === '--') {
+            state = 'end';
+            return;
+          }
+          state = 'headers';
+        }
+        
+        if (state === 'headers') {
+          const index = buffer.indexOf('\r\n\r\n');
+          if (index === -1) {
+            if (buffer.length > MAX_HEADER_SIZE) throw new ValidationError('Multipart part headers too large', 'Multipart Parser');
+            return;
+          }
+          // The header block starts after the line break ending the boundary line
+          startPart(parsePartHeaders(buffer.subarray(0, index).toString('utf8').replace(/^[^\r]*\r\n/, '')));
+          buffer = buffer.subarray(index + 4);
+          state = 'body';
+        }
+        
+        if (state === 'end') return;
+      }
+    };
+    
+    req.on('data', chunk => {
+      if (settled || state === 'end') return;
+      try {
+        buffer = Buffer.concat([buffer, chunk]);
+        parse();
+      } catch (error) {
+        fail(error);
+      }
+    });
+    
+    req.on('end', async () => {
+      if (settled) return;
+      if (state !== 'end') {
+        fail(new ValidationError('Multipart body ended unexpectedly', 'Multipart Parser'));
+        return;
+      }
+      try {
+        const result = await fileResult;
+        settled = true;
+        const { stream, ...fileInfo } = file || {};
+        resolve({ fields, file: file ? fileInfo : undefined, result });
+      } catch (error) {
+        fail(error);
+      }
+    });
+    
+    req.on('error', () => fail(new AppError('Error reading request body', 400, 'Multipart Parser')));
+  });
+}
+
+module.exports = {
+  multipartBoundary,
+  parseMultipart
+};
@@ -0,0 +1,203 @@
+// route-table.js
+const url = require('url');
+const { handleHttpError, AppError, NotFoundError } = require('../utils/error-handler');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Compile a route pattern such as `/api/data/:tableName(\\w+)/:id` into a
+ * regular expression. A `:name` segment matches any characters but `/`,
+ * or the expression in parentheses after it.
+ * @param {string} pattern - Route pattern
+ * @returns {Object} Regular expression, parameter names and a specificity
+ *   rank (one entry per segment, 0 for literal segments and 1 for parameters)
+ */
+function compilePattern(pattern) {
+  const names = [];
+  const rank = [];
+  
+  const source = pattern.split('/').map(segment => {
+    const param = segment.match(/^:(\w+)(?:\((.+)\))?$/);
+    if (!param) {
+      rank.push(0);
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    names.push(param[1]);
+    rank.push(1);
+    return `(${param[2] || '[^/]+'})`;
+  }).join('/');
+  
+  return { regex: new RegExp(`^${source}$`), names, rank };
+}
+
+/**
+ * Order routes so that the most specific pattern is tried first: at the
+ * first segment where two patterns differ, a literal beats a parameter
+ * @param {Object} a - Route
+ * @param {Object} b - Route
+ * @returns {number} Sort order
+ */
+function bySpecificity(a, b) {
+  for (let i = 0; i < Math.min(a.rank.length, b.rank.length); i++) {
+    if (a.rank[i] !== b.rank[i]) return a.rank[i] - b.rank[i];
+  }
+  return 0;
+}
+
+/**
+ * Run middleware one after the other. Each one is called with
+ * `(req, res, next)` and passes control on by awaiting `next()`; one that
+ * doesn't call it has answered the request itself.
+ * @param {Array<Function>} chain - Middleware, the last one being the handler
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>}
+ */
+async function runChain(chain, req, res) {
+  const step = async index => {
+    if (index >= chain.length) return;
+    
+    let called = false;
+    await chain[index](req, res, () => {
+      if (called) throw new AppError('next() called more than once', 500, 'Route Table');
+      called = true;
+      return step(index + 1);
+    });
+  };
+  await step(0);
+}
+
+/**
+ * A table of routes with parameterized patterns, global and per-route
+ * middleware, and plugins that add routes of their own
+ */
+class RouteTable {
+  constructor() {
+    this.middleware = [];
+    this.routes = [];
+  }
+  
+  /**
+   * Add global middleware, run for every request before its route is looked up
+   * @param {...Function} middleware - `(req, res, next)` functions
+   * @returns {RouteTable} This table, for chaining
+   */
+  use(...middleware) {
+    this.middleware.push(...middleware);
+    return this;
+  }
+  
+  /**
+   * Add a route
+   * @param {string|Array<string>} methods - HTTP method(s)
+   * @param {string} pattern - Route pattern (see compilePattern)
+   * @param {...Function} handlers - Route middleware followed by the handler,
+   *   called with req.params and req.query set
+   * @returns {RouteTable} This table, for chaining
+   */
+  route(methods, pattern, ...handlers) {
+    if (handlers.length === 0) {
+      throw new AppError(`Route ${pattern} has no handler`, 500, 'Route Table');
+    }
+    
+    const route = { methods: [].concat(methods).map(method => method.toUpperCase()), pattern, handlers, ...compilePattern(pattern) };
+    
+    // Insert after the routes at least as specific, so equally specific
+    // routes keep the order they were added in
+    const index = this.routes.findIndex(existing => bySpecificity(route, existing) < 0);
+    this.routes.splice(index === -1 ? this.routes.length : index, 0, route);
+    return this;
+  }
+  
+  /**
+   * Register a plugin: a function called with this table, or an object
+   * with such a `register` function
+   * @param {Function|Object} plugin - Plugin
+   * @param {Object} context - Passed to the plugin as its second argument
+   * @returns {RouteTable} This table, for chaining
+   */
+  plugin(plugin, context = {}) {
+    const register = typeof plugin === 'function' ? plugin : plugin && plugin.register;
+    if (typeof register !== 'function') {
+      throw new AppError('A plugin must be a function or have a register function', 500, 'Route Table');
+    }
+    register.call(plugin, this, context);
+    return this;
+  }
+  
+  /**
+   * Find the route for a request
+   * @param {string} method - HTTP method
+   * @param {string} path - URL pathname
+   * @returns {Object} The route and its params, or the methods the path
+   *   allows when no route has the method (empty if the path is unknown)
+   */
+  match(method, path) {
+    const allowed = new Set();
+    
+    for (const route of this.routes) {
+      const found = path.match(route.regex);
+      if (!found) continue;
+      
+      if (route.methods.includes(method)) {
+        const params = {};
+        route.names.forEach((name, index) => {
+          params[name] = found[index + 1];
+        });
+        return { route, params, allowed: [] };
+      }
+      route.methods.forEach(allowedMethod => allowed.add(allowedMethod));
+    }
+    
+    return { route: null, params: {}, allowed: [...allowed] };
+  }
+  
+  /**
+   * Handle a request: run the global middleware, then the route's chain.
+   * Unknown paths answer 404, and known paths without the method 405 with
+   * an `Allow` header. Path parameters are left URL-encoded, since record
+   * keys decode their parts themselves.
+   * @param {Object} req - HTTP request object
+   * @param {Object} res - HTTP response object
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    try {
+      // Repeated query parameters become arrays (e.g. two bounds on a column)
+      const parsedUrl = url.parse(req.url, true);
+      req.path = parsedUrl.pathname;
+      req.query = parsedUrl.query;
+      
+      await runChain([...this.middleware, async () => {
+        const { route, params, allowed } = this.match(req.method, req.path);
+        
+        if (!route && allowed.length > 0) {
+          res.setHeader('Allow', [...allowed, 'OPTIONS'].join(', '));
+          throw new AppError(`Method ${req.method} not allowed on ${req.path}`, 405, 'Router');
+        }
+        if (!route) {
+          throw new NotFoundError(`No route for ${req.method} ${req.path}`, 'Router');
+        }
+        
+        req.params = params;
+        req.route = route.pattern;
+        await runChain(route.handlers, req, res);
+      }], req, res);
+    } catch (error) {
+      handleHttpError(res, error, 'Router');
+    }
+  }
+}
+
+// Shorthands: table.get(pattern, ...handlers), table.post(...), ...
+for (const method of METHODS) {
+  RouteTable.prototype[method.toLowerCase()] = function addRoute(pattern, ...handlers) {
+    return this.route(method, pattern, ...handlers);
+  };
+}
+
+module.exports = {
+  RouteTable,
+  compilePattern,
+  METHODS
+};
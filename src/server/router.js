@@ -1,88 +1,206 @@
 // router.js
-const url = require('url');
-const { handleHttpError } = require('../utils/error-handler');
+const path = require('path');
+const { RouteTable } = require('./route-table');
+const { requestId, cors, logRequest, tokenFromQuery, unlessPath, parseBody } = require('./middleware');
+const { requireAuth, optionalAuth, requireAdmin } = require('../auth/auth-middleware');
 const logger = require('../utils/logger');
-const { parseRequestBody } = require('./request-parser');
 
 // Import controllers
 const dataController = require('../controllers/data-controller');
 const viewController = require('../controllers/view-controller');
 const authController = require('../controllers/auth-controller');
+const schemaController = require('../controllers/schema-controller');
+const realtimeController = require('../controllers/realtime-controller');
+const storageController = require('../controllers/storage-controller');
+const rpcController = require('../controllers/rpc-controller');
 
 /**
- * Main request handler/router
- * @param {Object} req - HTTP request object
- * @param {Object} res - HTTP response object
+ * Access rules, checked in order; the first rule matching the request wins.
+ * A rule matches on `path` (a URL pattern where `*` matches any characters)
+ * or `table` (a table name pattern applied to /api/data/:tableName and
+ * /api/realtime/:tableName routes) or `function` (a function name pattern
+ * applied to /api/rpc/:functionName routes),
+ * optionally restricted to `methods`. `access` is 'public', 'authenticated' or 'admin'.
+ * Requests matching no rule require authentication.
  */
-async function handleRequest(req, res) {
-  try {
-    // Parse URL
-    const parsedUrl = url.parse(req.url, true);
-    const path = parsedUrl.pathname;
-    const query = parsedUrl.query;
-    
-    // Log the request
-    logger.info(`${req.method} ${path}`);
-    
-    // For POST/PUT requests, parse body
-    if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
-      req.body = await parseRequestBody(req);
-    }
-    
-    // Route based on path and method
-    
-    // Auth routes
-    if (path === '/api/auth/login' && req.method === 'POST') {
-      return authController.login(req, res);
-    }
-    if (path === '/api/auth/register' && req.method === 'POST') {
-      return authController.register(req, res);
-    }
-    if (path === '/api/auth/logout' && req.method === 'POST') {
-      return authController.logout(req, res);
-    }
+const accessRules = [
+  { path: '/api/auth/login', methods: ['POST'], access: 'public' },
+  { path: '/api/auth/register', methods: ['POST'], access: 'public' },
+  { path: '/api/auth/refresh', methods: ['POST'], access: 'public' },
+  { path: '/api/auth/recover', methods: ['POST'], access: 'public' },
+  { path: '/api/auth/otp', methods: ['POST'], access: 'public' },
+  { path: '/api/auth/verify', methods: ['POST'], access: 'public' },
+  { path: '/api/auth/oauth/*', methods: ['GET'], access: 'public' },
+  { path: '/api/auth/callback', methods: ['GET'], access: 'public' },
+  { path: '/api/auth/*', access: 'authenticated' },
+  { path: '/api/view/*', access: 'authenticated' },
+  { path: '/api/views', access: 'admin' },
+  { path: '/api/views/*', access: 'admin' },
+  { table: '*', access: 'authenticated' },
+  { function: '*', access: 'authenticated' }
+];
+
+/**
+ * Convert a `*` wildcard pattern into an anchored regular expression
+ * @param {string} pattern - Wildcard pattern
+ * @returns {RegExp} Regular expression
+ */
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Resolve the access level required for a request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL pathname
+ * @returns {string} 'public', 'authenticated' or 'admin'
+ */
+function resolveAccess(method, pathname) {
+  const tableMatch = pathname.match(/^\/api\/(?:data|realtime)\/([^/]+)/);
+  const tableName = tableMatch ? tableMatch[1] : null;
+  const functionMatch = pathname.match(/^\/api\/rpc\/([^/]+)/);
+  const functionName = functionMatch ? functionMatch[1] : null;
+  
+  for (const rule of accessRules) {
+    if (rule.methods && !rule.methods.includes(method)) continue;
     
-    // Generic data routes
-    if (path.match(/^\/api\/data\/(\w+)$/) && req.method === 'GET') {
-      const tableName = path.split('/')[3];
-      return dataController.getAll(req, res, tableName, query);
-    }
-    if (path.match(/^\/api\/data\/(\w+)$/) && req.method === 'POST') {
-      const tableName = path.split('/')[3];
-      return dataController.create(req, res, tableName);
+    if (rule.path && wildcardToRegExp(rule.path).test(pathname)) {
+      return rule.access;
     }
-    if (path.match(/^\/api\/data\/(\w+)\/(\w+)$/) && req.method === 'GET') {
-      const tableName = path.split('/')[3];
-      const id = path.split('/')[4];
-      return dataController.getById(req, res, tableName, id);
+    if (rule.table && tableName && wildcardToRegExp(rule.table).test(tableName)) {
+      return rule.access;
     }
-    if (path.match(/^\/api\/data\/(\w+)\/(\w+)$/) && req.method === 'PUT') {
-      const tableName = path.split('/')[3];
-      const id = path.split('/')[4];
-      return dataController.update(req, res, tableName, id);
-    }
-    if (path.match(/^\/api\/data\/(\w+)\/(\w+)$/) && req.method === 'DELETE') {
-      const tableName = path.split('/')[3];
-      const id = path.split('/')[4];
-      return dataController.delete(req, res, tableName, id);
-    }
-    
-    // View routes
-    if (path.match(/^\/api\/view\/(\w+)$/) && req.method === 'GET') {
-      const viewId = path.split('/')[3];
-      return viewController.executeView(req, res, viewId, query);
+    if (rule.function && functionName && wildcardToRegExp(rule.function).test(functionName)) {
+      return rule.access;
     }
-    
-    // No route matched
-    res.statusCode = 404;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({ error: 'Not Found' }));
-    
-  } catch (error) {
-    handleHttpError(res, error, 'Router');
   }
+  
+  return 'authenticated';
+}
+
+/**
+ * Authenticate the caller as the access rules require; public routes still
+ * pick up a user when a token is sent. Requests without a route are left
+ * to the route table, so they answer 404 or 405 rather than 401.
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @param {Function} next - Function to continue processing
+ */
+async function authenticate(req, res, next) {
+  if (!routes.match(req.method, req.path).route) {
+    await next();
+    return;
+  }
+
+  const access = resolveAccess(req.method, req.path);
+  const check = { public: optionalAuth, admin: requireAdmin }[access] || requireAuth;
+  await check(req, res, next);
+}
+
+const routes = new RouteTable();
+
+// Storage uploads are streamed by their handlers, so their bodies are left unread
+routes.use(requestId, cors(), logRequest, tokenFromQuery(['/api/realtime/']), unlessPath(/^\/api\/storage\//, parseBody), authenticate);
+
+// Auth routes
+routes.post('/api/auth/login', (req, res) => authController.login(req, res));
+routes.post('/api/auth/register', (req, res) => authController.register(req, res));
+routes.post('/api/auth/logout', (req, res) => authController.logout(req, res));
+routes.post('/api/auth/refresh', (req, res) => authController.refresh(req, res));
+routes.get('/api/auth/me', (req, res) => authController.me(req, res));
+routes.post('/api/auth/recover', (req, res) => authController.recoverPassword(req, res));
+routes.post('/api/auth/update-password', (req, res) => authController.updatePassword(req, res));
+routes.post('/api/auth/otp', (req, res) => authController.sendOtp(req, res));
+routes.post('/api/auth/verify', (req, res) => authController.verifyOtp(req, res));
+routes.get('/api/auth/oauth/:provider(\\w+)', (req, res) => authController.oauthRedirect(req, res, req.params.provider, req.query));
+routes.get('/api/auth/callback', (req, res) => authController.oauthCallback(req, res, req.query));
+
+// Schema routes
+routes.get('/api/schema', (req, res) => schemaController.getSchema(req, res, req.query));
+routes.get('/api/openapi.json', (req, res) => schemaController.getOpenApi(req, res, req.query));
+
+// Generic data routes
+routes.get('/api/data/:tableName(\\w+)', (req, res) => dataController.getAll(req, res, req.params.tableName, req.query));
+routes.post('/api/data/:tableName(\\w+)', (req, res) => dataController.create(req, res, req.params.tableName, req.query));
+routes.patch('/api/data/:tableName(\\w+)', (req, res) => dataController.updateMany(req, res, req.params.tableName, req.query));
+routes.delete('/api/data/:tableName(\\w+)', (req, res) => dataController.deleteMany(req, res, req.params.tableName, req.query));
+routes.get('/api/data/:tableName(\\w+)/:id', (req, res) => dataController.getById(req, res, req.params.tableName, req.params.id, req.query));
+routes.put('/api/data/:tableName(\\w+)/:id', (req, res) => dataController.update(req, res, req.params.tableName, req.params.id));
+routes.patch('/api/data/:tableName(\\w+)/:id', (req, res) => dataController.patch(req, res, req.params.tableName, req.params.id));
+routes.delete('/api/data/:tableName(\\w+)/:id', (req, res) => dataController.delete(req, res, req.params.tableName, req.params.id));
+
+// RPC routes (Postgres functions; GET calls are read-only)
+routes.get('/api/rpc/:functionName(\\w+)', (req, res) => rpcController.call(req, res, req.params.functionName, req.query));
+routes.post('/api/rpc/:functionName(\\w+)', (req, res) => rpcController.call(req, res, req.params.functionName, req.query));
+
+// Realtime routes (Server-Sent Events, or a WebSocket for upgrade requests)
+routes.get('/api/realtime/:tableName(\\w+)', (req, res) => realtimeController.subscribe(req, res, req.params.tableName, req.query));
+
+// Storage routes; actions live outside /api/storage so no object path is shadowed
+routes.get('/api/storage/:bucket([\\w.-]+)', (req, res) => storageController.list(req, res, req.params.bucket, req.query));
+routes.post('/api/storage-actions/:bucket([\\w.-]+)/move', (req, res) => storageController.move(req, res, req.params.bucket));
+routes.post('/api/storage-actions/:bucket([\\w.-]+)/sign', (req, res) => storageController.sign(req, res, req.params.bucket));
+routes.get('/api/storage/:bucket([\\w.-]+)/:path(.+)', (req, res) => storageController.download(req, res, req.params.bucket, req.params.path, req.query));
+routes.post('/api/storage/:bucket([\\w.-]+)/:path(.+)', (req, res) =>
+  storageController.upload(req, res, req.params.bucket, req.params.path, req.query, false)
+);
+routes.put('/api/storage/:bucket([\\w.-]+)/:path(.+)', (req, res) =>
+  storageController.upload(req, res, req.params.bucket, req.params.path, req.query, true)
+);
+routes.delete('/api/storage/:bucket([\\w.-]+)/:path(.+)', (req, res) => storageController.remove(req, res, req.params.bucket, req.params.path));
+
+// View routes
+routes.get('/api/view/:viewId(\\w+)', (req, res) => viewController.executeView(req, res, req.params.viewId, req.query));
+
+// View definition management routes
+routes.get('/api/views', (req, res) => viewController.listViews(req, res));
+routes.post('/api/views', (req, res) => viewController.createView(req, res));
+routes.get('/api/views/:viewId(\\w+)', (req, res) => viewController.getView(req, res, req.params.viewId));
+routes.put('/api/views/:viewId(\\w+)', (req, res) => viewController.updateView(req, res, req.params.viewId));
+routes.delete('/api/views/:viewId(\\w+)', (req, res) => viewController.deleteView(req, res, req.params.viewId));
+routes.get('/api/views/:viewId(\\w+)/versions', (req, res) => viewController.listVersions(req, res, req.params.viewId));
+routes.post('/api/views/:viewId(\\w+)/versions/:version(\\d+)/restore', (req, res) =>
+  viewController.restoreVersion(req, res, req.params.viewId, req.params.version)
+);
+
+/**
+ * Register a plugin adding routes or middleware. It is called with the
+ * route table and `{ accessRules, requireAuth, optionalAuth, requireAdmin }`;
+ * rules it puts at the front of accessRules decide who may call its routes.
+ * @param {Function|Object} plugin - Function, or object with a register function
+ */
+function registerPlugin(plugin) {
+  routes.plugin(plugin, { accessRules, requireAuth, optionalAuth, requireAdmin });
+}
+
+/**
+ * Load the plugins listed in PLUGINS, a comma-separated list of module
+ * names or paths (relative to the working directory)
+ * @param {string} list - Plugins to load
+ */
+function loadPlugins(list = process.env.PLUGINS) {
+  for (const spec of String(list || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    registerPlugin(require(spec.startsWith('.') ? path.resolve(process.cwd(), spec) : spec));
+    logger.info(`Loaded plugin ${spec}`);
+  }
+}
+
+/**
+ * Main request handler/router
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>}
+ */
+function handleRequest(req, res) {
+  return routes.handle(req, res);
 }
 
 module.exports = {
-  handleRequest
+  handleRequest,
+  resolveAccess,
+  accessRules,
+  routes,
+  registerPlugin,
+  loadPlugins
 };
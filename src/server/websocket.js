@@ -0,0 +1,251 @@
+// websocket.js
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { AppError } = require('../utils/error-handler');
+
+// Appended to the client's key to build the handshake answer (RFC 6455, section 4.2.2)
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = { text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Clients only send subscription messages, so larger frames are refused
+const MAX_FRAME_SIZE = 64 * 1024;
+
+// Same for messages split over several frames, once reassembled
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+/**
+ * Check whether a request asks to be upgraded to a WebSocket
+ * @param {Object} req - HTTP request object
+ * @returns {boolean} True for WebSocket upgrade requests
+ */
+function isWebSocketRequest(req) {
+  return /\bwebsocket\b/i.test(req.headers.upgrade || '');
+}
+
+/**
+ * Encode a frame. Server frames are never masked.
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Payload
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(payload.length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first frame of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} fin, opcode, payload and the number of bytes
+ *   used, or null if the frame isn't complete yet
+ * @throws {AppError} If the frame is too large or not masked
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  
+  if (!masked) {
+    throw new AppError('Client frames must be masked', 400, 'WebSocket');
+  }
+  if (length > MAX_FRAME_SIZE) {
+    throw new AppError('Frame too large', 400, 'WebSocket');
+  }
+  if (buffer.length < offset + 4 + length) return null;
+  
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+  for (let i = 0; i < payload.length; i++) {
+    payload[i] ^= mask[i % 4];
+  }
+  
+  return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload, size: offset + 4 + length };
+}
+
+/**
+ * A server-side WebSocket connection: text messages, ping/pong and the
+ * closing handshake. Emits 'message' (string) and 'close'.
+ */
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.open = true;
+    this.received = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentsSize = 0;
+    
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('close', () => this.closed());
+    socket.on('error', () => this.closed());
+  }
+  
+  /**
+   * Read the frames in newly received bytes
+   * @param {Buffer} chunk - Received bytes
+   */
+  receive(chunk) {
+    this.received = Buffer.concat([this.received, chunk]);
+    
+    try {
+      let frame;
+      while (this.open && (frame = decodeFrame(this.received))) {
+        this.received = this.received.subarray(frame.size);
+        this.handleFrame(frame);
+      }
+    } catch (error) {
+      this.close(1002, error.message);
+    }
+  }
+  
+  /**
+   * Act on a frame
+   * @param {Object} frame - Decoded frame
+   */
+  handleFrame(frame) {
+    switch (frame.opcode) {
+      case OPCODES.ping:
+        this.write(OPCODES.pong, frame.payload);
+        return;
+      case OPCODES.pong:
+        return;
+      case OPCODES.close:
+        this.close(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1000);
+        return;
+      default:
+        // Text and binary frames, and continuations (opcode 0) of either
+        this.fragmentsSize += frame.payload.length;
+        if (this.fragmentsSize > MAX_MESSAGE_SIZE) {
+          this.close(1009, 'Message too large');
+          return;
+        }
+        
+        this.fragments.push(frame.payload);
+        if (frame.fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.fragmentsSize = 0;
+          this.emit('message', message);
+        }
+    }
+  }
+  
+  /**
+   * Write a frame if the connection is open
+   * @param {number} opcode - Frame opcode
+   * @param {Buffer} payload - Payload
+   */
+  write(opcode, payload) {
+    if (this.open && !this.socket.destroyed) {
+      this.socket.write(encodeFrame(opcode, payload));
+    }
+  }
+  
+  /**
+   * Send a text message
+   * @param {string} message - Message
+   */
+  send(message) {
+    this.write(OPCODES.text, Buffer.from(message, 'utf8'));
+  }
+  
+  /**
+   * Send a ping, which clients answer to keep the connection alive
+   */
+  ping() {
+    this.write(OPCODES.ping, Buffer.alloc(0));
+  }
+  
+  /**
+   * Close the connection with a status code
+   * @param {number} code - Close code (1000 is a normal closure)
+   * @param {string} reason - Reason, for the client
+   */
+  close(code = 1000, reason = '') {
+    if (!this.open) return;
+    
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.write(OPCODES.close, payload);
+    this.socket.end();
+    this.closed();
+  }
+  
+  /**
+   * Mark the connection closed, once
+   */
+  closed() {
+    if (!this.open) return;
+    this.open = false;
+    this.emit('close');
+  }
+}
+
+/**
+ * Complete the WebSocket handshake of an upgrade request and take over its
+ * socket from the HTTP response
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object, bound to the upgraded socket
+ * @returns {WebSocketConnection} Connection
+ * @throws {AppError} If the request isn't a valid version 13 handshake
+ */
+function acceptWebSocket(req, res) {
+  const key = req.headers['sec-websocket-key'];
+  if (req.method !== 'GET' || !key) {
+    throw new AppError('Invalid WebSocket handshake', 400, 'WebSocket');
+  }
+  if (req.headers['sec-websocket-version'] !== '13') {
+    res.setHeader('Sec-WebSocket-Version', '13');
+    throw new AppError('Unsupported WebSocket version', 426, 'WebSocket');
+  }
+  
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  const socket = res.socket;
+  res.detachSocket(socket);
+  
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    `X-Request-Id: ${req.id}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+  socket.setTimeout(0);
+  
+  return new WebSocketConnection(socket);
+}
+
+module.exports = {
+  isWebSocketRequest,
+  acceptWebSocket,
+  WebSocketConnection
+};
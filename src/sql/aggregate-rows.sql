@@ -0,0 +1,183 @@
+-- aggregate-rows.sql
+--
+-- Runs the aggregate queries of the data endpoint (`?aggregate=` and
+-- `?groupBy=`) that PostgREST aggregate selects can't express: count
+-- distinct, date buckets and sorting on aggregates. The API calls it as
+-- the caller, so table grants and row-level security apply as for any
+-- other read. Every identifier is quoted and every value passed as a
+-- literal; operators and functions come from fixed lists.
+--
+-- Install it once in the schema the API reads (public):
+--   psql "$DATABASE_URL" -f src/sql/aggregate-rows.sql
+
+-- Compile a filter tree, as sent by the API, into a WHERE condition.
+-- Conditions are { column, path: [[arrow, key], ...], operator, value };
+-- groups are { logic: AND | OR | NOT, filters: [...] }.
+create or replace function public.aggregate_rows_filter(filter jsonb)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+  logic text := upper(filter->>'logic');
+  condition_operator text := filter->>'operator';
+  condition_value jsonb := filter->'value';
+  parts text[];
+  expression text;
+  step jsonb;
+  literal text;
+begin
+  if filter is null or jsonb_typeof(filter) = 'null' then
+    return 'true';
+  end if;
+
+  if logic is not null then
+    select array_agg(public.aggregate_rows_filter(child)) into parts
+    from jsonb_array_elements(filter->'filters') as child;
+
+    -- Empty groups don't restrict the rows, as with list requests
+    if parts is null then
+      return 'true';
+    elsif logic = 'AND' then
+      return '(' || array_to_string(parts, ' and ') || ')';
+    elsif logic = 'OR' then
+      return '(' || array_to_string(parts, ' or ') || ')';
+    elsif logic = 'NOT' then
+      return '(not (' || array_to_string(parts, ' and ') || '))';
+    end if;
+    raise exception 'Unsupported logic operator: %', logic using errcode = '22023';
+  end if;
+
+  expression := format('%I', filter->>'column');
+  for step in select * from jsonb_array_elements(coalesce(filter->'path', '[]'::jsonb)) loop
+    if coalesce(step->>0, '') not in ('->', '->>') then
+      raise exception 'Unsupported JSON operator: %', step->>0 using errcode = '22023';
+    end if;
+    if step->>1 ~ '^\d+$' then
+      expression := format('%s %s %s', expression, step->>0, step->>1);
+    else
+      expression := format('%s %s %L', expression, step->>0, step->>1);
+    end if;
+  end loop;
+
+  if condition_operator in ('IS NULL', 'IS NOT NULL', 'IS TRUE', 'IS NOT TRUE', 'IS FALSE', 'IS NOT FALSE') then
+    return format('(%s %s)', expression, condition_operator);
+  end if;
+
+  -- Arrays become array literals, which Postgres casts to the column's array type
+  if jsonb_typeof(condition_value) = 'array' then
+    literal := coalesce((select array_agg(element)::text from jsonb_array_elements_text(condition_value) as element), '{}');
+  elsif jsonb_typeof(condition_value) = 'object' then
+    literal := condition_value::text;
+  else
+    literal := condition_value #>> '{}';
+  end if;
+
+  if condition_operator = 'IN' then
+    return format('(%s = any(%L))', expression, literal);
+  elsif condition_operator = 'NOT IN' then
+    return format('(not (%s = any(%L)))', expression, literal);
+  elsif condition_operator = 'BETWEEN' then
+    return format('(%s between %L and %L)', expression, condition_value->>0, condition_value->>1);
+  elsif condition_operator in ('=', '<>', '>', '>=', '<', '<=', 'LIKE', 'ILIKE', '@>', '<@', '&&') then
+    return format('(%s %s %L)', expression, condition_operator, literal);
+  end if;
+  raise exception 'Unsupported operator: %', condition_operator using errcode = '22023';
+end;
+$$;
+
+-- Group the rows of a table and aggregate them. Each result row is a JSON
+-- object keyed by the aliases of the groups and aggregates.
+--   group_by:   [{ alias, column, bucket: null | minute | hour | day | week | month | quarter | year }]
+--   aggregates: [{ alias, function: count | sum | avg | min | max, column (null for count(*)), distinct }]
+--   order_by:   [{ alias, ascending, nullsFirst (optional) }]
+create or replace function public.aggregate_rows(
+  table_name text,
+  group_by jsonb default '[]',
+  aggregates jsonb default '[]',
+  filter jsonb default null,
+  order_by jsonb default '[]',
+  row_limit integer default null,
+  row_offset integer default null
+)
+returns setof jsonb
+language plpgsql
+stable
+as $$
+declare
+  item jsonb;
+  expression text;
+  expressions jsonb := '{}'::jsonb;
+  fields text[] := '{}';
+  groups text[] := '{}';
+  orders text[] := '{}';
+  sql_text text;
+begin
+  for item in select * from jsonb_array_elements(group_by) loop
+    if item->>'bucket' is null then
+      expression := format('%I', item->>'column');
+    elsif item->>'bucket' in ('minute', 'hour', 'day', 'week', 'month', 'quarter', 'year') then
+      expression := format('date_trunc(%L, %I)', item->>'bucket', item->>'column');
+    else
+      raise exception 'Unsupported date bucket: %', item->>'bucket' using errcode = '22023';
+    end if;
+
+    groups := groups || expression;
+    fields := fields || format('%L, %s', item->>'alias', expression);
+    expressions := expressions || jsonb_build_object(item->>'alias', expression);
+  end loop;
+
+  for item in select * from jsonb_array_elements(aggregates) loop
+    if item->>'function' = 'count' and item->>'column' is null then
+      expression := 'count(*)';
+    elsif item->>'function' in ('count', 'sum', 'avg', 'min', 'max') then
+      expression := format(
+        '%s(%s%I)',
+        item->>'function',
+        case when (item->>'distinct')::boolean then 'distinct ' else '' end,
+        item->>'column'
+      );
+    else
+      raise exception 'Unsupported aggregate: %', item->>'function' using errcode = '22023';
+    end if;
+
+    fields := fields || format('%L, %s', item->>'alias', expression);
+    expressions := expressions || jsonb_build_object(item->>'alias', expression);
+  end loop;
+
+  for item in select * from jsonb_array_elements(order_by) loop
+    expression := expressions->>(item->>'alias');
+    if expression is null then
+      raise exception 'Cannot sort on %', item->>'alias' using errcode = '22023';
+    end if;
+
+    orders := orders || format(
+      '%s %s%s',
+      expression,
+      case when coalesce((item->>'ascending')::boolean, true) then 'asc' else 'desc' end,
+      case (item->>'nullsFirst')::boolean when true then ' nulls first' when false then ' nulls last' else '' end
+    );
+  end loop;
+
+  sql_text := format(
+    'select jsonb_build_object(%s) from %I where %s',
+    array_to_string(fields, ', '),
+    table_name,
+    public.aggregate_rows_filter(filter)
+  );
+  if cardinality(groups) > 0 then
+    sql_text := sql_text || ' group by ' || array_to_string(groups, ', ');
+  end if;
+  if cardinality(orders) > 0 then
+    sql_text := sql_text || ' order by ' || array_to_string(orders, ', ');
+  end if;
+  if row_limit is not null then
+    sql_text := sql_text || format(' limit %s', row_limit);
+  end if;
+  if row_offset is not null then
+    sql_text := sql_text || format(' offset %s', row_offset);
+  end if;
+
+  return query execute sql_text;
+end;
+$$;
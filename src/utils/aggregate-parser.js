@@ -0,0 +1,262 @@
+// /src/utils/aggregate-parser.js
+const { AppError } = require('./error-handler');
+const { parseBetween, toContainmentValue } = require('./filter-parser');
+
+/**
+ * Parses the `aggregate` and `groupBy` query parameters of list requests:
+ *
+ *   aggregate=count(),total:sum(amount)   aggregates, optionally renamed
+ *   aggregate=count_distinct(owner_id)    count of distinct values
+ *   groupBy=status,week(created_at)       group keys, optionally bucketed by date
+ *
+ * Results are keyed by alias; the default is `count` for `count()`,
+ * `<function>_<column>` for other aggregates, the column for a group key and
+ * `<column>_<bucket>` for a date bucket. An aggregate query is compiled into
+ * a PostgREST aggregate select when PostgREST can run it, otherwise into the
+ * arguments of the aggregate_rows function (src/sql/aggregate-rows.sql).
+ */
+ 
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max', 'count_distinct'];
+const DATE_BUCKETS = ['minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
+
+const IDENTIFIER = '[A-Za-z_][A-Za-z0-9_]*';
+// `alias:function(column)` or `alias:column`, the alias being optional
+const ITEM_PATTERN = new RegExp(`^(?:(${IDENTIFIER}):)?(?:(${IDENTIFIER})\\((\\*|${IDENTIFIER})?\\)|(${IDENTIFIER}))$`);
+
+// Columns, optionally followed by a JSON path, as in filter-matcher
+const FIELD_PATTERN = /^([A-Za-z_]\w*)((?:->>?(?:[A-Za-z_]\w*|\d+))*)$/;
+
+// Operators of the filter tree and what the aggregate_rows function calls them
+const FUNCTION_OPERATORS = {
+  '=': '=',
+  '<>': '<>',
+  '!=': '<>',
+  '>': '>',
+  '>=': '>=',
+  '<': '<',
+  '<=': '<=',
+  'LIKE': 'LIKE',
+  'ILIKE': 'ILIKE',
+  'IN': 'IN',
+  'NOT IN': 'NOT IN',
+  'IS NULL': 'IS NULL',
+  'IS NOT NULL': 'IS NOT NULL',
+  'BETWEEN': 'BETWEEN',
+  'CONTAINS': '@>',
+  'CONTAINED BY': '<@',
+  'OVERLAPS': '&&'
+};
+
+/**
+ * Build a 400 error that points at the offending item
+ * @param {string} param - aggregate or groupBy
+ * @param {string} message - What is wrong
+ * @param {string} token - Offending item
+ * @returns {AppError} Error to throw
+ */
+function aggregateError(param, message, token) {
+  return new AppError(`Invalid ${param}: ${message} at "${token}"`, 400, 'Aggregate Parser');
+}
+
+/**
+ * Split a parameter into its items; repeated parameters are joined
+ * @param {string|Array<string>} value - Parameter value
+ * @param {string} param - aggregate or groupBy
+ * @returns {Array<Object>} Items: text, alias, function, column and plain column
+ */
+function parseItems(value, param) {
+  return [].concat(value).join(',').split(',').map(raw => {
+    const text = raw.trim();
+    const match = text.match(ITEM_PATTERN);
+    if (!match) throw aggregateError(param, 'expected function(column) or column', text);
+    
+    const [, alias, fn, column, plain] = match;
+    return { text, alias, fn: fn && fn.toLowerCase(), column: column && column !== '*' ? column : null, plain };
+  });
+}
+
+/**
+ * Parse the aggregate query of a list request
+ * @param {Object} query - Query parameters
+ * @returns {Object|null} Group keys `{ alias, column, bucket }` and
+ *   aggregates `{ alias, function, column, distinct }`, or null if the
+ *   request doesn't aggregate
+ */
+function parseAggregate(query) {
+  if (query.aggregate === undefined && query.groupBy === undefined) return null;
+  if (!query.aggregate) {
+    throw new AppError('groupBy needs aggregate', 400, 'Aggregate Parser');
+  }
+  
+  const aggregates = parseItems(query.aggregate, 'aggregate').map(({ text, alias, fn, column }) => {
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+      throw aggregateError('aggregate', `expected one of ${AGGREGATE_FUNCTIONS.join(', ')}`, text);
+    }
+    if (!column && fn !== 'count') {
+      throw aggregateError('aggregate', `${fn} needs a column`, text);
+    }
+    
+    const distinct = fn === 'count_distinct';
+    return {
+      alias: alias || (column ? `${fn}_${column}` : 'count'),
+      function: distinct ? 'count' : fn,
+      column,
+      distinct
+    };
+  });
+  
+  const groupBy = query.groupBy ? parseItems(query.groupBy, 'groupBy').map(({ text, alias, fn, column, plain }) => {
+    if (plain) return { alias: alias || plain, column: plain, bucket: null };
+    if (!DATE_BUCKETS.includes(fn) || !column) {
+      throw aggregateError('groupBy', `expected a column or one of ${DATE_BUCKETS.join(', ')}(column)`, text);
+    }
+    return { alias: alias || `${column}_${fn}`, column, bucket: fn };
+  }) : [];
+  
+  const aliases = [...groupBy, ...aggregates].map(({ alias }) => alias);
+  const duplicate = aliases.find((alias, index) => aliases.indexOf(alias) !== index);
+  if (duplicate) {
+    throw new AppError(`Duplicate aggregate result name: ${duplicate}`, 400, 'Aggregate Parser');
+  }
+  
+  return { groupBy, aggregates };
+}
+
+/**
+ * List the columns an aggregate query reads
+ * @param {Object} spec - Aggregate query from parseAggregate
+ * @returns {Array<string>} Column names
+ */
+function aggregateColumns(spec) {
+  return [...new Set([...spec.groupBy, ...spec.aggregates].map(({ column }) => column).filter(Boolean))];
+}
+
+/**
+ * Check that sort keys name results of the aggregate query
+ * @param {Array<Object>} order - Sort keys (see utils/order-parser)
+ * @param {Object} spec - Aggregate query from parseAggregate
+ */
+function validateAggregateOrder(order, spec) {
+  const aliases = [...spec.groupBy, ...spec.aggregates].map(({ alias }) => alias);
+  
+  for (const key of order) {
+    if (key.path || key.related || !aliases.includes(key.column)) {
+      const name = key.related ? `${key.related}(${key.column})` : [key.path, key.column].filter(Boolean).join('.');
+      throw new AppError(`Invalid order: aggregate results can only be sorted by their names at "${name}"`, 400, 'Aggregate Parser');
+    }
+  }
+}
+
+/**
+ * Check whether PostgREST can run an aggregate query itself: it has no
+ * count distinct or date buckets, and sorts on group columns only
+ * @param {Object} spec - Aggregate query from parseAggregate
+ * @param {Array<Object>} order - Sort keys
+ * @returns {boolean} True if a PostgREST select can express it
+ */
+function canUseSelect(spec, order) {
+  return spec.groupBy.every(({ bucket }) => !bucket) &&
+    spec.aggregates.every(({ distinct }) => !distinct) &&
+    order.every(key => spec.groupBy.some(({ alias }) => alias === key.column));
+}
+
+/**
+ * Compile an aggregate query into a PostgREST aggregate select, which
+ * groups by the columns that aren't aggregated
+ * @param {Object} spec - Aggregate query from parseAggregate
+ * @param {Array<Object>} order - Sort keys on result names
+ * @returns {Object} Select string and the sort keys on the grouped columns
+ */
+function toSelect(spec, order) {
+  const groups = spec.groupBy.map(({ alias, column }) => (alias === column ? column : `${alias}:${column}`));
+  const aggregates = spec.aggregates.map(({ alias, function: fn, column }) =>
+    (column ? `${alias}:${column}.${fn}()` : `${alias}:count()`)
+  );
+  
+  return {
+    columns: [...groups, ...aggregates].join(','),
+    order: order.map(key => ({ ...key, column: spec.groupBy.find(({ alias }) => alias === key.column).column }))
+  };
+}
+
+/**
+ * Convert a filter tree to the form the aggregate_rows function compiles:
+ * fields split into column and JSON path, operators in SQL and values
+ * normalized as applyFilter would send them. The tree must pass
+ * assertMatchable (see utils/filter-matcher).
+ * @param {Object|null} filter - Filter tree
+ * @returns {Object|null} Function filter
+ */
+function toFunctionFilter(filter) {
+  if (!filter) return null;
+  
+  if (!filter.field) {
+    return { logic: String(filter.logic).toUpperCase(), filters: filter.filters.map(toFunctionFilter) };
+  }
+  
+  const [, column, jsonPath] = filter.field.match(FIELD_PATTERN);
+  const path = (jsonPath.match(/->>?(?:[A-Za-z_]\w*|\d+)/g) || []).map(step => {
+    const arrow = step.startsWith('->>') ? '->>' : '->';
+    return [arrow, step.slice(arrow.length)];
+  });
+  
+  let value = filter.value;
+  if (typeof value === 'string' && /^(true|false)$/i.test(value)) {
+    value = value.toLowerCase() === 'true';
+  }
+  
+  let operator = String(filter.operator).toUpperCase();
+  if (operator === 'IS' || operator === 'IS NOT') {
+    if (value !== null && typeof value !== 'boolean') {
+      throw new AppError(`${operator} operator only supports null and boolean values`, 400, 'Aggregate Parser');
+    }
+    operator = `${operator} ${value === null ? 'NULL' : String(value).toUpperCase()}`;
+    return { column, path, operator };
+  }
+  
+  if (operator === 'IN' || operator === 'NOT IN') {
+    value = Array.isArray(value) ? value : [value];
+  } else if (operator === 'BETWEEN') {
+    value = parseBetween(value);
+  } else if (['CONTAINS', 'CONTAINED BY', 'OVERLAPS'].includes(operator)) {
+    value = toContainmentValue(value);
+  } else if (operator === 'LIKE' || operator === 'ILIKE') {
+    // PostgREST reads * as the % wildcard
+    value = String(value).replace(/\*/g, '%');
+  }
+  
+  return { column, path, operator: FUNCTION_OPERATORS[operator], value };
+}
+
+/**
+ * Compile an aggregate query into the arguments of the aggregate_rows function
+ * @param {string} tableName - Table name
+ * @param {Object} spec - Aggregate query from parseAggregate
+ * @param {Object|null} filter - Filter tree, row filters included
+ * @param {Object} options - order, page and pageSize
+ * @returns {Object} Function arguments
+ */
+function toFunctionArgs(tableName, spec, filter, { order = [], page, pageSize } = {}) {
+  return {
+    table_name: tableName,
+    group_by: spec.groupBy,
+    aggregates: spec.aggregates,
+    filter: toFunctionFilter(filter),
+    order_by: order.map(({ column, ascending, nullsFirst }) => ({
+      alias: column,
+      ascending: ascending !== false,
+      ...(nullsFirst !== undefined ? { nullsFirst } : {})
+    })),
+    row_limit: pageSize || null,
+    row_offset: page && pageSize ? (page - 1) * pageSize : null
+  };
+}
+
+module.exports = {
+  parseAggregate,
+  aggregateColumns,
+  validateAggregateOrder,
+  canUseSelect,
+  toSelect,
+  toFunctionArgs
+};
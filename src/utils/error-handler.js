@@ -1,20 +1,68 @@
 // error-handler.js
+const http = require('http');
 const logger = require('./logger');
 
+// Machine-readable codes of the HTTP statuses, for errors that don't set one
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  416: 'RANGE_NOT_SATISFIABLE',
+  422: 'UNPROCESSABLE_ENTITY',
+  428: 'PRECONDITION_REQUIRED',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  501: 'NOT_IMPLEMENTED',
+  502: 'UPSTREAM_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT'
+};
+
+/**
+ * Get the machine-readable code of an error
+ * @param {Error} error - Error object
+ * @param {number} statusCode - HTTP status code of the response
+ * @returns {string} Error code, e.g. `NOT_FOUND`
+ */
+function errorCode(error, statusCode) {
+  // Only application errors carry API codes; others (e.g. ECONNRESET) don't
+  return error instanceof AppError && error.code
+    ? error.code
+    : STATUS_CODES[statusCode] || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
 /**
  * Standard error response format
  * @param {Error} error - Error object
  * @param {string} context - Where the error occurred
+ * @param {Object} options - Additional options (statusCode, requestId)
  * @returns {Object} Formatted error response
  */
-function formatError(error, context = '') {
+function formatError(error, context = '', options = {}) {
+  const statusCode = options.statusCode || error.statusCode || 500;
   const errorResponse = {
     error: true,
+    code: errorCode(error, statusCode),
     message: error.message || 'An unknown error occurred',
     context: context,
     timestamp: new Date().toISOString()
   };
   
+  if (options.requestId) {
+    errorResponse.requestId = options.requestId;
+  }
+  
+  // Structured details, such as per-row validation problems
+  if (error.details !== undefined) {
+    errorResponse.details = error.details;
+  }
+  
   // Add stack trace in development environment only
   if (process.env.NODE_ENV === 'development') {
     errorResponse.stack = error.stack;
@@ -24,35 +72,181 @@ function formatError(error, context = '') {
 }
 
 /**
- * Handle HTTP response errors
+ * Format an error as an RFC 7807 problem details object. `type` is
+ * ERROR_TYPE_BASE followed by the error code, or about:blank without a base.
+ * @param {Error} error - Error object
+ * @param {string} context - Where the error occurred
+ * @param {Object} options - Additional options (statusCode, requestId, instance)
+ * @returns {Object} Problem details
+ */
+function formatProblem(error, context = '', options = {}) {
+  const statusCode = options.statusCode || error.statusCode || 500;
+  const code = errorCode(error, statusCode);
+  const typeBase = process.env.ERROR_TYPE_BASE;
+  
+  const problem = {
+    type: typeBase ? `${typeBase.replace(/\/?$/, '/')}${code.toLowerCase().replace(/_/g, '-')}` : 'about:blank',
+    title: http.STATUS_CODES[statusCode] || 'Error',
+    status: statusCode,
+    detail: error.message || 'An unknown error occurred',
+    code,
+    context
+  };
+  
+  if (options.instance) problem.instance = options.instance;
+  if (options.requestId) problem.requestId = options.requestId;
+  if (error.details !== undefined) problem.details = error.details;
+  if (process.env.NODE_ENV === 'development') problem.stack = error.stack;
+  
+  return problem;
+}
+
+/**
+ * Check whether an error response should be problem+json: always with
+ * ERROR_FORMAT=problem, otherwise when the client asks for it
+ * @param {Object} req - HTTP request object
+ * @returns {boolean} True to answer with application/problem+json
+ */
+function wantsProblem(req) {
+  if (process.env.ERROR_FORMAT === 'problem') return true;
+  return Boolean(req && /application\/problem\+json/i.test(req.headers.accept || ''));
+}
+
+/**
+ * Handle HTTP response errors. The status is the one given, else the
+ * error's own, else 500.
  * @param {Object} res - HTTP response object
  * @param {Error} error - Error object
  * @param {string} context - Where the error occurred
  * @param {number} statusCode - HTTP status code
  */
-function handleHttpError(res, error, context, statusCode = 500) {
-  logger.error(`[${context}] ${error.message}`, error);
+function handleHttpError(res, error, context, statusCode = undefined) {
+  const status = statusCode || error.statusCode || 500;
+  const req = res.req;
+  const requestId = req && req.id;
   
-  res.statusCode = statusCode;
-  res.setHeader('Content-Type', 'application/json');
-  res.end(JSON.stringify(formatError(error, context)));
+  if (status >= 500) {
+    logger.error(`[${context}] ${error.message}`, error);
+  } else {
+    logger.warn(`[${context}] ${status} ${error.message}${requestId ? ` (request ${requestId})` : ''}`);
+  }
+  
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  
+  if (error.retryAfter) {
+    res.setHeader('Retry-After', String(error.retryAfter));
+  }
+  
+  res.statusCode = status;
+  if (wantsProblem(req)) {
+    res.setHeader('Content-Type', 'application/problem+json');
+    res.end(JSON.stringify(formatProblem(error, context, {
+      statusCode: status,
+      requestId,
+      instance: req && req.url ? req.url.split('?')[0] : undefined
+    })));
+  } else {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(formatError(error, context, { statusCode: status, requestId })));
+  }
 }
 
 /**
  * Custom error class for application-specific errors
  */
 class AppError extends Error {
-  constructor(message, statusCode = 500, context = '') {
+  constructor(message, statusCode = 500, context = '', details = undefined, code = undefined) {
     super(message);
     this.statusCode = statusCode;
+    this.code = code || STATUS_CODES[statusCode] || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
     this.context = context;
+    if (details !== undefined) {
+      this.details = details;
+    }
     this.name = this.constructor.name;
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
+/**
+ * The request is malformed or its body fails validation (400)
+ */
+class ValidationError extends AppError {
+  constructor(message, context = '', details = undefined, code = 'VALIDATION_FAILED') {
+    super(message, 400, context, details, code);
+  }
+}
+
+/**
+ * The request carries no valid credentials (401)
+ */
+class AuthenticationError extends AppError {
+  constructor(message, context = '', details = undefined, code = 'UNAUTHORIZED') {
+    super(message, 401, context, details, code);
+  }
+}
+
+/**
+ * The caller may not perform the operation (403)
+ */
+class ForbiddenError extends AppError {
+  constructor(message, context = '', details = undefined, code = 'FORBIDDEN') {
+    super(message, 403, context, details, code);
+  }
+}
+
+/**
+ * The resource doesn't exist, or isn't visible to the caller (404)
+ */
+class NotFoundError extends AppError {
+  constructor(message, context = '', details = undefined, code = 'NOT_FOUND') {
+    super(message, 404, context, details, code);
+  }
+}
+
+/**
+ * The request conflicts with the current state of the resource (409)
+ */
+class ConflictError extends AppError {
+  constructor(message, context = '', details = undefined, code = 'CONFLICT') {
+    super(message, 409, context, details, code);
+  }
+}
+
+/**
+ * The caller sent too many requests (429); retryAfter is in seconds
+ */
+class RateLimitError extends AppError {
+  constructor(message, context = '', retryAfter = undefined, code = 'RATE_LIMITED') {
+    super(message, 429, context, undefined, code);
+    if (retryAfter !== undefined) {
+      this.retryAfter = retryAfter;
+    }
+  }
+}
+
+/**
+ * A service the API depends on failed or couldn't be reached (502 by default)
+ */
+class UpstreamError extends AppError {
+  constructor(message, context = '', details = undefined, code = 'UPSTREAM_ERROR', statusCode = 502) {
+    super(message, statusCode, context, details, code);
+  }
+}
+
 module.exports = {
   formatError,
+  formatProblem,
   handleHttpError,
-  AppError
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  UpstreamError
 };
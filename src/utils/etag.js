@@ -0,0 +1,97 @@
+// /src/utils/etag.js
+const crypto = require('crypto');
+
+/**
+ * Entity tags for records. A record's ETag comes from its version column
+ * (the first of ETAG_COLUMNS present in the row, `version,updated_at` by
+ * default), or from a hash of the whole row when it has none. A response
+ * that only holds some of the row's columns gets a weak ETag.
+ */
+ 
+const ETAG_COLUMNS = (process.env.ETAG_COLUMNS || 'version,updated_at')
+  .split(',')
+  .map(column => column.trim())
+  .filter(Boolean);
+
+/**
+ * Find the version column of a row
+ * @param {Object} row - Record
+ * @returns {string|null} Column name, or null if the row has none
+ */
+function versionColumn(row) {
+  return ETAG_COLUMNS.find(column => row[column] !== undefined && row[column] !== null) || null;
+}
+
+/**
+ * Compute the ETag of a record
+ * @param {Object} row - Record
+ * @param {boolean} partial - Whether the row is a projection rather than the full record
+ * @returns {string} ETag, quoted
+ */
+function computeETag(row, partial = false) {
+  const column = versionColumn(row);
+  const source = column ? `${column}:${JSON.stringify(row[column])}` : JSON.stringify(row);
+  const hash = crypto.createHash('sha1').update(source).digest('base64url');
+  
+  return column || !partial ? `"${hash}"` : `W/"${hash}"`;
+}
+
+/**
+ * Check an If-Match or If-None-Match header against an ETag
+ * @param {string} header - Header value: `*` or a comma-separated list of ETags
+ * @param {string} etag - Current ETag
+ * @param {boolean} weak - Use weak comparison (If-None-Match) rather than strong (If-Match)
+ * @returns {boolean} True if the header matches
+ */
+function matchesETag(header, etag, weak = false) {
+  if (header.trim() === '*') return true;
+  
+  const opaque = tag => tag.replace(/^W\//, '');
+  
+  return header.split(',').map(tag => tag.trim()).some(tag => {
+    if (weak) return opaque(tag) === opaque(etag);
+    return !tag.startsWith('W/') && !etag.startsWith('W/') && tag === etag;
+  });
+}
+
+/**
+ * Evaluate the conditional headers of a request against a record's ETag
+ * @param {Object} req - HTTP request
+ * @param {string} etag - Current ETag of the record
+ * @returns {number|null} 412 or 304 when the request must not proceed, null otherwise
+ */
+function checkPreconditions(req, etag) {
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch && !matchesETag(ifMatch, etag)) {
+    return 412;
+  }
+  
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && matchesETag(ifNoneMatch, etag, true)) {
+    return ['GET', 'HEAD'].includes(req.method) ? 304 : 412;
+  }
+  
+  return null;
+}
+
+/**
+ * Work out the next value of a row's version column: numbers are
+ * incremented, timestamps set to now
+ * @param {Object} row - Current record
+ * @returns {Object} Column and new value, empty if the row has no version column
+ */
+function nextVersion(row) {
+  const column = versionColumn(row);
+  if (!column) return {};
+  
+  const value = typeof row[column] === 'number' ? row[column] + 1 : new Date().toISOString();
+  return { [column]: value };
+}
+
+module.exports = {
+  versionColumn,
+  computeETag,
+  matchesETag,
+  checkPreconditions,
+  nextVersion
+};
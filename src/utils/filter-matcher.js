@@ -0,0 +1,258 @@
+// /src/utils/filter-matcher.js
+const { AppError } = require('./error-handler');
+
+/**
+ * Evaluates filter trees (the structure consumed by applyFilter) against
+ * rows in memory, for rows that don't come from a query, such as realtime
+ * changes. Only the row's own columns and JSON paths into them can be
+ * used; embedded resources, full-text search and range types need the
+ * database. Regular expression operators aren't evaluated either, since a
+ * pattern from a caller could hold the event loop.
+ *
+ * Results are three-valued: a condition on a column the row doesn't carry
+ * (e.g. the old row of a DELETE without REPLICA IDENTITY FULL) is unknown,
+ * and unknowns combine as in SQL.
+ */
+ 
+// Columns, optionally followed by a JSON path (`metadata->address->>city`)
+const FIELD_PATTERN = /^([A-Za-z_]\w*)((?:->>?(?:[A-Za-z_]\w*|\d+))*)$/;
+
+const SUPPORTED_OPERATORS = [
+  '=', '<>', '!=', '>', '>=', '<', '<=', 'LIKE', 'ILIKE', 'IN', 'NOT IN', 'IS', 'IS NOT',
+  'IS NULL', 'IS NOT NULL', 'BETWEEN', 'CONTAINS', 'CONTAINED BY', 'OVERLAPS'
+];
+
+/**
+ * Check that a filter tree can be evaluated in memory
+ * @param {Object} filter - Filter tree
+ * @throws {AppError} 400 naming the first condition that can't be
+ */
+function assertMatchable(filter) {
+  if (!filter) return;
+  
+  if (filter.field && filter.operator) {
+    const operator = String(filter.operator).toUpperCase();
+    if (typeof filter.field !== 'string' || !FIELD_PATTERN.test(filter.field)) {
+      throw new AppError(`Only the table's own columns can be filtered here: ${filter.field}`, 400, 'Filter Matcher');
+    }
+    if (!SUPPORTED_OPERATORS.includes(operator)) {
+      throw new AppError(`Operator ${filter.operator} can't be used here`, 400, 'Filter Matcher');
+    }
+    if (['CONTAINS', 'CONTAINED BY', 'OVERLAPS'].includes(operator) && typeof filter.value === 'string' && /^[[(]/.test(filter.value)) {
+      throw new AppError(`Range conditions can't be used here: ${filter.field}`, 400, 'Filter Matcher');
+    }
+    return;
+  }
+  
+  if (!Array.isArray(filter.filters) || !['AND', 'OR', 'NOT'].includes(String(filter.logic).toUpperCase())) {
+    throw new AppError('Invalid filter structure', 400, 'Filter Matcher');
+  }
+  if (filter.referencedTable) {
+    throw new AppError(`Filters on ${filter.referencedTable} can't be used here`, 400, 'Filter Matcher');
+  }
+  filter.filters.forEach(assertMatchable);
+}
+
+/**
+ * Read a field of a row, following its JSON path
+ * @param {Object} row - Row
+ * @param {string} field - Column, optionally with a JSON path
+ * @returns {any} Value, or undefined if the row doesn't carry the column
+ */
+function readField(row, field) {
+  const [, column, jsonPath] = field.match(FIELD_PATTERN);
+  if (!row || !Object.prototype.hasOwnProperty.call(row, column)) return undefined;
+  
+  let value = row[column];
+  const steps = jsonPath.match(/->>?(?:[A-Za-z_]\w*|\d+)/g) || [];
+  for (const step of steps) {
+    if (value === null || value === undefined) return null;
+    const asText = step.startsWith('->>');
+    const key = step.replace(/^->>?/, '');
+    
+    value = typeof value === 'object' ? value[key] : undefined;
+    if (value === undefined) return null;
+    if (asText && value !== null && typeof value === 'object') value = JSON.stringify(value);
+    else if (asText && value !== null) value = String(value);
+  }
+  return value;
+}
+
+/**
+ * Convert a filter value to the type of the row value it's compared with;
+ * values from the query string arrive as strings
+ * @param {any} actual - Row value
+ * @param {any} expected - Filter value
+ * @returns {any} Converted filter value
+ */
+function coerceTo(actual, expected) {
+  if (typeof actual === 'number' && typeof expected === 'string' && expected.trim() !== '' && !Number.isNaN(Number(expected))) {
+    return Number(expected);
+  }
+  if (typeof actual === 'boolean' && typeof expected === 'string' && /^(true|false)$/i.test(expected)) {
+    return expected.toLowerCase() === 'true';
+  }
+  if (typeof actual === 'string' && typeof expected !== 'string' && expected !== null && expected !== undefined) {
+    return String(expected);
+  }
+  return expected;
+}
+
+/**
+ * Compare a row value with a filter value
+ * @param {any} actual - Row value
+ * @param {any} expected - Filter value
+ * @returns {number|null} Negative, zero or positive, or null if either is null
+ */
+function compare(actual, expected) {
+  if (actual === null || expected === null || expected === undefined) return null;
+  
+  const value = coerceTo(actual, expected);
+  if (typeof actual === 'object' || typeof value === 'object') {
+    return JSON.stringify(actual) === JSON.stringify(value) ? 0 : null;
+  }
+  if (actual < value) return -1;
+  return actual > value ? 1 : 0;
+}
+
+/**
+ * Convert a LIKE pattern (`%`/`*` for any characters, `_` for one) to a regular expression
+ * @param {string} pattern - LIKE pattern
+ * @param {boolean} ignoreCase - ILIKE
+ * @returns {RegExp} Regular expression
+ */
+function likeToRegExp(pattern, ignoreCase) {
+  const source = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/[%*]/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, ignoreCase ? 'is' : 's');
+}
+
+/**
+ * Read an array or jsonb operand of a containment condition; a string is
+ * JSON or a Postgres array literal like `{a,b}`
+ * @param {any} value - Condition value
+ * @returns {any} Array or object
+ */
+function toOperand(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object') return parsed;
+  } catch (error) {
+    // Not JSON; read as an array literal
+  }
+  
+  const match = value.match(/^\{(.*)\}$/s);
+  if (!match) return [value];
+  return match[1] === '' ? [] : match[1].split(',').map(item => item.trim().replace(/^"(.*)"$/s, '$1'));
+}
+
+/**
+ * Check whether a value contains another, as Postgres `@>` does for
+ * arrays and jsonb
+ * @param {any} container - Containing value
+ * @param {any} contained - Contained value
+ * @returns {boolean} True if contained
+ */
+function contains(container, contained) {
+  if (Array.isArray(container)) {
+    const items = Array.isArray(contained) ? contained : [contained];
+    return items.every(item => container.some(element => contains(element, item)));
+  }
+  if (container && typeof container === 'object') {
+    return Boolean(contained) && typeof contained === 'object' && !Array.isArray(contained) &&
+      Object.entries(contained).every(([key, value]) => key in container && contains(container[key], value));
+  }
+  return compare(container, contained) === 0;
+}
+
+/**
+ * Evaluate one condition
+ * @param {Object} row - Row
+ * @param {Object} condition - Condition
+ * @returns {boolean|null} Result, or null if unknown
+ */
+function matchCondition(row, condition) {
+  const actual = readField(row, condition.field);
+  if (actual === undefined) return null;
+  
+  const { value } = condition;
+  const operator = String(condition.operator).toUpperCase();
+  const ordered = test => {
+    const result = compare(actual, value);
+    return result === null ? null : test(result);
+  };
+  const list = () => (Array.isArray(value) ? value : String(value).split(','));
+  
+  switch (operator) {
+    case '=': return ordered(result => result === 0);
+    case '<>':
+    case '!=': return ordered(result => result !== 0);
+    case '>': return ordered(result => result > 0);
+    case '>=': return ordered(result => result >= 0);
+    case '<': return ordered(result => result < 0);
+    case '<=': return ordered(result => result <= 0);
+    case 'LIKE':
+    case 'ILIKE':
+      return actual === null ? null : likeToRegExp(value, operator === 'ILIKE').test(String(actual));
+    case 'IN':
+      return actual === null ? null : list().some(item => compare(actual, item) === 0);
+    case 'NOT IN':
+      return actual === null ? null : !list().some(item => compare(actual, item) === 0);
+    case 'IS NULL': return actual === null;
+    case 'IS NOT NULL': return actual !== null;
+    case 'IS':
+    case 'IS NOT': {
+      const expected = value === null || String(value).toLowerCase() === 'null' ? null : String(value).toLowerCase() === 'true';
+      const same = expected === null ? actual === null : actual === expected;
+      return operator === 'IS' ? same : !same;
+    }
+    case 'BETWEEN': {
+      const [low, high] = typeof value === 'string' ? value.split(',') : value;
+      const above = compare(actual, low);
+      const below = compare(actual, high);
+      return above === null || below === null ? null : above >= 0 && below <= 0;
+    }
+    case 'CONTAINS':
+      return actual === null ? null : contains(actual, toOperand(value));
+    case 'CONTAINED BY':
+      return actual === null ? null : contains(toOperand(value), actual);
+    case 'OVERLAPS':
+      return actual === null ? null : [].concat(actual).some(item => toOperand(value).some(other => compare(item, other) === 0));
+    default:
+      throw new AppError(`Operator ${condition.operator} can't be used here`, 400, 'Filter Matcher');
+  }
+}
+
+/**
+ * Evaluate a filter tree against a row
+ * @param {Object} row - Row
+ * @param {Object} filter - Filter tree; null matches every row
+ * @returns {boolean|null} True or false, or null if the row lacks columns
+ *   needed to decide
+ */
+function matchFilter(row, filter) {
+  if (!filter) return true;
+  if (filter.field && filter.operator) return matchCondition(row, filter);
+  
+  const results = filter.filters.map(child => matchFilter(row, child));
+  const all = () => (results.includes(false) ? false : results.includes(null) ? null : true);
+  
+  switch (String(filter.logic).toUpperCase()) {
+    case 'OR':
+      return results.includes(true) ? true : results.includes(null) ? null : results.length === 0;
+    case 'NOT': {
+      const inner = all();
+      return inner === null ? null : !inner;
+    }
+    default:
+      return all();
+  }
+}
+
+module.exports = {
+  assertMatchable,
+  matchFilter
+};
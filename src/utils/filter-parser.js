@@ -1,6 +1,17 @@
 // /src/utils/filter-parser.js
 const { AppError } = require('./error-handler');
 
+const LOGIC_OPERATORS = ['AND', 'OR', 'NOT'];
+
+// Field names: a column, optionally prefixed by an embedded resource path (`tasks.status`)
+// and followed by a JSON path (`metadata->address->>city`, `tags->0`)
+const FIELD_PATTERN = /^[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*(?:->>?(?:[A-Za-z_]\w*|\d+))*$/;
+
+const LANGUAGE_PATTERN = /^[A-Za-z_]\w*$/;
+
+// Characters PostgREST reserves inside logic trees; values containing them must be quoted
+const RESERVED_VALUE_PATTERN = /[,.:()"\\\s]/;
+
 /**
  * Applies filters to a Supabase query based on a filter object
  * @param {Object} query - Supabase query builder instance
@@ -17,51 +28,147 @@ function applyFilter(query, filter) {
   
   // Handle group node (logical operator with multiple filters)
   if (filter.logic && filter.filters && Array.isArray(filter.filters)) {
-    const { logic, filters } = filter;
+    const { filters } = filter;
+    const logic = String(filter.logic).toUpperCase();
+    
+    if (!LOGIC_OPERATORS.includes(logic)) {
+      throw new AppError(`Unsupported logic operator: ${filter.logic}`, 400, 'Filter Parser');
+    }
     
     // No filters, return original query
     if (filters.length === 0) return query;
     
-    // Single filter, no need for logical grouping
-    if (filters.length === 1) {
+    // Single filter, no need for logical grouping (unless it is negated or scoped to an embedded resource)
+    if (filters.length === 1 && logic !== 'NOT' && !filter.referencedTable) {
       return applyFilter(query, filters[0]);
     }
     
-    // Multiple filters with AND/OR logic
-    if (logic.toUpperCase() === 'AND') {
+    if (logic === 'AND' && !filter.referencedTable) {
       // For AND, we can chain the filters
       let resultQuery = query;
       for (const subFilter of filters) {
         resultQuery = applyFilter(resultQuery, subFilter);
       }
       return resultQuery;
-    } else if (logic.toUpperCase() === 'OR') {
-      // For OR in Supabase, we use .or()
-      return query.or(
-        filters.map(subFilter => {
-          // Create a filter string in the format Supabase expects
-          if (subFilter.field && subFilter.operator) {
-            // Simple condition
-            return `${subFilter.field}.${mapOperator(subFilter.operator)}.${formatValue(subFilter.value)}`;
-          } else {
-            // For nested conditions, we need a more advanced approach
-            // This is simplified and would need extension for full support
-            const subFilters = subFilter.filters.map(f => 
-              `${f.field}.${mapOperator(f.operator)}.${formatValue(f.value)}`
-            ).join(',');
-            return subFilters;
-          }
-        }).join(',')
-      );
-    } else {
-      throw new AppError(`Unsupported logic operator: ${logic}`, 400, 'Filter Parser');
     }
+    
+    // Anything else is compiled into a PostgREST logic tree. A NOT group is
+    // sent as a single-item or(), since there is no top-level not.and parameter.
+    // referencedTable scopes the tree to an embedded resource.
+    const expression = logic === 'OR'
+      ? compileChildren(filters).join(',')
+      : compileNode(filter);
+      
+    if (!expression) return query;
+    
+    const orOptions = filter.referencedTable ? { referencedTable: filter.referencedTable } : {};
+    return query.or(expression, orOptions);
   }
   
   // If we get here, the filter structure is invalid
   throw new AppError('Invalid filter structure', 400, 'Filter Parser');
 }
 
+/**
+ * Compile the children of a group, dropping empty groups
+ * @param {Array<Object>} filters - Child filters
+ * @returns {Array<string>} Compiled child expressions
+ */
+function compileChildren(filters) {
+  return filters.map(compileNode).filter(Boolean);
+}
+
+/**
+ * Compile a filter node into PostgREST logic tree syntax, e.g.
+ * `and(status.eq.active,or(role.eq.admin,role.eq.moderator))`
+ * @param {Object} node - Condition or logic group
+ * @returns {string|null} Compiled expression, or null for an empty group
+ */
+function compileNode(node) {
+  if (node && node.field && node.operator) {
+    return compileCondition(node);
+  }
+  
+  if (!node || !node.logic || !Array.isArray(node.filters)) {
+    throw new AppError('Invalid filter structure', 400, 'Filter Parser');
+  }
+  
+  const logic = String(node.logic).toUpperCase();
+  const children = compileChildren(node.filters);
+  
+  if (children.length === 0) return null;
+  
+  switch (logic) {
+    case 'AND':
+      return children.length === 1 ? children[0] : `and(${children.join(',')})`;
+    case 'OR':
+      return children.length === 1 ? children[0] : `or(${children.join(',')})`;
+    case 'NOT': {
+      // NOT negates the conjunction of its children; NOT over a single OR group negates that group
+      const [only] = node.filters;
+      if (node.filters.length === 1 && only.logic && String(only.logic).toUpperCase() === 'OR') {
+        return `not.or(${compileChildren(only.filters).join(',')})`;
+      }
+      return `not.and(${children.join(',')})`;
+    }
+    default:
+      throw new AppError(`Unsupported logic operator: ${node.logic}`, 400, 'Filter Parser');
+  }
+}
+
+/**
+ * Compile a single condition into `field.operator.value` syntax
+ * @param {Object} condition - Condition object
+ * @returns {string} Compiled condition
+ */
+function compileCondition(condition) {
+  const { field, operator, value } = condition;
+  assertField(field);
+  
+  // Convert string "true"/"false" to actual booleans if needed
+  let processedValue = value;
+  if (typeof value === 'string' && (value.toLowerCase() === 'true' || value.toLowerCase() === 'false')) {
+    processedValue = value.toLowerCase() === 'true';
+  }
+  
+  const op = String(operator).toUpperCase();
+  
+  switch (op) {
+    case 'IS NULL':
+      return `${field}.is.null`;
+    case 'IS NOT NULL':
+      return `${field}.not.is.null`;
+    case 'IS':
+    case 'IS NOT':
+      if (processedValue !== null && typeof processedValue !== 'boolean') {
+        throw new AppError(`${op} operator only supports null and boolean values`, 400, 'Filter Parser');
+      }
+      return `${field}.${mapOperator(op)}.${processedValue}`;
+    case 'IN':
+      return `${field}.in.${formatValue(Array.isArray(processedValue) ? processedValue : [processedValue])}`;
+    case 'NOT IN':
+      return `${field}.not.in.${formatValue(Array.isArray(processedValue) ? processedValue : [processedValue])}`;
+    case 'BETWEEN': {
+      const [low, high] = parseBetween(processedValue);
+      return `and(${field}.gte.${formatValue(low)},${field}.lte.${formatValue(high)})`;
+    }
+    case 'CONTAINS':
+    case 'CONTAINED BY':
+    case 'OVERLAPS':
+      return `${field}.${mapOperator(op)}.${formatValue(toContainmentValue(processedValue))}`;
+    case 'FTS':
+    case 'PLFTS':
+    case 'PHFTS':
+    case 'WFTS':
+      return `${field}.${textSearchOperator(op, condition.language)}.${formatValue(processedValue)}`;
+    default:
+      if (!OPERATOR_MAP[op]) {
+        throw new AppError(`Unsupported operator: ${operator}`, 400, 'Filter Parser');
+      }
+      return `${field}.${mapOperator(op)}.${formatValue(processedValue)}`;
+  }
+}
+
 /**
  * Apply a single condition to a query
  * @param {Object} query - Supabase query
@@ -70,6 +177,7 @@ function applyFilter(query, filter) {
  */
 function applyCondition(query, condition) {
   const { field, operator, value } = condition;
+  assertField(field);
   
   // Convert string "true"/"false" to actual booleans if needed
   let processedValue = value;
@@ -102,55 +210,167 @@ function applyCondition(query, condition) {
     case 'IS NOT NULL':
       return query.not(field, 'is', null);
     case 'IS':
-      if (processedValue === null) return query.is(field, null);
-      throw new AppError(`IS operator only supports null values`, 400, 'Filter Parser');
+      if (processedValue === null || typeof processedValue === 'boolean') return query.is(field, processedValue);
+      throw new AppError(`IS operator only supports null and boolean values`, 400, 'Filter Parser');
     case 'IS NOT':
-      if (processedValue === null) return query.not(field, 'is', null);
-      throw new AppError(`IS NOT operator only supports null values`, 400, 'Filter Parser');
+      if (processedValue === null || typeof processedValue === 'boolean') return query.not(field, 'is', processedValue);
+      throw new AppError(`IS NOT operator only supports null and boolean values`, 400, 'Filter Parser');
+    case 'NOT IN':
+      return query.not(field, 'in', formatValue(Array.isArray(processedValue) ? processedValue : [processedValue]));
+    case 'BETWEEN': {
+      const [low, high] = parseBetween(processedValue);
+      return query.gte(field, low).lte(field, high);
+    }
+    case 'CONTAINS':
+    case 'CONTAINED BY':
+    case 'OVERLAPS':
+      return query.filter(field, mapOperator(operator), toContainmentValue(processedValue));
+    case '~':
+    case '~*':
+    case 'MATCH':
+    case 'IMATCH':
+      return query.filter(field, mapOperator(operator), processedValue);
+    case 'FTS':
+    case 'PLFTS':
+    case 'PHFTS':
+    case 'WFTS':
+      return query.filter(field, textSearchOperator(operator.toUpperCase(), condition.language), processedValue);
     default:
       throw new AppError(`Unsupported operator: ${operator}`, 400, 'Filter Parser');
   }
 }
 
+const OPERATOR_MAP = {
+  '=': 'eq',
+  '<>': 'neq',
+  '!=': 'neq',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte',
+  'LIKE': 'like',
+  'ILIKE': 'ilike',
+  'IN': 'in',
+  'IS': 'is',
+  'IS NOT': 'not.is',
+  'IS NULL': 'is',
+  'IS NOT NULL': 'not.is',
+  'NOT IN': 'not.in',
+  'CONTAINS': 'cs',
+  'CONTAINED BY': 'cd',
+  'OVERLAPS': 'ov',
+  '~': 'match',
+  '~*': 'imatch',
+  'MATCH': 'match',
+  'IMATCH': 'imatch',
+  'FTS': 'fts',
+  'PLFTS': 'plfts',
+  'PHFTS': 'phfts',
+  'WFTS': 'wfts'
+};
+
 /**
  * Map operator to Supabase filter string format
  * @param {string} operator - Operator (=, <>, etc)
  * @returns {string} Supabase operator string
  */
 function mapOperator(operator) {
-  const map = {
-    '=': 'eq',
-    '<>': 'neq',
-    '!=': 'neq',
-    '>': 'gt',
-    '>=': 'gte',
-    '<': 'lt',
-    '<=': 'lte',
-    'LIKE': 'like',
-    'ILIKE': 'ilike',
-    'IN': 'in',
-    'IS': 'is',
-    'IS NOT': 'not.is',
-    'IS NULL': 'is',
-    'IS NOT NULL': 'not.is'
-  };
+  return OPERATOR_MAP[operator.toUpperCase()] || operator;
+}
+
+/**
+ * Check that a field name is a column, embedded column or JSON path
+ * @param {string} field - Field name
+ */
+function assertField(field) {
+  if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+    throw new AppError(`Invalid field name: ${field}`, 400, 'Filter Parser');
+  }
+}
+
+/**
+ * Read the bounds of a BETWEEN condition
+ * @param {any} value - Two-element array, or a "low,high" string from a query param
+ * @returns {Array} Lower and upper bound (inclusive)
+ */
+function parseBetween(value) {
+  const bounds = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(bounds) || bounds.length !== 2) {
+    throw new AppError('BETWEEN operator requires a [low, high] value', 400, 'Filter Parser');
+  }
+  return bounds;
+}
+
+/**
+ * Build the operand of a containment or overlap condition: arrays become
+ * Postgres array literals, objects become JSON (for jsonb), and strings are
+ * passed through as range literals such as `[2024-01-01,2024-02-01)`
+ * @param {any} value - Condition value
+ * @returns {string} Operand
+ */
+function toContainmentValue(value) {
+  if (Array.isArray(value)) {
+    const elements = value.map(element => {
+      const text = String(element);
+      return /[,{}"\\\s]/.test(text) || text === ''
+        ? `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+        : text;
+    });
+    return `{${elements.join(',')}}`;
+  }
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Build a full-text search operator with its optional text search configuration
+ * @param {string} operator - FTS, PLFTS, PHFTS or WFTS
+ * @param {string} language - Text search configuration, e.g. 'english'
+ * @returns {string} PostgREST operator, e.g. `plfts(english)`
+ */
+function textSearchOperator(operator, language) {
+  if (language === undefined || language === null) return mapOperator(operator);
   
-  return map[operator.toUpperCase()] || operator;
+  if (!LANGUAGE_PATTERN.test(language)) {
+    throw new AppError(`Invalid text search language: ${language}`, 400, 'Filter Parser');
+  }
+  return `${mapOperator(operator)}(${language})`;
 }
 
 /**
- * Format a value for inclusion in a filter string
+ * Format a value for inclusion in a filter string. Strings containing
+ * characters reserved by PostgREST are double-quoted, with backslashes
+ * and double quotes escaped.
  * @param {any} value - Value to format
  * @returns {string} Formatted value
  */
 function formatValue(value) {
-  if (value === null) return 'null';
-  if (typeof value === 'string') return `"${value}"`;
+  if (value === null || value === undefined) return 'null';
   if (typeof value === 'boolean') return value.toString();
   if (Array.isArray(value)) return `(${value.map(formatValue).join(',')})`;
-  return value.toString();
+  
+  const text = String(value);
+  if (text === '' || RESERVED_VALUE_PATTERN.test(text)) {
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+  return text;
+}
+
+/**
+ * Check whether a filter tree contains at least one condition
+ * @param {Object} filter - Filter tree
+ * @returns {boolean} True if some condition would restrict the query
+ */
+function hasConditions(filter) {
+  if (!filter) return false;
+  if (filter.field && filter.operator) return true;
+  return Array.isArray(filter.filters) && filter.filters.some(hasConditions);
 }
 
 module.exports = {
-  applyFilter
+  applyFilter,
+  compileNode,
+  hasConditions,
+  parseBetween,
+  toContainmentValue
 };
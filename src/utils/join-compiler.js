@@ -0,0 +1,207 @@
+// /src/utils/join-compiler.js
+const { AppError } = require('./error-handler');
+
+const JOIN_TYPES = ['left', 'inner', 'right', 'full'];
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// A column, optionally renamed (`alias:column`) or cast (`column::type`), or `*`
+const COLUMN_PATTERN = /^(?:[A-Za-z_]\w*:)?(?:\*|[A-Za-z_]\w*(?:::[A-Za-z_]\w*)?)$/;
+
+/**
+ * Check the shape of a single join entry
+ * @param {Object} join - Join entry from a view's join_definition
+ * @param {number} index - Position of the join
+ * @returns {Array<string>} Problems found, empty if the join is valid
+ */
+function validateJoin(join, index) {
+  const prefix = `join_definition[${index}]`;
+  const problems = [];
+  
+  if (!join || typeof join !== 'object') {
+    return [`${prefix} must be an object`];
+  }
+  
+  for (const side of ['from', 'to']) {
+    const ref = join[side];
+    if (!ref || !IDENTIFIER_PATTERN.test(ref.table || '') || !IDENTIFIER_PATTERN.test(ref.field || '')) {
+      problems.push(`${prefix}.${side} must have a valid table and field`);
+      continue;
+    }
+    if (ref.alias !== undefined && !IDENTIFIER_PATTERN.test(ref.alias)) {
+      problems.push(`${prefix}.${side}.alias must be a valid identifier`);
+    }
+    if (ref.columns !== undefined) {
+      if (!Array.isArray(ref.columns) || ref.columns.some(column => !COLUMN_PATTERN.test(column))) {
+        problems.push(`${prefix}.${side}.columns must be an array of column names`);
+      }
+    }
+  }
+  
+  if (typeof join.joinType !== 'string' || !JOIN_TYPES.includes(join.joinType.toLowerCase())) {
+    problems.push(`${prefix}.joinType must be one of: ${JOIN_TYPES.join(', ')}`);
+  }
+  
+  if (join.fk !== undefined && !IDENTIFIER_PATTERN.test(join.fk)) {
+    problems.push(`${prefix}.fk must be a foreign key constraint or column name`);
+  }
+  
+  return problems;
+}
+
+/**
+ * Rewrite a leading right join as a left join from the other side.
+ * `A RIGHT JOIN B` keeps every row of B, which is what embedding A into B
+ * as a left join returns, so B becomes the base table of the view.
+ * @param {Array<Object>} joins - Join entries
+ * @returns {Array<Object>} Join entries with only left/inner joins
+ */
+function emulateRightJoins(joins) {
+  return joins.map((join, index) => {
+    const joinType = join.joinType.toLowerCase();
+    
+    if (joinType === 'full') {
+      throw new AppError(
+        `join_definition[${index}]: full joins cannot be expressed with embedded resources; use a database view instead`,
+        400,
+        'Join Compiler'
+      );
+    }
+    
+    if (joinType === 'right') {
+      if (index > 0) {
+        throw new AppError(
+          `join_definition[${index}]: right joins are only supported as the first join of a view`,
+          400,
+          'Join Compiler'
+        );
+      }
+      return { ...join, from: join.to, to: join.from, joinType: 'left' };
+    }
+    
+    return join;
+  });
+}
+
+/**
+ * Render the select list of a resource and everything embedded in it
+ * @param {Object} node - Resource node
+ * @returns {string} Select string
+ */
+function renderColumns(node) {
+  const columns = node.columns && node.columns.length > 0 ? node.columns : ['*'];
+  return [...columns, ...node.children.map(renderEmbedded)].join(',');
+}
+
+/**
+ * Render an embedded resource, e.g. `assignee:users!tasks_assigned_to_fkey!inner(id,email)`
+ * @param {Object} node - Resource node
+ * @returns {string} Embedded resource select string
+ */
+function renderEmbedded(node) {
+  const alias = node.alias ? `${node.alias}:` : '';
+  const hints = `${node.fk ? `!${node.fk}` : ''}${node.inner ? '!inner' : ''}`;
+  return `${alias}${node.table}${hints}(${renderColumns(node)})`;
+}
+
+/**
+ * Find the column holding the foreign key a join follows, which names the
+ * relationship to PostgREST. From the referenced side (e.g. `users.id` to
+ * `tasks.assigned_to`) that is the column of the joined table.
+ * @param {Object} join - Join entry
+ * @param {Array<Object>} tables - Tables with their relations (see schema-introspector)
+ * @returns {string} Column name
+ */
+function foreignKeyColumn(join, tables) {
+  const from = tables.find(({ name }) => name === join.from.table);
+  const relation = from && from.relations.find(({ table, column, referencedColumn }) =>
+    table === join.to.table && column === join.from.field && referencedColumn === join.to.field
+  );
+  
+  if (relation) {
+    return relation.type === 'one-to-many' ? relation.referencedColumn : relation.column;
+  }
+  return join.from.field;
+}
+
+/**
+ * Compile a view's join_definition into a PostgREST embedded select
+ * @param {Array<Object>} joinDefinition - Join entries
+ * @param {Array<Object>} tables - Tables with their relations, used to pick
+ *   the foreign key of joins without an `fk`; without them `from.field` is used
+ * @returns {Object} Base table, select string and the resources in the view,
+ *   keyed by table name or alias, with the path used to reference them in
+ *   filters and ordering (null for the base table)
+ */
+function compileJoins(joinDefinition, tables = []) {
+  if (!Array.isArray(joinDefinition) || joinDefinition.length === 0) {
+    throw new AppError('join_definition must be a non-empty array', 400, 'Join Compiler');
+  }
+  
+  const problems = joinDefinition.flatMap(validateJoin);
+  if (problems.length > 0) {
+    throw new AppError(problems.join('; '), 400, 'Join Compiler');
+  }
+  
+  const joins = emulateRightJoins(joinDefinition);
+  const first = joins[0].from;
+  
+  const base = {
+    table: first.table,
+    name: first.alias || first.table,
+    columns: first.columns,
+    path: null,
+    children: []
+  };
+  const nodes = new Map([[base.name, base]]);
+  
+  joins.forEach((join, index) => {
+    const parent = nodes.get(join.from.alias || join.from.table);
+    if (!parent) {
+      throw new AppError(
+        `join_definition[${index}].from refers to a table that is not part of the view: ${join.from.table}`,
+        400,
+        'Join Compiler'
+      );
+    }
+    
+    const name = join.to.alias || join.to.table;
+    if (nodes.has(name)) {
+      throw new AppError(
+        `join_definition[${index}]: ${name} is already part of the view; give the join a distinct alias`,
+        400,
+        'Join Compiler'
+      );
+    }
+    
+    const node = {
+      table: join.to.table,
+      alias: join.to.alias,
+      name,
+      columns: join.to.columns,
+      fk: join.fk || foreignKeyColumn(join, tables),
+      inner: join.joinType.toLowerCase() === 'inner',
+      path: parent.path ? `${parent.path}.${name}` : name,
+      children: []
+    };
+    
+    nodes.set(name, node);
+    parent.children.push(node);
+  });
+  
+  const resources = {};
+  for (const [name, node] of nodes) {
+    resources[name] = { table: node.table, path: node.path, inner: Boolean(node.inner) };
+  }
+  
+  return {
+    baseTable: base.table,
+    select: renderColumns(base),
+    resources
+  };
+}
+
+module.exports = {
+  compileJoins,
+  validateJoin,
+  JOIN_TYPES
+};
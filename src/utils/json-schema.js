@@ -0,0 +1,218 @@
+// /src/utils/json-schema.js
+
+/**
+ * A small JSON Schema validator covering the keywords table schemas need:
+ * type (including 'null', or OpenAPI's `nullable`), enum, const, format,
+ * minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum,
+ * exclusiveMaximum, items, minItems, maxItems, properties, required and
+ * additionalProperties. Errors are `{ field, message }`, where field is a
+ * path like `address.city` or `tags[2]`.
+ */
+ 
+const FORMATS = {
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value) && !Number.isNaN(Date.parse(value.replace(' ', 'T'))),
+  time: value => /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/.test(value),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+};
+
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * Check a value against one JSON Schema type
+ * @param {string} type - JSON Schema type
+ * @param {any} value - Value
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'boolean': return typeof value === 'boolean';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'string': return typeof value === 'string';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Convert a numeric string to a number. Integers past 2^53 would lose
+ * digits, so they stay strings and fail an integer type instead of being
+ * silently changed.
+ * @param {string} value - Numeric string
+ * @returns {number|string} Number, or the string if it can't be exact
+ */
+function toNumber(value) {
+  const number = Number(value);
+  return /^-?\d+$/.test(value) && !Number.isSafeInteger(number) ? value : number;
+}
+
+/**
+ * Convert a form-encoded or query string value to the type a schema
+ * expects. Form values arrive as strings, except `true`/`false`, which the
+ * request parser turns into booleans; an empty value is null when the
+ * schema allows it.
+ * @param {Array<string>} types - Types the schema allows
+ * @param {any} value - Value from the form
+ * @returns {any} Converted value, or the value itself if no conversion applies
+ */
+function coerce(types, value) {
+  if (value === '' && types.includes('null')) return null;
+  if (types.some(type => hasType(type, value))) return value;
+  
+  if (typeof value === 'boolean' && types.includes('string')) return String(value);
+  if (typeof value !== 'string') return value;
+  
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  if (types.includes('integer') && /^-?\d+$/.test(value)) return toNumber(value);
+  if (types.includes('number') && NUMBER_PATTERN.test(value)) return toNumber(value);
+  if ((types.includes('object') || types.includes('array')) && /^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+}
+
+/**
+ * Describe the types a schema allows, for error messages
+ * @param {Array<string>} types - JSON Schema types
+ * @returns {string} Description, e.g. `an integer or null`
+ */
+function describeTypes(types) {
+  const names = types.map(type => (['integer', 'array', 'object'].includes(type) ? `an ${type}` : type === 'null' ? 'null' : `a ${type}`));
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Validate a value, collecting errors and returning the value with
+ * coercions applied and unknown properties stripped
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {any} input - Value to validate
+ * @param {string} field - Path of the value, '' at the root
+ * @param {Array<Object>} errors - Errors collected so far
+ * @param {Object} options - Validation options, see validateSchema
+ * @param {boolean} coerceValue - Whether the value comes from a form and may be converted
+ * @returns {any} Validated value
+ */
+function check(schema, input, field, errors, options, coerceValue = false) {
+  if (!schema || schema === true) return input;
+  
+  const fail = message => errors.push({ field: field || null, message });
+  
+  let types = schema.type === undefined ? null : [].concat(schema.type);
+  if (types && schema.nullable) types = [...types, 'null'];
+  
+  const value = types && coerceValue ? coerce(types, input) : input;
+  
+  if (types && !types.some(type => hasType(type, value))) {
+    fail(`must be ${describeTypes(types)}`);
+    return value;
+  }
+  if (value === null) return value;
+  
+  if (schema.enum && !schema.enum.some(allowed => JSON.stringify(allowed) === JSON.stringify(value))) {
+    fail(`must be one of: ${schema.enum.map(allowed => (allowed === null ? 'null' : allowed)).join(', ')}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+  
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    
+    return schema.items
+      ? value.map((item, index) => check(schema.items, item, `${field}[${index}]`, errors, options))
+      : value;
+  }
+  
+  if (hasType('object', value) && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    // partial, exempt and form coercion only apply to the body's own columns
+    const isRoot = field === '';
+    const properties = schema.properties || {};
+    const childField = name => (isRoot ? name : `${field}.${name}`);
+    const result = {};
+    
+    if (!(isRoot && options.partial)) {
+      for (const name of schema.required || []) {
+        if (value[name] === undefined && !(isRoot && options.exempt.includes(name))) {
+          errors.push({ field: childField(name), message: 'is required' });
+        }
+      }
+    }
+    
+    for (const [name, item] of Object.entries(value)) {
+      if (properties[name]) {
+        result[name] = check(properties[name], item, childField(name), errors, options, isRoot && options.coerce);
+      } else if (schema.additionalProperties === false) {
+        if (options.unknownFields !== 'strip') {
+          errors.push({ field: childField(name), message: 'is not allowed' });
+        }
+      } else {
+        result[name] = check(schema.additionalProperties, item, childField(name), errors, options);
+      }
+    }
+    return result;
+  }
+  
+  return value;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {any} value - Value to validate
+ * @param {Object} options - Options
+ * @param {boolean} options.coerce - Convert form-encoded strings of the top-level properties
+ * @param {boolean} options.partial - Skip the top-level `required` check (partial updates)
+ * @param {Array<string>} options.exempt - Top-level properties that count as present
+ * @param {string} options.unknownFields - 'reject' or 'strip' properties that
+ *   `additionalProperties: false` doesn't allow
+ * @returns {Object} Validated value and errors (empty if the value is valid)
+ */
+function validateSchema(schema, value, options = {}) {
+  const errors = [];
+  const result = check(schema, value, '', errors, {
+    coerce: Boolean(options.coerce),
+    partial: Boolean(options.partial),
+    exempt: options.exempt || [],
+    unknownFields: options.unknownFields || 'reject'
+  });
+  return { value: result, errors };
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,386 @@
+// /src/utils/openapi-builder.js
+const { version } = require('../package.json');
+const { COUNT_MODES } = require('./pagination');
+
+/**
+ * Builds the OpenAPI 3 document of the API from the introspected schema
+ * (see core/schema-introspector), the view definitions and the fixed auth
+ * routes. Only what the caller may use is described.
+ */
+ 
+// Parameters shared by the list endpoints
+const PARAMETERS = {
+  select: {
+    name: 'select', in: 'query', schema: { type: 'string' },
+    description: 'Columns and embedded resources to return, e.g. `id,title,owner:users(name)`'
+  },
+  order: {
+    name: 'order', in: 'query', schema: { type: 'string' },
+    description: 'Sort keys, e.g. `priority.desc.nullslast,created_at`'
+  },
+  page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 } },
+  pageSize: { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1 } },
+  cursor: {
+    name: 'cursor', in: 'query', schema: { type: 'string' },
+    description: 'Keyset pagination: empty for the first page, then the `nextCursor` of the previous page'
+  },
+  count: { name: 'count', in: 'query', schema: { type: 'string', enum: COUNT_MODES } },
+  filter: {
+    name: 'filter', in: 'query', schema: { type: 'string' },
+    description: 'Filter tree as JSON: `{"logic":"AND","filters":[{"field":"status","operator":"=","value":"done"}]}`'
+  },
+  aggregate: {
+    name: 'aggregate', in: 'query', schema: { type: 'string' },
+    description: 'Aggregates to return instead of records, e.g. `count(),total:sum(amount),count_distinct(owner_id)`'
+  },
+  groupBy: {
+    name: 'groupBy', in: 'query', schema: { type: 'string' },
+    description: 'Columns or date buckets to aggregate by, e.g. `status,week(created_at)`'
+  },
+  dryRun: {
+    name: 'dryRun', in: 'query', schema: { type: 'boolean' },
+    description: 'Only count the matching records'
+  },
+  upsert: { name: 'upsert', in: 'query', schema: { type: 'boolean' } },
+  onConflict: {
+    name: 'onConflict', in: 'query', schema: { type: 'string' },
+    description: 'Comma-separated columns that identify a conflicting row (requires upsert)'
+  },
+  ignoreDuplicates: { name: 'ignoreDuplicates', in: 'query', schema: { type: 'boolean' } },
+  ifMatch: { name: 'If-Match', in: 'header', schema: { type: 'string' } },
+  ifNoneMatch: { name: 'If-None-Match', in: 'header', schema: { type: 'string' } }
+};
+
+const LIST_PARAMETERS = ['select', 'order', 'page', 'pageSize', 'cursor', 'count', 'filter', 'aggregate', 'groupBy'];
+
+// Auth routes: method, path, summary, required body fields, optional body fields, public
+const AUTH_ROUTES = [
+  ['post', '/api/auth/login', 'Sign in with email and password', ['email', 'password'], [], true],
+  ['post', '/api/auth/register', 'Create an account', ['email', 'password'], ['data', 'redirectTo'], true],
+  ['post', '/api/auth/logout', 'Sign out', [], ['scope'], false],
+  ['post', '/api/auth/refresh', 'Exchange a refresh token for a new session', ['refresh_token'], [], true],
+  ['get', '/api/auth/me', 'Get the signed-in user', null, null, false],
+  ['post', '/api/auth/recover', 'Send a password recovery email', ['email'], ['redirectTo'], true],
+  ['post', '/api/auth/update-password', 'Change the password', ['password', 'refresh_token'], [], false],
+  ['post', '/api/auth/otp', 'Send a one-time password', [], ['email', 'phone', 'redirectTo', 'shouldCreateUser'], true],
+  ['post', '/api/auth/verify', 'Verify a one-time password', ['token'], ['email', 'phone', 'type'], true],
+  ['get', '/api/auth/oauth/{provider}', 'Start an OAuth sign-in', null, null, true],
+  ['get', '/api/auth/callback', 'Complete an OAuth sign-in', null, null, true]
+];
+
+/**
+ * Reference a shared component
+ * @param {string} kind - Component kind: schemas, parameters or responses
+ * @param {string} name - Component name
+ * @returns {Object} Reference object
+ */
+function ref(kind, name) {
+  return { $ref: `#/components/${kind}/${name}` };
+}
+
+/**
+ * Build a JSON response
+ * @param {string} description - Response description
+ * @param {Object} schema - Response body schema
+ * @returns {Object} Response object
+ */
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Build the schema of a column
+ * @param {Object} column - Column from the introspected schema
+ * @returns {Object} Schema object
+ */
+function columnSchema(column) {
+  return {
+    ...(column.type ? { type: column.type } : {}),
+    ...(column.format ? { format: column.format } : {}),
+    ...(column.items ? { items: column.items } : {}),
+    ...(column.enum ? { enum: column.enum } : {}),
+    ...(column.maxLength ? { maxLength: column.maxLength } : {}),
+    ...(column.nullable ? { nullable: true } : {}),
+    ...(column.description ? { description: column.description } : {})
+  };
+}
+
+/**
+ * Build the record and input schemas of a table
+ * @param {Object} table - Table from the introspected schema
+ * @returns {Object} Schemas by component name
+ */
+function tableSchemas(table) {
+  const record = {
+    type: 'object',
+    properties: Object.fromEntries(table.columns.map(column => [column.name, columnSchema(column)]))
+  };
+  
+  const writable = table.columns.filter(column => column.writable);
+  const input = {
+    type: 'object',
+    properties: Object.fromEntries(writable.map(column => [column.name, columnSchema(column)]))
+  };
+  
+  // Columns without a default must be given on create
+  const required = writable.filter(column => !column.nullable && column.default === null).map(column => column.name);
+  if (required.length > 0) input.required = required;
+  
+  return { [table.name]: record, [`${table.name}Input`]: input };
+}
+
+/**
+ * Build the paths of a table's collection and record routes
+ * @param {Object} table - Table from the introspected schema
+ * @param {Array<Object>} keyColumns - Key columns of the table (see core/table-keys)
+ * @returns {Object} Path items by path
+ */
+function tablePaths(table, keyColumns) {
+  const can = operation => table.operations.includes(operation);
+  const record = ref('schemas', table.name);
+  const input = ref('schemas', `${table.name}Input`);
+  const tags = [table.name];
+  
+  const filterParameters = table.columns.map(column => ({
+    name: column.name,
+    in: 'query',
+    schema: { type: 'string' },
+    description: `Filter on ${column.name}, e.g. \`eq.value\`, \`in.(a,b)\` or \`is.null\``
+  }));
+  const filtered = [...filterParameters, ref('parameters', 'filter')];
+  const keyParameter = {
+    name: 'key',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+    description: `${keyColumns.map(({ column, type }) => `${column} (${type})`).join(', ')}, comma-separated and percent-encoded`
+  };
+  
+  const collection = {};
+  const item = {};
+  
+  if (can('read')) {
+    collection.get = {
+      tags,
+      summary: `List ${table.name}`,
+      parameters: [...LIST_PARAMETERS.map(name => ref('parameters', name)), ...filterParameters],
+      responses: {
+        200: jsonResponse('Records', {
+          allOf: [ref('schemas', 'Page'), { type: 'object', properties: { data: { type: 'array', items: record } } }]
+        })
+      }
+    };
+    item.get = {
+      tags,
+      summary: `Get one ${table.name} record`,
+      parameters: [keyParameter, ref('parameters', 'select'), ref('parameters', 'ifNoneMatch')],
+      responses: {
+        200: jsonResponse('Record', { type: 'object', properties: { data: record } }),
+        304: { description: 'Not modified' },
+        404: ref('responses', 'Error')
+      }
+    };
+  }
+  
+  if (can('create')) {
+    collection.post = {
+      tags,
+      summary: `Create ${table.name} records`,
+      parameters: ['upsert', 'onConflict', 'ignoreDuplicates'].map(name => ref('parameters', name)),
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: { oneOf: [input, { type: 'array', items: input }] } } }
+      },
+      responses: {
+        200: jsonResponse('Upserted records', { type: 'object', properties: { data: { type: 'array', items: record } } }),
+        201: jsonResponse('Created records', { type: 'object', properties: { data: { type: 'array', items: record } } }),
+        400: ref('responses', 'Error')
+      }
+    };
+  }
+  
+  if (can('update')) {
+    collection.patch = {
+      tags,
+      summary: `Update the ${table.name} records matching the filters`,
+      parameters: [...filtered, ref('parameters', 'dryRun')],
+      requestBody: { required: true, content: { 'application/json': { schema: input } } },
+      responses: {
+        200: jsonResponse('Updated records', { type: 'object', properties: { data: { type: 'array', items: record } } }),
+        400: ref('responses', 'Error')
+      }
+    };
+    for (const method of ['put', 'patch']) {
+      item[method] = {
+        tags,
+        summary: method === 'put' ? `Replace a ${table.name} record` : `Update some columns of a ${table.name} record`,
+        parameters: [keyParameter, ref('parameters', 'ifMatch')],
+        requestBody: { required: true, content: { 'application/json': { schema: input } } },
+        responses: {
+          200: jsonResponse('Updated record', { type: 'object', properties: { data: record } }),
+          404: ref('responses', 'Error'),
+          412: ref('responses', 'Error')
+        }
+      };
+    }
+  }
+  
+  if (can('delete')) {
+    collection.delete = {
+      tags,
+      summary: `Delete the ${table.name} records matching the filters`,
+      parameters: [...filtered, ref('parameters', 'dryRun')],
+      responses: {
+        200: jsonResponse('Deleted records', { type: 'object', properties: { data: { type: 'array', items: record } } }),
+        400: ref('responses', 'Error')
+      }
+    };
+    item.delete = {
+      tags,
+      summary: `Delete a ${table.name} record`,
+      parameters: [keyParameter, ref('parameters', 'ifMatch')],
+      responses: {
+        200: jsonResponse('Deleted record', { type: 'object', properties: { data: record } }),
+        404: ref('responses', 'Error'),
+        412: ref('responses', 'Error')
+      }
+    };
+  }
+  
+  return {
+    [`/api/data/${table.name}`]: collection,
+    [`/api/data/${table.name}/{key}`]: item
+  };
+}
+
+/**
+ * Build the path of a view
+ * @param {Object} view - View definition
+ * @returns {Object} Path items by path
+ */
+function viewPaths(view) {
+  const filterParameters = (view.allowed_filters || []).map(entry => {
+    const field = typeof entry === 'string' ? entry : entry.field;
+    const operators = typeof entry === 'string' || !entry.operators ? '' : ` (${entry.operators.join(', ')})`;
+    return { name: field, in: 'query', schema: { type: 'string' }, description: `Filter on ${field}${operators}` };
+  });
+  
+  return {
+    [`/api/view/${view.id}`]: {
+      get: {
+        tags: ['views'],
+        summary: view.name || view.id,
+        ...(view.description ? { description: view.description } : {}),
+        parameters: [
+          ...['order', 'page', 'pageSize', 'cursor', 'count', 'filter'].map(name => ref('parameters', name)),
+          ...filterParameters
+        ],
+        responses: {
+          200: jsonResponse('Rows', {
+            allOf: [ref('schemas', 'Page'), { type: 'object', properties: { data: { type: 'array', items: { type: 'object' } } } }]
+          }),
+          403: ref('responses', 'Error')
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Build the paths of the auth routes
+ * @returns {Object} Path items by path
+ */
+function authPaths() {
+  const paths = {};
+  
+  for (const [method, path, summary, required, optional, isPublic] of AUTH_ROUTES) {
+    const operation = { tags: ['auth'], summary, responses: { 200: { description: 'OK' }, 401: ref('responses', 'Error') } };
+    
+    if (isPublic) operation.security = [];
+    if (path.includes('{provider}')) {
+      operation.parameters = [{ name: 'provider', in: 'path', required: true, schema: { type: 'string' } }];
+    }
+    if (required) {
+      const properties = Object.fromEntries([...required, ...optional].map(name => [name, {}]));
+      operation.requestBody = {
+        required: required.length > 0,
+        content: {
+          'application/json': {
+            schema: { type: 'object', properties, ...(required.length > 0 ? { required } : {}) }
+          }
+        }
+      };
+    }
+    
+    paths[path] = { ...paths[path], [method]: operation };
+  }
+  
+  return paths;
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} input - Document contents
+ * @param {Array<Object>} input.tables - Tables the caller can use (see core/schema-introspector)
+ * @param {Array<Object>} input.views - View definitions
+ * @param {Function} input.keyColumns - Gets the key columns of a table
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenApi({ tables, views, keyColumns }) {
+  const paths = { ...authPaths() };
+  const schemas = {
+    Page: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer', nullable: true },
+        pageSize: { type: 'integer', nullable: true },
+        page: { type: 'integer', nullable: true },
+        nextCursor: { type: 'string', nullable: true }
+      }
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        error: { type: 'boolean' },
+        message: { type: 'string' },
+        context: { type: 'string' },
+        details: {},
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    }
+  };
+  
+  for (const table of tables) {
+    Object.assign(schemas, tableSchemas(table));
+    for (const [path, item] of Object.entries(tablePaths(table, keyColumns(table.name)))) {
+      if (Object.keys(item).length > 0) paths[path] = item;
+    }
+  }
+  
+  for (const view of views) {
+    Object.assign(paths, viewPaths(view));
+  }
+  
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Supabase-JS API', version },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }],
+    tags: [
+      { name: 'auth' },
+      { name: 'views' },
+      ...tables.map(table => ({ name: table.name, ...(table.description ? { description: table.description } : {}) }))
+    ],
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+      parameters: PARAMETERS,
+      responses: { Error: jsonResponse('Error', ref('schemas', 'Error')) },
+      schemas
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApi
+};
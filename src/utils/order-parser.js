@@ -0,0 +1,178 @@
+// /src/utils/order-parser.js
+const { AppError } = require('./error-handler');
+const { parseSelect } = require('./select-parser');
+
+/**
+ * Parses the `order` query parameter into sort keys:
+ *
+ *   priority.desc.nullslast,created_at   several columns, direction and null placement
+ *   owner.name.desc                      sort the rows of the embedded `owner` resource
+ *   owner(name).desc                     sort the rows by a to-one related column
+ *
+ * A sort key is `{ path, related, column, ascending, nullsFirst }`; `path` is
+ * the embedded resource to sort inside (null for the table itself) and
+ * `nullsFirst` is undefined when the database default applies.
+ */
+ 
+const IDENTIFIER = '[A-Za-z_][A-Za-z0-9_]*';
+const COLUMN = `${IDENTIFIER}(?:->>?(?:${IDENTIFIER}|\\d+))*`;
+const FIELD_PATTERN = new RegExp(`^(?:(${IDENTIFIER}(?:\\.${IDENTIFIER})*)\\.)?(${COLUMN})$`);
+const RELATED_PATTERN = new RegExp(`^(${IDENTIFIER})\\((${COLUMN})\\)$`);
+
+const DIRECTIONS = { asc: true, desc: false };
+const NULLS = { nullsfirst: true, nullslast: false };
+
+/**
+ * Build a 400 error that points at the offending sort key
+ * @param {string} message - What is wrong
+ * @param {string} token - Offending sort key
+ * @returns {AppError} Error to throw
+ */
+function orderError(message, token) {
+  return new AppError(`Invalid order: ${message} at "${token}"`, 400, 'Order Parser');
+}
+
+/**
+ * Parse an order parameter into sort keys
+ * @param {string} text - Order parameter, e.g. `priority.desc.nullslast,created_at`
+ * @returns {Array<Object>} Sort keys
+ */
+function parseOrder(text) {
+  return String(text).split(',').map(rawItem => {
+    const item = rawItem.trim();
+    const segments = item.split('.');
+    
+    let nullsFirst;
+    if (segments.length > 1 && NULLS[segments[segments.length - 1]] !== undefined) {
+      nullsFirst = NULLS[segments.pop()];
+    }
+    
+    let ascending = true;
+    if (segments.length > 1 && DIRECTIONS[segments[segments.length - 1]] !== undefined) {
+      ascending = DIRECTIONS[segments.pop()];
+    }
+    
+    const field = segments.join('.');
+    
+    const related = field.match(RELATED_PATTERN);
+    if (related) {
+      return { path: null, related: related[1], column: related[2], ascending, nullsFirst };
+    }
+    
+    const match = field.match(FIELD_PATTERN);
+    if (!match) throw orderError('invalid column', item);
+    
+    return { path: match[1] || null, related: null, column: match[2], ascending, nullsFirst };
+  });
+}
+
+/**
+ * Read the sort keys of a list request: `order`, or the single-column
+ * `orderBy`/`ascending` pair
+ * @param {Object} query - Query parameters
+ * @returns {Array<Object>} Sort keys
+ */
+function orderFromQuery(query) {
+  if (query.order && query.orderBy) {
+    throw new AppError('Use either order or orderBy, not both', 400, 'Order Parser');
+  }
+  if (query.order) {
+    return parseOrder(query.order);
+  }
+  if (query.orderBy) {
+    return parseOrder(`${query.orderBy}.${query.ascending === 'false' ? 'desc' : 'asc'}`);
+  }
+  return [];
+}
+
+/**
+ * Read the sort keys of repository options: `order`, or `orderBy`/`ascending`
+ * @param {Object} options - Repository options
+ * @returns {Array<Object>} Sort keys
+ */
+function orderFromOptions(options = {}) {
+  if (options.order) return options.order;
+  if (options.orderBy) {
+    return [{ path: null, related: null, column: options.orderBy, ascending: options.ascending !== false }];
+  }
+  return [];
+}
+
+/**
+ * Find the table an embed reads: as in PostgREST, it names either a table
+ * or a foreign key column of the table it is embedded in
+ * @param {Map<string, Object>} tables - Tables by name (see schema-introspector)
+ * @param {Object|undefined} table - Table the embed is in
+ * @param {string} name - Embed name
+ * @returns {Object|undefined} Table, undefined if it can't be resolved
+ */
+function embeddedTable(tables, table, name) {
+  if (tables.has(name)) return tables.get(name);
+
+  const relation = table && table.relations.find(({ type, column }) => type === 'many-to-one' && column === name);
+  return relation && tables.get(relation.table);
+}
+
+/**
+ * Check that every embedded resource a sort key refers to is part of the
+ * select and, given the schema, that the sorted column exists. Columns of
+ * embeds that can't be resolved to a table (e.g. by constraint name) are
+ * left to PostgREST.
+ * @param {Array<Object>} order - Sort keys
+ * @param {string|Array} columns - Select string
+ * @param {string} [tableName] - Table the select reads
+ * @param {Array<Object>} [tables] - Tables from schema-introspector
+ */
+function validateOrder(order, columns, tableName, tables) {
+  const nodes = parseSelect(Array.isArray(columns) ? columns.join(',') : columns);
+  const byName = new Map((tables || []).map(table => [table.name, table]));
+  
+  for (const key of order) {
+    const names = key.related ? [key.related] : key.path ? key.path.split('.') : [];
+    const token = key.related ? `${key.related}(${key.column})` : [key.path, key.column].filter(Boolean).join('.');
+    let children = nodes;
+    let table = byName.get(tableName);
+    
+    for (const name of names) {
+      const embed = children.find(node => node.type === 'embed' && (node.alias || node.name) === name);
+      if (!embed) {
+        throw orderError(`${name} is not embedded in select`, token);
+      }
+      children = embed.children;
+      table = embeddedTable(byName, table, embed.name);
+    }
+
+    const column = key.column.split('->')[0];
+    if (table && !table.columns.some(({ name }) => name === column)) {
+      throw orderError(`${column} is not a column of ${table.name}`, token);
+    }
+  }
+}
+
+/**
+ * Apply sort keys to a query
+ * @param {Object} query - Supabase query
+ * @param {Array<Object>} order - Sort keys
+ * @returns {Object} Query
+ */
+function applyOrder(query, order) {
+  let result = query;
+  
+  for (const key of order) {
+    const column = key.related ? `${key.related}(${key.column})` : key.column;
+    result = result.order(column, {
+      ascending: key.ascending !== false,
+      ...(key.nullsFirst !== undefined ? { nullsFirst: key.nullsFirst } : {}),
+      ...(key.path ? { referencedTable: key.path } : {})
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  parseOrder,
+  orderFromQuery,
+  orderFromOptions,
+  validateOrder,
+  applyOrder
+};
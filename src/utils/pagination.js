@@ -0,0 +1,294 @@
+// /src/utils/pagination.js
+const url = require('url');
+const { AppError } = require('./error-handler');
+const { applyFilter } = require('./filter-parser');
+
+/**
+ * Pagination for list endpoints. Two modes are supported:
+ *
+ *   ?page=3&pageSize=25          offset paging
+ *   ?cursor&pageSize=25          keyset paging, first page
+ *   ?cursor=<opaque>&pageSize=25 keyset paging, following pages
+ *
+ * Either mode takes `count=exact|planned|estimated` to report a total.
+ */
+ 
+const COUNT_MODES = ['exact', 'planned', 'estimated'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE, 10) || 1000;
+
+/**
+ * Parse a positive integer query parameter
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name, for error messages
+ * @returns {number|undefined} Parsed value, undefined if absent
+ */
+function parsePositiveInt(value, name) {
+  if (value === undefined || value === '') return undefined;
+  
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new AppError(`${name} must be a positive integer`, 400, 'Pagination');
+  }
+  return number;
+}
+
+/**
+ * Parse the pagination parameters of a list request
+ * @param {Object} query - Query parameters
+ * @returns {Object} page, pageSize, count, cursor (true in keyset mode) and
+ *   after (the decoded cursor, null on the first page)
+ */
+function parsePagination(query) {
+  const count = query.count || undefined;
+  if (count !== undefined && !COUNT_MODES.includes(count)) {
+    throw new AppError(`count must be one of: ${COUNT_MODES.join(', ')}`, 400, 'Pagination');
+  }
+  
+  let page = parsePositiveInt(query.page, 'page');
+  let pageSize = parsePositiveInt(query.pageSize, 'pageSize');
+  
+  if (pageSize > MAX_PAGE_SIZE) {
+    throw new AppError(`pageSize cannot be larger than ${MAX_PAGE_SIZE}`, 400, 'Pagination');
+  }
+  
+  if (query.cursor !== undefined) {
+    if (page !== undefined) {
+      throw new AppError('page cannot be combined with cursor', 400, 'Pagination');
+    }
+    return {
+      count,
+      cursor: true,
+      after: query.cursor ? decodeCursor(query.cursor) : null,
+      pageSize: pageSize || DEFAULT_PAGE_SIZE
+    };
+  }
+  
+  if (page !== undefined || pageSize !== undefined) {
+    page = page || 1;
+    pageSize = pageSize || DEFAULT_PAGE_SIZE;
+  }
+  
+  return { count, cursor: false, page, pageSize };
+}
+
+/**
+ * Build the keyset sort keys for a list request. The table's key columns
+ * are appended so rows with equal sort values are neither skipped nor repeated.
+ * Cursors can't hold nulls (see encodeCursor), so nullsfirst/nullslast are refused.
+ * @param {Array<Object>} sort - Sort keys on the base table (see utils/order-parser)
+ * @param {Array<string>} keyColumns - Primary key columns of the table
+ * @returns {Array<Object>} Sort keys ending with the key columns
+ */
+function cursorKeys(sort, keyColumns) {
+  const unsupported = sort.find(key => key.related || key.column.includes('->'));
+  if (unsupported) {
+    const name = unsupported.related ? `${unsupported.related}(${unsupported.column})` : unsupported.column;
+    throw new AppError(
+      `Cursor pagination can only sort on plain columns of the table, not ${name}`,
+      400,
+      'Pagination'
+    );
+  }
+  
+  const placed = sort.find(key => key.nullsFirst !== undefined);
+  if (placed) {
+    throw new AppError(
+      `Cursor pagination cannot use nullsfirst or nullslast, at ${placed.column}`,
+      400,
+      'Pagination'
+    );
+  }
+  
+  const keys = sort.map(({ column, ascending }) => ({ column, ascending: ascending !== false }));
+  
+  for (const column of keyColumns) {
+    if (!keys.some(key => key.column === column)) {
+      keys.push({ column, ascending: true });
+    }
+  }
+  return keys;
+}
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {Array<Object>} keys - Sort keys
+ * @param {Object} row - Last row of the page
+ * @returns {string} Cursor
+ */
+function encodeCursor(keys, row) {
+  const values = keys.map(({ column }) => {
+    if (row[column] === undefined) {
+      throw new AppError(`Cursor pagination needs ${column} in select`, 400, 'Pagination');
+    }
+    if (row[column] === null) {
+      throw new AppError(`Cursor pagination cannot sort on ${column} because it contains nulls`, 400, 'Pagination');
+    }
+    return row[column];
+  });
+  
+  const payload = { k: keys.map(({ column, ascending }) => [column, ascending]), v: values };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor
+ * @returns {Object} Sort keys and values of the last row seen
+ */
+function decodeCursor(cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    payload = null;
+  }
+  
+  if (!payload || !Array.isArray(payload.k) || !Array.isArray(payload.v) || payload.k.length !== payload.v.length) {
+    throw new AppError('Invalid cursor', 400, 'Pagination');
+  }
+  
+  return {
+    keys: payload.k.map(([column, ascending]) => ({ column, ascending })),
+    values: payload.v
+  };
+}
+
+/**
+ * Restrict a query to the rows after a cursor:
+ * `a > x OR (a = x AND b > y) OR ...` for sort keys a, b, ...
+ * @param {Object} query - Supabase query
+ * @param {Array<Object>} keys - Sort keys of the request
+ * @param {Object|null} after - Decoded cursor, null on the first page
+ * @returns {Object} Query
+ */
+function applyKeyset(query, keys, after) {
+  if (!after) return query;
+  
+  const sameOrder = after.keys.length === keys.length && after.keys.every((key, i) =>
+    key.column === keys[i].column && key.ascending === keys[i].ascending
+  );
+  if (!sameOrder) {
+    throw new AppError('Cursor does not match the requested order', 400, 'Pagination');
+  }
+  
+  const filters = keys.map((key, i) => ({
+    logic: 'AND',
+    filters: [
+      ...keys.slice(0, i).map((previous, j) => ({ field: previous.column, operator: '=', value: after.values[j] })),
+      { field: key.column, operator: key.ascending ? '>' : '<', value: after.values[i] }
+    ]
+  }));
+  
+  return applyFilter(query, { logic: 'OR', filters });
+}
+
+/**
+ * Cut a keyset page fetched with one extra row and work out the next cursor
+ * @param {Array<Object>} rows - Rows fetched (up to pageSize + 1)
+ * @param {Array<Object>} keys - Sort keys
+ * @param {number} pageSize - Page size
+ * @returns {Object} Rows of the page and the next cursor (null on the last page)
+ */
+function takePage(rows, keys, pageSize) {
+  const data = rows.slice(0, pageSize);
+  const hasMore = rows.length > pageSize;
+  
+  return {
+    data,
+    nextCursor: hasMore ? encodeCursor(keys, data[data.length - 1]) : null
+  };
+}
+
+/**
+ * Build the response envelope of a list endpoint
+ * @param {Object} result - Repository result (data, count, nextCursor)
+ * @param {Object} pagination - Parsed pagination
+ * @returns {Object} Response body
+ */
+function buildEnvelope(result, pagination) {
+  const body = {
+    data: result.data,
+    total: result.count === undefined ? null : result.count,
+    pageSize: pagination.pageSize || null
+  };
+  
+  if (pagination.cursor) {
+    body.nextCursor = result.nextCursor || null;
+  } else {
+    body.page = pagination.page || null;
+  }
+  return body;
+}
+
+/**
+ * Build a link to the current endpoint with some parameters replaced
+ * @param {Object} req - HTTP request
+ * @param {Object} query - Query parameters of the request
+ * @param {Object} changes - Parameters to set
+ * @returns {string} Relative URL
+ */
+function pageLink(req, query, changes) {
+  const params = new URLSearchParams();
+  
+  for (const [key, value] of Object.entries({ ...query, ...changes })) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      params.append(key, item);
+    }
+  }
+  return `${url.parse(req.url).pathname}?${params}`;
+}
+
+/**
+ * Set Content-Range and Link headers for a list response
+ * @param {Object} res - HTTP response
+ * @param {Object} req - HTTP request
+ * @param {Object} query - Query parameters of the request
+ * @param {Object} body - Envelope from buildEnvelope
+ * @param {Object} pagination - Parsed pagination
+ */
+function setPaginationHeaders(res, req, query, body, pagination) {
+  const { data, total, pageSize } = body;
+  const offset = pagination.page ? (pagination.page - 1) * pageSize : 0;
+  const totalText = total === null ? '*' : total;
+  
+  // Keyset pages don't know their offset, so only the total is reported
+  const range = data.length > 0 && !pagination.cursor ? `${offset}-${offset + data.length - 1}` : '*';
+  res.setHeader('Content-Range', `${range}/${totalText}`);
+  
+  const links = [];
+  
+  if (pagination.cursor) {
+    if (body.nextCursor) {
+      links.push(`<${pageLink(req, query, { cursor: body.nextCursor, pageSize })}>; rel="next"`);
+    }
+  } else if (pagination.page) {
+    const lastPage = total === null ? null : Math.max(1, Math.ceil(total / pageSize));
+    const hasNext = lastPage === null ? data.length === pageSize : pagination.page < lastPage;
+    
+    links.push(`<${pageLink(req, query, { page: 1, pageSize })}>; rel="first"`);
+    if (pagination.page > 1) {
+      links.push(`<${pageLink(req, query, { page: pagination.page - 1, pageSize })}>; rel="prev"`);
+    }
+    if (hasNext) {
+      links.push(`<${pageLink(req, query, { page: pagination.page + 1, pageSize })}>; rel="next"`);
+    }
+    if (lastPage !== null) {
+      links.push(`<${pageLink(req, query, { page: lastPage, pageSize })}>; rel="last"`);
+    }
+  }
+  
+  if (links.length > 0) {
+    res.setHeader('Link', links.join(', '));
+  }
+}
+
+module.exports = {
+  COUNT_MODES,
+  parsePagination,
+  cursorKeys,
+  applyKeyset,
+  takePage,
+  buildEnvelope,
+  setPaginationHeaders
+};
@@ -0,0 +1,367 @@
+// /src/utils/query-filter-parser.js
+const { AppError } = require('./error-handler');
+
+/**
+ * Parses the compact query-string filter syntax into the filter tree
+ * consumed by applyFilter:
+ *
+ *   age=gte.18                     operator prefix (PostgREST style)
+ *   price[gt]=10                   bracket style
+ *   status=in.(active,"on hold")   lists, with quoted values
+ *   name=not.ilike.*smith*         negation
+ *   or=(age.lt.18,and(role.eq.admin,active.is.true))
+ *   status=active                  no operator means equality
+ */
+ 
+// Operator tokens and the filter-parser operator each one maps to
+const OPERATOR_TOKENS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE',
+  in: 'IN',
+  is: 'IS',
+  between: 'BETWEEN',
+  cs: 'CONTAINS',
+  cd: 'CONTAINED BY',
+  ov: 'OVERLAPS',
+  match: '~',
+  imatch: '~*',
+  fts: 'FTS',
+  plfts: 'PLFTS',
+  phfts: 'PHFTS',
+  wfts: 'WFTS'
+};
+
+// Negated operators that have a direct equivalent; others become a NOT group
+const NEGATED_OPERATORS = {
+  eq: '<>',
+  neq: '=',
+  in: 'NOT IN',
+  is: 'IS NOT'
+};
+
+const LOGIC_KEYS = {
+  'and': { logic: 'AND' },
+  'or': { logic: 'OR' },
+  'not.and': { logic: 'NOT', inner: 'AND' },
+  'not.or': { logic: 'NOT', inner: 'OR' }
+};
+
+const FIELD_PATTERN = /^[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*(?:->>?(?:[A-Za-z_]\w*|\d+))*$/;
+const OPERATOR_PATTERN = /^([a-z]+)(?:\(([A-Za-z_]\w*)\))?$/;
+const BRACKET_KEY_PATTERN = /^(.+)\[([a-z.]+(?:\([A-Za-z_]\w*\))?)\]$/;
+
+/**
+ * Build a 400 error that points at the offending token
+ * @param {string} message - What is wrong
+ * @param {string} param - Query parameter the token came from
+ * @param {string} token - Offending token
+ * @returns {AppError} Error to throw
+ */
+function filterError(message, param, token) {
+  return new AppError(`Invalid filter in "${param}": ${message} at "${token}"`, 400, 'Query Filter Parser');
+}
+
+/**
+ * Coerce a raw value: true/false/null and canonical numbers become typed
+ * values, double-quoted values are always strings
+ * @param {string} raw - Raw value
+ * @returns {any} Coerced value
+ */
+function coerceValue(raw) {
+  if (raw.length >= 2 && raw.startsWith('"') && raw.endsWith('"')) {
+    return raw.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (raw === 'null') return null;
+  if (raw !== '' && String(Number(raw)) === raw) return Number(raw);
+  return raw;
+}
+
+/**
+ * Split text on commas that are not inside quotes, parentheses or braces
+ * @param {string} text - Text to split
+ * @param {string} param - Query parameter, for error messages
+ * @returns {Array<string>} Parts
+ */
+function splitTopLevel(text, param) {
+  const parts = [];
+  let depth = 0;
+  let inQuotes = false;
+  let current = '';
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      current += char;
+      if (char === '\\' && i + 1 < text.length) {
+        current += text[++i];
+      } else if (char === '"') {
+        inQuotes = false;
+      }
+      continue;
+    }
+    
+    if (char === '"') inQuotes = true;
+    if (char === '(' || char === '{') depth++;
+    if (char === ')' || char === '}') depth--;
+    
+    if (depth < 0) {
+      throw filterError('unbalanced parentheses', param, text.slice(0, i + 1));
+    }
+    
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  
+  if (inQuotes) throw filterError('unterminated quote', param, text);
+  if (depth !== 0) throw filterError('unbalanced parentheses', param, text);
+  
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parse a list value such as `(a,b,"c,d")`
+ * @param {string} raw - Raw list, with or without parentheses
+ * @param {string} param - Query parameter, for error messages
+ * @returns {Array} Coerced values
+ */
+function parseList(raw, param) {
+  const inner = raw.startsWith('(') && raw.endsWith(')') ? raw.slice(1, -1) : raw;
+  if (inner === '') return [];
+  return splitTopLevel(inner, param).map(part => coerceValue(part.trim()));
+}
+
+/**
+ * Build a condition from an operator expression like `not.plfts(english)`
+ * and its raw value
+ * @param {string} field - Field name
+ * @param {string} operatorToken - Operator, optionally prefixed with `not.`
+ * @param {string} rawValue - Raw value
+ * @param {string} param - Query parameter, for error messages
+ * @returns {Object} Condition or NOT group
+ */
+function buildCondition(field, operatorToken, rawValue, param) {
+  if (!FIELD_PATTERN.test(field)) {
+    throw filterError('invalid field name', param, field);
+  }
+  
+  const negated = operatorToken.startsWith('not.');
+  const token = negated ? operatorToken.slice(4) : operatorToken;
+  const match = token.match(OPERATOR_PATTERN);
+  
+  if (!match || !OPERATOR_TOKENS[match[1]]) {
+    throw filterError('unknown operator', param, token);
+  }
+  
+  const [, name, language] = match;
+  if (language && !['fts', 'plfts', 'phfts', 'wfts'].includes(name)) {
+    throw filterError('only full-text operators take a language', param, token);
+  }
+  
+  let operator = OPERATOR_TOKENS[name];
+  let value;
+  
+  switch (name) {
+    case 'in':
+      if (!rawValue.startsWith('(') || !rawValue.endsWith(')')) {
+        throw filterError('list values must be wrapped in parentheses', param, rawValue);
+      }
+      value = parseList(rawValue, param);
+      break;
+    case 'between':
+      value = parseList(rawValue, param);
+      if (value.length !== 2) {
+        throw filterError('between takes exactly two values', param, rawValue);
+      }
+      break;
+    case 'cs':
+    case 'cd':
+    case 'ov':
+      // Keep array ({a,b}), range ([1,5)) and JSON literals as written
+      value = rawValue;
+      break;
+    case 'is':
+      value = coerceValue(rawValue);
+      if (value !== null && typeof value !== 'boolean') {
+        throw filterError('is only accepts null, true or false', param, rawValue);
+      }
+      if (value === null) {
+        operator = 'IS NULL';
+      }
+      break;
+    default:
+      value = coerceValue(rawValue);
+  }
+  
+  const condition = { field, operator, value };
+  if (language) condition.language = language;
+  
+  if (!negated) return condition;
+  
+  if (NEGATED_OPERATORS[name]) {
+    const negatedOperator = name === 'is' && value === null ? 'IS NOT NULL' : NEGATED_OPERATORS[name];
+    return { ...condition, operator: negatedOperator };
+  }
+  
+  return { logic: 'NOT', filters: [condition] };
+}
+
+/**
+ * Split `field.op.value` (as used inside logic trees) into its parts
+ * @param {string} text - Condition text
+ * @param {string} param - Query parameter, for error messages
+ * @returns {Array<string>} Field, operator and raw value
+ */
+function splitCondition(text, param) {
+  const segments = text.split('.');
+  
+  // The field ends at the first segment that is an operator (or `not`)
+  for (let i = 1; i < segments.length - 1; i++) {
+    const segment = segments[i];
+    const operatorName = (segment.match(OPERATOR_PATTERN) || [])[1];
+    
+    if (segment === 'not' || OPERATOR_TOKENS[operatorName]) {
+      const negated = segment === 'not';
+      const operatorEnd = negated ? i + 2 : i + 1;
+      
+      if (operatorEnd > segments.length - 1) break;
+      
+      return [
+        segments.slice(0, i).join('.'),
+        segments.slice(i, operatorEnd).join('.'),
+        segments.slice(operatorEnd).join('.')
+      ];
+    }
+  }
+  
+  if (segments.length >= 3) {
+    throw filterError('unknown operator', param, segments[segments.length - 2]);
+  }
+  throw filterError('expected field.operator.value', param, text);
+}
+
+/**
+ * Parse an item of a logic tree: a nested group or a condition
+ * @param {string} text - Item text
+ * @param {string} param - Query parameter, for error messages
+ * @returns {Object} Filter node
+ */
+function parseTreeItem(text, param) {
+  const item = text.trim();
+  const groupMatch = item.match(/^(not\.and|not\.or|and|or)(\(.*\))$/s);
+  
+  if (groupMatch) {
+    return parseGroup(groupMatch[1], groupMatch[2], param);
+  }
+  
+  const [field, operatorToken, rawValue] = splitCondition(item, param);
+  return buildCondition(field, operatorToken, rawValue, param);
+}
+
+/**
+ * Parse a logic group such as `or` with `(a.eq.1,b.eq.2)`
+ * @param {string} key - and, or, not.and or not.or
+ * @param {string} list - Parenthesized list of items
+ * @param {string} param - Query parameter, for error messages
+ * @returns {Object} Filter group
+ */
+function parseGroup(key, list, param) {
+  if (!list.startsWith('(') || !list.endsWith(')')) {
+    throw filterError('logic groups must be wrapped in parentheses', param, list);
+  }
+  
+  const items = splitTopLevel(list.slice(1, -1), param);
+  if (items.length === 1 && items[0].trim() === '') {
+    throw filterError('empty logic group', param, list);
+  }
+  
+  const filters = items.map(item => parseTreeItem(item, param));
+  const { logic, inner } = LOGIC_KEYS[key];
+  
+  if (logic === 'NOT') {
+    return { logic: 'NOT', filters: inner === 'OR' ? [{ logic: 'OR', filters }] : filters };
+  }
+  return { logic, filters };
+}
+
+/**
+ * Parse a single top-level query parameter value into filter nodes
+ * @param {string} key - Parameter name
+ * @param {string} rawValue - Parameter value
+ * @returns {Object} Filter node
+ */
+function parseParam(key, rawValue) {
+  const param = `${key}=${rawValue}`;
+  
+  if (LOGIC_KEYS[key]) {
+    return parseGroup(key, rawValue, param);
+  }
+  
+  // Bracket style: price[gt]=10, status[in]=a,b
+  const bracket = key.match(BRACKET_KEY_PATTERN);
+  if (bracket) {
+    const [, field, operatorToken] = bracket;
+    const isList = /^(not\.)?(in|between)$/.test(operatorToken);
+    const value = isList && !rawValue.startsWith('(') ? `(${rawValue})` : rawValue;
+    return buildCondition(field, operatorToken, value, param);
+  }
+  
+  // Operator prefix: age=gte.18, name=not.like.a*
+  const segments = rawValue.split('.');
+  const negated = segments[0] === 'not';
+  const operatorSegment = negated ? segments[1] : segments[0];
+  const operatorName = ((operatorSegment || '').match(OPERATOR_PATTERN) || [])[1];
+  const operatorEnd = negated ? 2 : 1;
+  
+  if (OPERATOR_TOKENS[operatorName] && segments.length > operatorEnd) {
+    return buildCondition(
+      key,
+      segments.slice(0, operatorEnd).join('.'),
+      segments.slice(operatorEnd).join('.'),
+      param
+    );
+  }
+  
+  // Anything else is plain equality, as before
+  if (!FIELD_PATTERN.test(key)) {
+    throw filterError('invalid field name', param, key);
+  }
+  return { field: key, operator: '=', value: rawValue };
+}
+
+/**
+ * Parse query parameters into a filter tree
+ * @param {Object} params - Query parameters (already stripped of
+ *   pagination, ordering and other non-filter params); repeated params
+ *   arrive as arrays
+ * @returns {Object|null} AND group of all conditions, or null if there are none
+ */
+function parseQueryFilters(params) {
+  const filters = [];
+  
+  for (const [key, value] of Object.entries(params)) {
+    const values = Array.isArray(value) ? value : [value];
+    for (const rawValue of values) {
+      filters.push(parseParam(key, String(rawValue)));
+    }
+  }
+  
+  return filters.length > 0 ? { logic: 'AND', filters } : null;
+}
+
+module.exports = {
+  parseQueryFilters
+};
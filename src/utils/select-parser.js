@@ -0,0 +1,152 @@
+// /src/utils/select-parser.js
+const { AppError } = require('./error-handler');
+
+/**
+ * Parses the `select` query parameter into a column tree and renders it
+ * back into a PostgREST select string:
+ *
+ *   id,name                       plain columns
+ *   title:name                    rename (alias:column)
+ *   price::text                   cast
+ *   metadata->>city               JSON path
+ *   owner:users(id,email)         embedded relation, renamed
+ *   users!tasks_owner_fkey(*)     embedded relation with a foreign key hint
+ *   tasks!inner(id)               inner embed: only rows with matches
+ *   tasks(count)                  count of related rows
+ */
+ 
+const IDENTIFIER = '[A-Za-z_][A-Za-z0-9_]*';
+const COLUMN_PATTERN = new RegExp(
+  `^(?:(${IDENTIFIER}):)?(${IDENTIFIER})((?:->>?(?:${IDENTIFIER}|\\d+))*)(?:::(${IDENTIFIER}))?$`
+);
+const EMBED_PATTERN = new RegExp(`^(?:(${IDENTIFIER}):)?(${IDENTIFIER})((?:!${IDENTIFIER})*)$`);
+
+const MAX_DEPTH = 5;
+
+/**
+ * Build a 400 error that points at the offending token
+ * @param {string} message - What is wrong
+ * @param {string} token - Offending token
+ * @returns {AppError} Error to throw
+ */
+function selectError(message, token) {
+  return new AppError(`Invalid select: ${message} at "${token}"`, 400, 'Select Parser');
+}
+
+/**
+ * Split a select list on commas outside parentheses
+ * @param {string} text - Select list
+ * @returns {Array<string>} Items
+ */
+function splitItems(text) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+  
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth < 0) throw selectError('unbalanced parentheses', text);
+    
+    if (char === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  
+  if (depth !== 0) throw selectError('unbalanced parentheses', text);
+  
+  items.push(current);
+  return items;
+}
+
+/**
+ * Parse a select list into a column tree
+ * @param {string} text - Select list, e.g. `id,owner:users(id,email)`
+ * @param {number} depth - Current embedding depth
+ * @returns {Array<Object>} Column tree nodes
+ */
+function parseSelect(text, depth = 0) {
+  if (depth > MAX_DEPTH) {
+    throw selectError(`relations can be nested at most ${MAX_DEPTH} levels deep`, text);
+  }
+  
+  const source = String(text).trim();
+  if (source === '') throw selectError('empty column list', text);
+  
+  return splitItems(source).map(rawItem => {
+    const item = rawItem.trim();
+    if (item === '') throw selectError('empty column name', source);
+    if (item === '*') return { type: 'star' };
+    
+    const open = item.indexOf('(');
+    if (open === -1) {
+      const match = item.match(COLUMN_PATTERN);
+      if (!match) throw selectError('invalid column', item);
+      
+      const [, alias, name, jsonPath, cast] = match;
+      return { type: 'column', alias, name, jsonPath: jsonPath || '', cast };
+    }
+    
+    if (!item.endsWith(')')) throw selectError('unexpected text after relation', item);
+    
+    const head = item.slice(0, open);
+    const match = head.match(EMBED_PATTERN);
+    if (!match) throw selectError('invalid relation', head);
+    
+    const [, alias, name, hintText] = match;
+    const hints = hintText ? hintText.slice(1).split('!') : [];
+    const inner = item.slice(open + 1, -1);
+    
+    // `tasks(count)` asks for the number of related rows
+    const children = inner === 'count'
+      ? [{ type: 'count' }]
+      : parseSelect(inner, depth + 1);
+      
+    return { type: 'embed', alias, name, hints, children };
+  });
+}
+
+/**
+ * Render a column tree back into a select string
+ * @param {Array<Object>} nodes - Column tree nodes
+ * @returns {string} Select string
+ */
+function renderSelect(nodes) {
+  return nodes.map(node => {
+    const alias = node.alias ? `${node.alias}:` : '';
+    
+    switch (node.type) {
+      case 'star':
+        return '*';
+      case 'count':
+        return 'count';
+      case 'column':
+        return `${alias}${node.name}${node.jsonPath || ''}${node.cast ? `::${node.cast}` : ''}`;
+      case 'embed': {
+        const hints = node.hints.map(hint => `!${hint}`).join('');
+        return `${alias}${node.name}${hints}(${renderSelect(node.children)})`;
+      }
+      default:
+        throw new AppError(`Unknown select node: ${node.type}`, 500, 'Select Parser');
+    }
+  }).join(',');
+}
+
+/**
+ * Validate and normalize a select parameter
+ * @param {string} text - Select parameter, or empty for all columns
+ * @returns {string} Normalized select string
+ */
+function normalizeSelect(text) {
+  if (text === undefined || text === null || text === '') return '*';
+  return renderSelect(parseSelect(text));
+}
+
+module.exports = {
+  parseSelect,
+  renderSelect,
+  normalizeSelect
+};
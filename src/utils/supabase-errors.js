@@ -0,0 +1,190 @@
+// /src/utils/supabase-errors.js
+const {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  UpstreamError
+} = require('./error-handler');
+
+// Status and API code of the Postgres SQLSTATEs and PostgREST PGRST codes
+// a client can cause or needs to tell apart
+const DATABASE_ERRORS = {
+  // Integrity constraints
+  23505: [409, 'UNIQUE_VIOLATION'],
+  23503: [422, 'FOREIGN_KEY_VIOLATION'],
+  23502: [422, 'NOT_NULL_VIOLATION'],
+  23514: [422, 'CHECK_VIOLATION'],
+  '23P01': [409, 'EXCLUSION_VIOLATION'],
+  // Bad values
+  '22P02': [400, 'INVALID_VALUE'],
+  22001: [422, 'VALUE_TOO_LONG'],
+  22003: [422, 'NUMERIC_OUT_OF_RANGE'],
+  22007: [400, 'INVALID_DATETIME'],
+  22008: [400, 'INVALID_DATETIME'],
+  // Access and missing objects
+  42501: [403, 'INSUFFICIENT_PRIVILEGE'],
+  42703: [400, 'UNDEFINED_COLUMN'],
+  '42P01': [404, 'UNDEFINED_TABLE'],
+  42883: [404, 'UNDEFINED_FUNCTION'],
+  // A function that writes, called read-only (GET)
+  25006: [405, 'READ_ONLY_TRANSACTION'],
+  // Concurrency and timeouts
+  40001: [409, 'SERIALIZATION_FAILURE'],
+  '40P01': [409, 'DEADLOCK_DETECTED'],
+  57014: [504, 'QUERY_CANCELED'],
+  // PostgREST
+  PGRST100: [400, 'INVALID_QUERY'],
+  PGRST103: [416, 'RANGE_NOT_SATISFIABLE'],
+  PGRST123: [400, 'AGGREGATES_DISABLED'],
+  PGRST116: [404, 'NOT_FOUND'],
+  PGRST200: [400, 'UNKNOWN_RELATIONSHIP'],
+  PGRST201: [400, 'AMBIGUOUS_RELATIONSHIP'],
+  PGRST202: [404, 'UNDEFINED_FUNCTION'],
+  PGRST203: [400, 'AMBIGUOUS_FUNCTION'],
+  PGRST204: [400, 'UNDEFINED_COLUMN'],
+  PGRST205: [404, 'UNDEFINED_TABLE'],
+  PGRST301: [401, 'INVALID_TOKEN'],
+  PGRST302: [401, 'UNAUTHORIZED']
+};
+
+// Supabase Auth error codes that mean the account already exists
+const AUTH_CONFLICTS = ['user_already_exists', 'email_exists', 'phone_exists', 'identity_already_exists'];
+
+// Typed error of each status; other statuses use AppError
+const ERROR_CLASSES = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError
+};
+
+/**
+ * Look up the status and API code of a database error code, falling back
+ * on its SQLSTATE class
+ * @param {string} code - SQLSTATE or PGRST code
+ * @returns {Array} Status and API code
+ */
+function classify(code) {
+  if (DATABASE_ERRORS[code]) return DATABASE_ERRORS[code];
+  
+  // Connection exceptions, and PostgREST failing to reach the database
+  if (/^08/.test(code) || /^PGRST00/.test(code)) return [502, 'DATABASE_UNAVAILABLE'];
+  // Insufficient resources, operator intervention
+  if (/^(53|57)/.test(code)) return [503, 'DATABASE_UNAVAILABLE'];
+  if (/^22/.test(code)) return [400, 'INVALID_VALUE'];
+  if (/^23/.test(code)) return [409, 'CONSTRAINT_VIOLATION'];
+  if (/^PGRST3/.test(code)) return [401, 'UNAUTHORIZED'];
+  return [400, 'DATABASE_ERROR'];
+}
+
+/**
+ * Turn an error returned by supabase-js into a typed AppError, keeping the
+ * database's code, detail and hint in `details`. Errors without a code
+ * come from the request itself failing (fetch errors) and are upstream errors.
+ * @param {Object} error - PostgrestError (message, code, details, hint)
+ * @param {string} context - Where the error occurred
+ * @returns {AppError} Typed error
+ */
+function fromDatabaseError(error, context = 'Database') {
+  if (error instanceof AppError) return error;
+  
+  const message = error.message || 'Database request failed';
+  
+  // supabase-js puts the stack of a failed fetch in `details`; keep it out of responses
+  if (!error.code) {
+    return new UpstreamError(message, context, undefined, 'DATABASE_UNAVAILABLE');
+  }
+  
+  const details = {
+    databaseCode: error.code,
+    detail: error.details || null,
+    hint: error.hint || null
+  };
+  
+  const [statusCode, code] = classify(String(error.code));
+  if (statusCode >= 500) {
+    return new UpstreamError(message, context, details, code, statusCode);
+  }
+  
+  const ErrorClass = ERROR_CLASSES[statusCode];
+  return ErrorClass
+    ? new ErrorClass(message, context, details, code)
+    : new AppError(message, statusCode, context, details, code);
+}
+
+/**
+ * Turn an error returned by Supabase Auth into a typed AppError. Auth's own
+ * error codes (e.g. `invalid_credentials`) become the API code in upper case;
+ * rate limits and failures of the Auth server keep their meaning.
+ * @param {Object} error - AuthError (message, status, code)
+ * @param {number} statusCode - Status for errors Auth doesn't qualify
+ * @param {string} context - Where the error occurred
+ * @returns {AppError} Typed error
+ */
+function fromAuthError(error, statusCode, context = 'Authentication') {
+  if (error instanceof AppError) return error;
+  
+  const message = error.message || 'Authentication request failed';
+  const code = error.code ? String(error.code).toUpperCase() : undefined;
+  
+  if (error.status === 429) {
+    return new RateLimitError(message, context, undefined, code || 'RATE_LIMITED');
+  }
+  if (error.status === 0 || error.status >= 500) {
+    return new UpstreamError(message, context, undefined, code || 'AUTH_UNAVAILABLE');
+  }
+  if (AUTH_CONFLICTS.includes(error.code)) {
+    return new ConflictError(message, context, undefined, code);
+  }
+  
+  const ErrorClass = ERROR_CLASSES[statusCode];
+  return ErrorClass
+    ? new ErrorClass(message, context, undefined, code)
+    : new AppError(message, statusCode, context, undefined, code);
+}
+
+/**
+ * Turn an error of Supabase Storage into a typed AppError. Storage puts
+ * the real status in the body's `statusCode` (answering 400 for a missing
+ * object), and a name such as `not_found` or `Duplicate` in `error`, which
+ * becomes the API code in upper snake case.
+ * @param {Object} error - StorageError, or the JSON body of a Storage response
+ * @param {string} context - Where the error occurred
+ * @param {number} responseStatus - Status of the response, if read directly
+ * @returns {AppError} Typed error
+ */
+function fromStorageError(error, context = 'Storage', responseStatus) {
+  if (error instanceof AppError) return error;
+  
+  const message = error.message || 'Storage request failed';
+  let statusCode = Number(error.statusCode) || error.status || responseStatus || 0;
+  if (statusCode === 400 && /not found/i.test(message)) statusCode = 404;
+  
+  const code = error.error
+    ? String(error.error).replace(/([a-z])([A-Z])/g, '$1_$2').replace(/\W+/g, '_').toUpperCase()
+    : undefined;
+    
+  // Fetch failures (StorageUnknownError) carry no status
+  if (!statusCode || statusCode >= 500) {
+    return new UpstreamError(message, context, undefined, code || 'STORAGE_UNAVAILABLE');
+  }
+  if (statusCode === 429) {
+    return new RateLimitError(message, context, undefined, code || 'RATE_LIMITED');
+  }
+  
+  const ErrorClass = ERROR_CLASSES[statusCode];
+  return ErrorClass
+    ? new ErrorClass(message, context, undefined, code)
+    : new AppError(message, statusCode, context, undefined, code);
+}
+
+module.exports = {
+  fromDatabaseError,
+  fromAuthError,
+  fromStorageError
+};